@@ -0,0 +1,130 @@
+// Bundled UK calendar events marked on the calendar heatmap: England and Wales bank holidays
+// (including the one-off 2011 and 2012 holidays) and the British Summer Time clock changes,
+// 2005-2016. Each entry is [date (YYYY-MM-DD), name, type], type being 'bankHoliday' or 'clockChange'.
+const ukCalendarEvents = [
+    ['2005-01-03', 'New Year’s Day (substitute day)', 'bankHoliday'],
+    ['2005-03-25', 'Good Friday', 'bankHoliday'],
+    ['2005-03-27', 'Clocks go forward (BST starts)', 'clockChange'],
+    ['2005-03-28', 'Easter Monday', 'bankHoliday'],
+    ['2005-05-02', 'Early May bank holiday', 'bankHoliday'],
+    ['2005-05-30', 'Spring bank holiday', 'bankHoliday'],
+    ['2005-08-29', 'Summer bank holiday', 'bankHoliday'],
+    ['2005-10-30', 'Clocks go back (BST ends)', 'clockChange'],
+    ['2005-12-26', 'Boxing Day', 'bankHoliday'],
+    ['2005-12-27', 'Christmas Day (substitute day)', 'bankHoliday'],
+    ['2006-01-02', 'New Year’s Day (substitute day)', 'bankHoliday'],
+    ['2006-03-26', 'Clocks go forward (BST starts)', 'clockChange'],
+    ['2006-04-14', 'Good Friday', 'bankHoliday'],
+    ['2006-04-17', 'Easter Monday', 'bankHoliday'],
+    ['2006-05-01', 'Early May bank holiday', 'bankHoliday'],
+    ['2006-05-29', 'Spring bank holiday', 'bankHoliday'],
+    ['2006-08-28', 'Summer bank holiday', 'bankHoliday'],
+    ['2006-10-29', 'Clocks go back (BST ends)', 'clockChange'],
+    ['2006-12-25', 'Christmas Day', 'bankHoliday'],
+    ['2006-12-26', 'Boxing Day', 'bankHoliday'],
+    ['2007-01-01', 'New Year’s Day', 'bankHoliday'],
+    ['2007-03-25', 'Clocks go forward (BST starts)', 'clockChange'],
+    ['2007-04-06', 'Good Friday', 'bankHoliday'],
+    ['2007-04-09', 'Easter Monday', 'bankHoliday'],
+    ['2007-05-07', 'Early May bank holiday', 'bankHoliday'],
+    ['2007-05-28', 'Spring bank holiday', 'bankHoliday'],
+    ['2007-08-27', 'Summer bank holiday', 'bankHoliday'],
+    ['2007-10-28', 'Clocks go back (BST ends)', 'clockChange'],
+    ['2007-12-25', 'Christmas Day', 'bankHoliday'],
+    ['2007-12-26', 'Boxing Day', 'bankHoliday'],
+    ['2008-01-01', 'New Year’s Day', 'bankHoliday'],
+    ['2008-03-21', 'Good Friday', 'bankHoliday'],
+    ['2008-03-24', 'Easter Monday', 'bankHoliday'],
+    ['2008-03-30', 'Clocks go forward (BST starts)', 'clockChange'],
+    ['2008-05-05', 'Early May bank holiday', 'bankHoliday'],
+    ['2008-05-26', 'Spring bank holiday', 'bankHoliday'],
+    ['2008-08-25', 'Summer bank holiday', 'bankHoliday'],
+    ['2008-10-26', 'Clocks go back (BST ends)', 'clockChange'],
+    ['2008-12-25', 'Christmas Day', 'bankHoliday'],
+    ['2008-12-26', 'Boxing Day', 'bankHoliday'],
+    ['2009-01-01', 'New Year’s Day', 'bankHoliday'],
+    ['2009-03-29', 'Clocks go forward (BST starts)', 'clockChange'],
+    ['2009-04-10', 'Good Friday', 'bankHoliday'],
+    ['2009-04-13', 'Easter Monday', 'bankHoliday'],
+    ['2009-05-04', 'Early May bank holiday', 'bankHoliday'],
+    ['2009-05-25', 'Spring bank holiday', 'bankHoliday'],
+    ['2009-08-31', 'Summer bank holiday', 'bankHoliday'],
+    ['2009-10-25', 'Clocks go back (BST ends)', 'clockChange'],
+    ['2009-12-25', 'Christmas Day', 'bankHoliday'],
+    ['2009-12-28', 'Boxing Day (substitute day)', 'bankHoliday'],
+    ['2010-01-01', 'New Year’s Day', 'bankHoliday'],
+    ['2010-03-28', 'Clocks go forward (BST starts)', 'clockChange'],
+    ['2010-04-02', 'Good Friday', 'bankHoliday'],
+    ['2010-04-05', 'Easter Monday', 'bankHoliday'],
+    ['2010-05-03', 'Early May bank holiday', 'bankHoliday'],
+    ['2010-05-31', 'Spring bank holiday', 'bankHoliday'],
+    ['2010-08-30', 'Summer bank holiday', 'bankHoliday'],
+    ['2010-10-31', 'Clocks go back (BST ends)', 'clockChange'],
+    ['2010-12-27', 'Christmas Day (substitute day)', 'bankHoliday'],
+    ['2010-12-28', 'Boxing Day (substitute day)', 'bankHoliday'],
+    ['2011-01-03', 'New Year’s Day (substitute day)', 'bankHoliday'],
+    ['2011-03-27', 'Clocks go forward (BST starts)', 'clockChange'],
+    ['2011-04-22', 'Good Friday', 'bankHoliday'],
+    ['2011-04-25', 'Easter Monday', 'bankHoliday'],
+    ['2011-04-29', 'Royal wedding', 'bankHoliday'],
+    ['2011-05-02', 'Early May bank holiday', 'bankHoliday'],
+    ['2011-05-30', 'Spring bank holiday', 'bankHoliday'],
+    ['2011-08-29', 'Summer bank holiday', 'bankHoliday'],
+    ['2011-10-30', 'Clocks go back (BST ends)', 'clockChange'],
+    ['2011-12-26', 'Boxing Day', 'bankHoliday'],
+    ['2011-12-27', 'Christmas Day (substitute day)', 'bankHoliday'],
+    ['2012-01-02', 'New Year’s Day (substitute day)', 'bankHoliday'],
+    ['2012-03-25', 'Clocks go forward (BST starts)', 'clockChange'],
+    ['2012-04-06', 'Good Friday', 'bankHoliday'],
+    ['2012-04-09', 'Easter Monday', 'bankHoliday'],
+    ['2012-05-07', 'Early May bank holiday', 'bankHoliday'],
+    ['2012-06-04', 'Spring bank holiday', 'bankHoliday'],
+    ['2012-06-05', 'Queen’s Diamond Jubilee', 'bankHoliday'],
+    ['2012-08-27', 'Summer bank holiday', 'bankHoliday'],
+    ['2012-10-28', 'Clocks go back (BST ends)', 'clockChange'],
+    ['2012-12-25', 'Christmas Day', 'bankHoliday'],
+    ['2012-12-26', 'Boxing Day', 'bankHoliday'],
+    ['2013-01-01', 'New Year’s Day', 'bankHoliday'],
+    ['2013-03-29', 'Good Friday', 'bankHoliday'],
+    ['2013-03-31', 'Clocks go forward (BST starts)', 'clockChange'],
+    ['2013-04-01', 'Easter Monday', 'bankHoliday'],
+    ['2013-05-06', 'Early May bank holiday', 'bankHoliday'],
+    ['2013-05-27', 'Spring bank holiday', 'bankHoliday'],
+    ['2013-08-26', 'Summer bank holiday', 'bankHoliday'],
+    ['2013-10-27', 'Clocks go back (BST ends)', 'clockChange'],
+    ['2013-12-25', 'Christmas Day', 'bankHoliday'],
+    ['2013-12-26', 'Boxing Day', 'bankHoliday'],
+    ['2014-01-01', 'New Year’s Day', 'bankHoliday'],
+    ['2014-03-30', 'Clocks go forward (BST starts)', 'clockChange'],
+    ['2014-04-18', 'Good Friday', 'bankHoliday'],
+    ['2014-04-21', 'Easter Monday', 'bankHoliday'],
+    ['2014-05-05', 'Early May bank holiday', 'bankHoliday'],
+    ['2014-05-26', 'Spring bank holiday', 'bankHoliday'],
+    ['2014-08-25', 'Summer bank holiday', 'bankHoliday'],
+    ['2014-10-26', 'Clocks go back (BST ends)', 'clockChange'],
+    ['2014-12-25', 'Christmas Day', 'bankHoliday'],
+    ['2014-12-26', 'Boxing Day', 'bankHoliday'],
+    ['2015-01-01', 'New Year’s Day', 'bankHoliday'],
+    ['2015-03-29', 'Clocks go forward (BST starts)', 'clockChange'],
+    ['2015-04-03', 'Good Friday', 'bankHoliday'],
+    ['2015-04-06', 'Easter Monday', 'bankHoliday'],
+    ['2015-05-04', 'Early May bank holiday', 'bankHoliday'],
+    ['2015-05-25', 'Spring bank holiday', 'bankHoliday'],
+    ['2015-08-31', 'Summer bank holiday', 'bankHoliday'],
+    ['2015-10-25', 'Clocks go back (BST ends)', 'clockChange'],
+    ['2015-12-25', 'Christmas Day', 'bankHoliday'],
+    ['2015-12-28', 'Boxing Day (substitute day)', 'bankHoliday'],
+    ['2016-01-01', 'New Year’s Day', 'bankHoliday'],
+    ['2016-03-25', 'Good Friday', 'bankHoliday'],
+    ['2016-03-27', 'Clocks go forward (BST starts)', 'clockChange'],
+    ['2016-03-28', 'Easter Monday', 'bankHoliday'],
+    ['2016-05-02', 'Early May bank holiday', 'bankHoliday'],
+    ['2016-05-30', 'Spring bank holiday', 'bankHoliday'],
+    ['2016-08-29', 'Summer bank holiday', 'bankHoliday'],
+    ['2016-10-30', 'Clocks go back (BST ends)', 'clockChange'],
+    ['2016-12-26', 'Boxing Day', 'bankHoliday'],
+    ['2016-12-27', 'Christmas Day (substitute day)', 'bankHoliday']
+];
+
+// Events per day: YYYY-MM-DD -> [{ date, name, type }]
+const calendarEventsByDate = d3.group(ukCalendarEvents.map(([date, name, type]) => ({ date, name, type })), e => e.date);
@@ -0,0 +1,115 @@
+// Spatial clustering algorithms for the hot-spot analysis
+// Grid, DBSCAN, hexagonal binning and Getis-Ord Gi* over projected coordinates in metres
+// (projection and neighbour lookups come from spatialIndex.js)
+
+// DBSCAN over planar points; returns a label per point (-1 = noise, 0..k-1 = cluster id)
+function dbscan(points, epsilon, minPts) {
+    const index = createSpatialIndex(points, p => p, epsilon);
+
+    const regionQuery = i => {
+        const neighbours = [];
+        index.forEachWithin(points[i][0], points[i][1], epsilon, (point, distance, j) => neighbours.push(j));
+        return neighbours;
+    };
+
+    const UNVISITED = -2;
+    const NOISE = -1;
+    const labels = new Array(points.length).fill(UNVISITED);
+    let clusterId = 0;
+
+    for (let i = 0; i < points.length; i++) {
+        if (labels[i] !== UNVISITED) continue;
+
+        const neighbours = regionQuery(i);
+        if (neighbours.length < minPts) {
+            labels[i] = NOISE;
+            continue;
+        }
+
+        // Points are labelled as they are queued, so each is queued at most once; noise points
+        // reached from the cluster become border points and aren't expanded (they aren't core)
+        labels[i] = clusterId;
+        const queue = [];
+        const claim = j => {
+            if (labels[j] === UNVISITED) queue.push(j);
+            if (labels[j] === UNVISITED || labels[j] === NOISE) labels[j] = clusterId;
+        };
+        neighbours.forEach(claim);
+        for (let q = 0; q < queue.length; q++) {
+            const jNeighbours = regionQuery(queue[q]);
+            if (jNeighbours.length >= minPts) jNeighbours.forEach(claim); // Core point: expand the cluster
+        }
+        clusterId++;
+    }
+
+    return labels;
+}
+
+// Axial coordinates of the pointy-top hexagon of the given radius containing a planar point
+function hexCoordinates(x, y, radius) {
+    const q = (Math.sqrt(3) / 3 * x - y / 3) / radius;
+    const r = (2 / 3 * y) / radius;
+
+    // Round in cube coordinates so points near edges land in the right hexagon
+    const s = -q - r;
+    let rq = Math.round(q);
+    let rr = Math.round(r);
+    const rs = Math.round(s);
+    const dq = Math.abs(rq - q);
+    const dr = Math.abs(rr - r);
+    const ds = Math.abs(rs - s);
+    if (dq > dr && dq > ds) {
+        rq = -rr - rs;
+    } else if (dr > ds) {
+        rr = -rq - rs;
+    }
+    return [rq, rr];
+}
+
+// Planar centre of a hexagon given its axial coordinates
+function hexCentre(q, r, radius) {
+    return [radius * Math.sqrt(3) * (q + r / 2), radius * 1.5 * r];
+}
+
+const hexNeighbourOffsets = [[1, 0], [1, -1], [0, -1], [-1, 0], [-1, 1], [0, 1]];
+
+// Getis-Ord Gi* over hexagonal cells with binary contiguity weights (the cell and its six
+// neighbours). The study area is every occupied cell plus its neighbours, so empty cells
+// next to activity count as zeros and cold spots can be detected.
+// counts: Map of "q_r" -> count; returns Map of "q_r" -> { count, z }
+function getisOrdGiStar(counts) {
+    const study = new Map(counts);
+    counts.forEach((count, key) => {
+        const [q, r] = key.split('_').map(Number);
+        hexNeighbourOffsets.forEach(([dq, dr]) => {
+            const neighbour = `${q + dq}_${r + dr}`;
+            if (!study.has(neighbour)) study.set(neighbour, 0);
+        });
+    });
+
+    const n = study.size;
+    const values = Array.from(study.values());
+    const mean = d3.sum(values) / n;
+    const sd = Math.sqrt(d3.sum(values, v => v * v) / n - mean * mean);
+
+    const results = new Map();
+    study.forEach((count, key) => {
+        const [q, r] = key.split('_').map(Number);
+        let weightSum = 1;
+        let weightedTotal = count;
+        hexNeighbourOffsets.forEach(([dq, dr]) => {
+            const neighbour = study.get(`${q + dq}_${r + dr}`);
+            if (neighbour !== undefined) {
+                weightSum++;
+                weightedTotal += neighbour;
+            }
+        });
+
+        // Binary weights, so the sum of squared weights equals the sum of weights
+        const denominator = sd * Math.sqrt((n * weightSum - weightSum * weightSum) / (n - 1));
+        const z = denominator > 0 ? (weightedTotal - mean * weightSum) / denominator : 0;
+        results.set(key, { count, z });
+    });
+
+    return results;
+}
@@ -0,0 +1,129 @@
+// Decoding of the categorical STATS19 columns through the Code/Label lookup CSVs in UK/contextCSVs
+// Render functions call decode(field, code) for display labels; codes without a label are
+// collected for the Data Quality section instead of being shown as made-up names
+
+const contextCsvUrl = 'UK/contextCSVs/';
+
+// Lookup file per field (each file has Code and Label columns)
+const codeLabelFiles = {
+    Accident_Severity: 'Accident_Severity.csv',
+    Casualty_Severity: 'Casualty_Severity.csv',
+    Day_of_Week: 'Day_of_Week.csv',
+    Weather_Conditions: 'Weather_Conditions.csv',
+    Light_Conditions: 'Light_Conditions.csv',
+    Road_Surface_Conditions: 'Road_Surface_Conditions.csv',
+    Road_Type: 'Road_Type.csv',
+    Junction_Detail: 'Junction_Detail.csv',
+    Junction_Control: 'Junction_Control.csv',
+    Urban_or_Rural_Area: 'Urban_or_Rural_Area.csv',
+    Casualty_Class: 'Casualty_Class.csv',
+    Casualty_Type: 'Casualty_Type.csv',
+    Age_Band: 'Age_Band.csv',
+    Sex_of_Driver: 'Sex_of_Driver.csv',
+    Vehicle_Type: 'Vehicle_Type.csv',
+    Local_Authority_Highway: 'Local_Authority_Highway.csv'
+};
+
+// Columns decoded with another field's lookup
+const codeLabelAliases = {
+    SeverityNumeric: 'Accident_Severity',
+    Weather: 'Weather_Conditions',
+    Age_Band_of_Driver: 'Age_Band',
+    Age_Band_of_Casualty: 'Age_Band',
+    Sex_of_Casualty: 'Sex_of_Driver',
+    'Local_Authority_(Highway)': 'Local_Authority_Highway'
+};
+
+// Labels used when a lookup file is missing or lacks a code, so severity and weather read
+// the same without UK/contextCSVs (severityNames is shared with the data pipeline)
+const builtInCodeLabels = {
+    Accident_Severity: severityNames,
+    Casualty_Severity: severityNames,
+    Weather_Conditions: {
+        1: 'Fine',
+        2: 'Raining',
+        3: 'Snowing',
+        4: 'Fine + Wind',
+        5: 'Raining + Wind',
+        6: 'Snowing + Wind',
+        7: 'Fog/Mist',
+        8: 'Other',
+        9: 'Unknown'
+    }
+};
+
+const codeLabels = new Map(); // Field -> Map of code -> label, from the lookup files
+const codeLabelSources = {}; // Field -> file name or upload the labels came from
+const unlabelledCodes = new Map(); // Field -> Set of codes decode() found no label for
+const missingCodeLabelFiles = []; // Lookup files that could not be loaded
+
+function getCodeField(field) {
+    return codeLabelAliases[field] || field;
+}
+
+// Replace a field's labels with Code/Label rows
+function setCodeLabels(field, rows, source) {
+    const key = getCodeField(field);
+    codeLabels.set(key, new Map(rows.map(d => [String(d.Code).trim(), d.Label])));
+    codeLabelSources[key] = source;
+    unlabelledCodes.delete(key);
+
+    const missing = missingCodeLabelFiles.indexOf(codeLabelFiles[key]);
+    if (missing >= 0) missingCodeLabelFiles.splice(missing, 1);
+}
+
+// Load every lookup file; missing ones are skipped, leaving their fields on the built-in labels
+async function loadCodeLabels() {
+    missingCodeLabelFiles.length = 0;
+    await Promise.all(Object.entries(codeLabelFiles).map(async ([field, file]) => {
+        try {
+            setCodeLabels(field, await d3.csv(contextCsvUrl + file), file);
+        } catch (error) {
+            missingCodeLabelFiles.push(file);
+        }
+    }));
+    if (missingCodeLabelFiles.length > 0) {
+        console.warn(`Code lookups not available, using built-in labels or codes: ${missingCodeLabelFiles.join(', ')}`);
+    }
+}
+
+// Label for a code, or null if there is none (nothing is reported)
+function findCodeLabel(field, code) {
+    const key = getCodeField(field);
+    const value = String(code).trim();
+    const labels = codeLabels.get(key);
+    if (labels && labels.has(value)) return labels.get(value);
+    const builtIn = builtInCodeLabels[key];
+    return builtIn && builtIn[value] !== undefined ? builtIn[value] : null;
+}
+
+// Text for markup: labels and raw values can come from files dropped on the page, so they are
+// escaped wherever they go into innerHTML or an attribute
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Display label for a code. Codes without one are recorded for the Data Quality section and
+// shown as the code itself, marked unlabelled.
+function decode(field, code) {
+    const label = findCodeLabel(field, code);
+    if (label !== null) return label;
+
+    const value = code === null || code === undefined ? '' : String(code).trim();
+    if (value === '') return 'Not recorded';
+    if (value === '-1') return 'Data missing or out of range'; // STATS19 sentinel in every coded column
+
+    const key = getCodeField(field);
+    if (!unlabelledCodes.has(key)) unlabelledCodes.set(key, new Set());
+    unlabelledCodes.get(key).add(value);
+    return `${value} (unlabelled)`;
+}
+
+// Codes decode() could not label so far, per field: [{ field, source, codes }]
+function getUnlabelledCodes() {
+    return Array.from(unlabelledCodes.entries()).map(([field, codes]) => ({
+        field,
+        source: codeLabelSources[field] || null,
+        codes: Array.from(codes).sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+    }));
+}
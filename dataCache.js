@@ -0,0 +1,212 @@
+// IndexedDB cache for parsed datasets and rollups, so repeat visits skip downloading and parsing
+// Datasets are stored column by column in typed arrays; entries are keyed by each source
+// file's signature (size, Last-Modified and ETag) so changed CSVs are picked up automatically
+
+const dataCacheName = 'uk-accidents-dashboard';
+const dataCacheVersion = 4; // Bump when the parsers or rollups change so old entries are ignored
+const dataCacheStores = ['datasets', 'rollups'];
+
+// Signature of a file on the server, or null if it can't be validated without downloading it
+async function fetchFileSignature(url) {
+    try {
+        const response = await fetch(url, { method: 'HEAD' });
+        if (!response.ok) return null;
+
+        const size = response.headers.get('Content-Length');
+        const lastModified = response.headers.get('Last-Modified');
+        const etag = response.headers.get('ETag'); // Content hash on most static servers
+        if (!size || (!lastModified && !etag)) return null;
+
+        return `${size}|${lastModified || ''}|${etag || ''}`;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Signature of a data source (see describeSource): fetchFileSignature for URLs; uploaded files
+// use their size, modification time and name, plus the column mapping applied to them
+async function getSourceSignature(source) {
+    if (!source) return null;
+    if (typeof source === 'string') return fetchFileSignature(source);
+    return `${source.file.size}|${source.file.lastModified || ''}|${source.name}|${JSON.stringify(source.mapping || {})}`;
+}
+
+// Promise for an IDBRequest's result
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Open the cache database, or resolve to null where IndexedDB is unavailable (e.g. private mode)
+async function openDataCache() {
+    if (typeof indexedDB === 'undefined') return null;
+
+    try {
+        const request = indexedDB.open(dataCacheName, 1);
+        request.onupgradeneeded = () => {
+            dataCacheStores.forEach(store => {
+                if (!request.result.objectStoreNames.contains(store)) {
+                    request.result.createObjectStore(store);
+                }
+            });
+        };
+        return await idbRequest(request);
+    } catch (error) {
+        console.warn('Data cache unavailable:', error);
+        return null;
+    }
+}
+
+// Cached entry, or null if missing, stale (other signature/version) or the cache is unavailable
+async function readCacheEntry(store, key, signature) {
+    const db = await openDataCache();
+    if (!db || !signature) return null;
+
+    try {
+        const entry = await idbRequest(db.transaction(store).objectStore(store).get(key));
+        if (!entry || entry.signature !== signature || entry.version !== dataCacheVersion) return null;
+        return entry;
+    } catch (error) {
+        console.warn(`Could not read ${store}/${key} from the data cache:`, error);
+        return null;
+    } finally {
+        db.close();
+    }
+}
+
+// Store an entry; resolves to whether it was stored
+async function writeCacheEntry(store, key, signature, value) {
+    const db = await openDataCache();
+    if (!db || !signature) return false;
+
+    try {
+        const transaction = db.transaction(store, 'readwrite');
+        transaction.objectStore(store).put({ ...value, signature, version: dataCacheVersion, savedAt: Date.now() }, key);
+        await new Promise((resolve, reject) => {
+            transaction.oncomplete = resolve;
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+        return true;
+    } catch (error) {
+        // Typically the storage quota; the dashboard works the same without the cache
+        console.warn(`Could not write ${store}/${key} to the data cache:`, error);
+        return false;
+    } finally {
+        db.close();
+    }
+}
+
+async function clearDataCache() {
+    const db = await openDataCache();
+    if (!db) return;
+
+    try {
+        const transaction = db.transaction(dataCacheStores, 'readwrite');
+        dataCacheStores.forEach(store => transaction.objectStore(store).clear());
+        await new Promise((resolve, reject) => {
+            transaction.oncomplete = resolve;
+            transaction.onerror = () => reject(transaction.error);
+        });
+    } finally {
+        db.close();
+    }
+}
+
+// Smallest typed array that holds every value of an integer column
+function integerArrayType(min, max) {
+    if (min >= -128 && max <= 127) return Int8Array;
+    if (min >= -32768 && max <= 32767) return Int16Array;
+    if (min >= -2147483648 && max <= 2147483647) return Int32Array;
+    return Float64Array;
+}
+
+// Column kind of a set of values: bool, number, date or string
+function detectColumnKind(rows, name) {
+    let kind = null;
+    for (const row of rows) {
+        const value = row[name];
+        if (value === null || value === undefined) continue;
+        const valueKind = typeof value === 'boolean' ? 'bool' :
+            typeof value === 'number' ? 'number' :
+            value instanceof Date ? 'date' : 'string';
+        if (kind && kind !== valueKind) return 'string';
+        kind = valueKind;
+    }
+    return kind || 'string';
+}
+
+// Encode row objects as typed-array columns. Numbers and dates keep NaN; a nullable column
+// also records that missing values were null rather than NaN.
+function encodeColumns(rows) {
+    const names = rows.length > 0 ? Object.keys(rows[0]) : [];
+    const columns = {};
+
+    names.forEach(name => {
+        const kind = detectColumnKind(rows, name);
+        const nullable = rows.some(row => row[name] === null || row[name] === undefined);
+
+        if (kind === 'bool') {
+            const values = new Uint8Array(rows.length);
+            rows.forEach((row, i) => { values[i] = row[name] ? 1 : 0; });
+            columns[name] = { kind, values };
+        } else if (kind === 'number' || kind === 'date') {
+            const raw = rows.map(row => {
+                const value = row[name];
+                if (value === null || value === undefined) return NaN;
+                return kind === 'date' ? value.getTime() : value;
+            });
+            const isInteger = kind === 'number' && raw.every(v => Number.isInteger(v));
+            const ArrayType = isInteger ? integerArrayType(d3.min(raw), d3.max(raw)) : Float64Array;
+            columns[name] = { kind, nullable, values: ArrayType.from(raw) };
+        } else {
+            // Dictionary encoding: distinct strings plus a code per row
+            const dictionary = [];
+            const codes = new Map();
+            const values = new Uint32Array(rows.length);
+            rows.forEach((row, i) => {
+                const value = row[name] === null || row[name] === undefined ? '' : String(row[name]);
+                if (!codes.has(value)) {
+                    codes.set(value, dictionary.length);
+                    dictionary.push(value);
+                }
+                values[i] = codes.get(value);
+            });
+            columns[name] = { kind: 'string', dictionary, values };
+        }
+    });
+
+    return columns;
+}
+
+// Rebuild row objects [start, end) from encoded columns
+function decodeRows(columns, start, end) {
+    const names = Object.keys(columns);
+    const rows = [];
+
+    for (let i = start; i < end; i++) {
+        const row = {};
+        names.forEach(name => {
+            const column = columns[name];
+            const value = column.values[i];
+            switch (column.kind) {
+                case 'bool':
+                    row[name] = value === 1;
+                    break;
+                case 'number':
+                    row[name] = isNaN(value) && column.nullable ? null : value;
+                    break;
+                case 'date':
+                    row[name] = isNaN(value) && column.nullable ? null : new Date(value);
+                    break;
+                default:
+                    row[name] = column.dictionary[value];
+            }
+        });
+        rows.push(row);
+    }
+
+    return rows;
+}
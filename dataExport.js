@@ -0,0 +1,262 @@
+// Exports of what the dashboard shows: section charts as PNG or SVG, the aggregate table behind
+// each section as CSV or JSON, and the filtered accident records. Every export carries a header
+// with the data sources, active filters and selections, and a link back to the same view.
+
+const exportTables = {}; // Section key -> rows of the aggregate table last rendered
+
+// Sections with export buttons. element is an id inside the section (the toolbar goes under its
+// heading); chart is a Chart.js canvas id and svg the id of a container holding an SVG map.
+// Sections that don't record a table (see recordExportTable) export their chart's datasets.
+const exportSections = [
+    { key: 'descriptive-stats', element: 'descriptive-stats' },
+    { key: 'insights', element: 'insights-list' },
+    { key: 'hotspots', element: 'hotspot-map', svg: 'hotspot-map' },
+    { key: 'intervention', element: 'intervention-chart', chart: 'intervention-chart' },
+    { key: 'local-authorities', element: 'authority-map', svg: 'authority-map' },
+    { key: 'monthly-trend', element: 'trend-chart', chart: 'trend-chart' },
+    { key: 'monthly', element: 'monthly-chart', chart: 'monthly-chart' },
+    { key: 'correlation', element: 'correlation-heatmap' },
+    { key: 'risk-model', element: 'risk-model-summary', chart: 'risk-calibration-chart' },
+    { key: 'hourly', element: 'hour-chart', chart: 'hour-chart' },
+    { key: 'weather', element: 'weather-chart', chart: 'weather-chart' },
+    { key: 'five-year-trend', element: 'five-year-trend-chart', chart: 'five-year-trend-chart' },
+    { key: 'five-year-weather', element: 'five-year-weather-chart', chart: 'five-year-weather-chart' },
+    { key: 'time-series', element: 'time-series-chart', chart: 'time-series-chart' },
+    { key: 'calendar', element: 'calendar-heatmap', svg: 'calendar-heatmap' },
+    { key: 'weekday-hour', element: 'weekday-hour-matrix' },
+    { key: 'conditions', element: 'condition-chart', chart: 'condition-chart' },
+    { key: 'condition-heatmap', element: 'condition-heatmap' },
+    { key: 'casualties', element: 'casualty-chart', chart: 'casualty-chart' },
+    { key: 'vehicle-types', element: 'vehicle-type-chart', chart: 'vehicle-type-chart' }
+];
+
+// Called by a section's render function with the table it drew from
+function recordExportTable(key, rows) {
+    exportTables[key] = rows;
+}
+
+// Rows of countBySeverity() categories, with the category key split into columns
+function severityCountRows(categories, keyColumns) {
+    return categories.map(category => {
+        const row = {};
+        String(category.key).split('|').forEach((part, i) => {
+            row[keyColumns[i]] = part;
+        });
+        return {
+            ...row,
+            accidents: category.total,
+            fatal: category.counts[1] || 0,
+            serious: category.counts[2] || 0,
+            slight: category.counts[3] || 0,
+            ksiShare: getKsiShare(category)
+        };
+    });
+}
+
+// Table of a chart's labels with one column per dataset (and its interval, if drawn)
+function getChartTable(canvasId) {
+    const chart = charts[canvasId];
+    if (!chart) return [];
+
+    return chart.data.labels.map((label, i) => {
+        const row = { label };
+        chart.data.datasets.forEach(dataset => {
+            const value = dataset.data[i];
+            if (value !== null && typeof value === 'object') return;
+            row[dataset.label] = value;
+            const bar = dataset.errorBars && dataset.errorBars[i];
+            if (bar && bar.low !== null) {
+                row[`${dataset.label} (low)`] = bar.low;
+                row[`${dataset.label} (high)`] = bar.high;
+            }
+        });
+        return row;
+    });
+}
+
+function getSectionTable(section) {
+    if (exportTables[section.key]) return exportTables[section.key];
+    return section.chart ? getChartTable(section.chart) : [];
+}
+
+// Dates as YYYY-MM-DD, lists joined, nested objects left out
+function toExportRow(row) {
+    const result = {};
+    Object.entries(row).forEach(([key, value]) => {
+        if (value instanceof Date) {
+            result[key] = isNaN(value) ? null : formatDateKey(value);
+        } else if (Array.isArray(value)) {
+            if (value.every(item => item === null || typeof item !== 'object')) result[key] = value.join('; ');
+        } else if (value === null || typeof value !== 'object') {
+            result[key] = value;
+        }
+    });
+    return result;
+}
+
+// Where the numbers came from: sources, filters, selections and a link to the view
+function getExportContext(title) {
+    const selected = Object.entries(selections)
+        .flatMap(([dimension, values]) => values.map(value => describeSelection(dimension, value)));
+    return {
+        dashboard: 'UK Car Accidents Analysis Dashboard',
+        section: title,
+        exported: new Date().toISOString(),
+        sources: Object.keys(datasetReady).filter(dataset => datasetReady[dataset]).map(dataset =>
+            `${dataset}: ${getSourceName(dataset)} (${datasetRows[dataset].length.toLocaleString()} rows)`),
+        filters: describeActiveFilters().map(filter => filter.text),
+        selections: selected,
+        view: location.href
+    };
+}
+
+function getExportHeaderLines(context) {
+    return [
+        `${context.dashboard}: ${context.section}`,
+        `Exported ${context.exported}`,
+        `Data: ${context.sources.join('; ') || 'none loaded'}`,
+        `Filters: ${context.filters.join('; ') || 'none'}`,
+        `Selections: ${context.selections.join('; ') || 'none'}`,
+        `View: ${context.view}`
+    ];
+}
+
+function saveFile(blob, fileName) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+// Rows as CSV under '#' header lines, or as JSON with the header fields
+function exportRows(rows, title, fileName, format) {
+    const context = getExportContext(title);
+    const exportedRows = rows.map(toExportRow);
+    if (format === 'json') {
+        const json = JSON.stringify({ ...context, rows: exportedRows }, null, 2);
+        saveFile(new Blob([json], { type: 'application/json' }), `${fileName}.json`);
+        return;
+    }
+
+    const header = getExportHeaderLines(context).map(line => `# ${line}`).join('\n');
+    saveFile(new Blob([`${header}\n${d3.csvFormat(exportedRows)}`], { type: 'text/csv' }), `${fileName}.csv`);
+}
+
+// Draw an image under the header lines on a white canvas and save it as PNG
+function saveImageWithHeader(url, width, height, scale, lines, fileName) {
+    const image = new Image();
+    image.onload = () => {
+        const lineHeight = 16 * scale;
+        const padding = 10 * scale;
+        const headerHeight = lines.length > 0 ? 2 * padding + lines.length * lineHeight : 0;
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height + headerHeight;
+
+        const context = canvas.getContext('2d');
+        context.fillStyle = 'white';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.fillStyle = '#333';
+        context.font = `${12 * scale}px sans-serif`;
+        lines.forEach((line, i) => context.fillText(line, padding, padding + (i + 0.8) * lineHeight));
+        context.drawImage(image, 0, headerHeight, width, height);
+        canvas.toBlob(blob => saveFile(blob, fileName), 'image/png');
+    };
+    image.src = url;
+}
+
+// Presentation properties copied onto exported SVG elements, as the page's stylesheet
+// doesn't travel with the file
+const exportedSvgStyles = ['fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-dasharray', 'opacity', 'font-family', 'font-size', 'font-weight'];
+
+// A section's SVG as a standalone document with the header lines above it
+function getSvgExport(container, lines) {
+    const svg = container.querySelector('svg');
+    if (!svg) return null;
+
+    const [, , width, height] = svg.getAttribute('viewBox').split(' ').map(Number);
+    const clone = svg.cloneNode(true);
+    const originals = [svg, ...svg.querySelectorAll('*')];
+    [clone, ...clone.querySelectorAll('*')].forEach((element, i) => {
+        const computed = getComputedStyle(originals[i]);
+        exportedSvgStyles.forEach(property => {
+            const value = computed.getPropertyValue(property);
+            if (value) element.style.setProperty(property, value);
+        });
+    });
+    clone.setAttribute('x', 0);
+    clone.setAttribute('y', lines.length * 16 + 20);
+    clone.setAttribute('width', width);
+    clone.setAttribute('height', height);
+
+    const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+    const headerHeight = lines.length * 16 + 20;
+    return {
+        width,
+        height: height + headerHeight,
+        markup: `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height + headerHeight}" viewBox="0 0 ${width} ${height + headerHeight}">
+<desc>${escape(lines.join('\n'))}</desc>
+<rect width="100%" height="100%" fill="white"/>
+${lines.map((line, i) => `<text x="10" y="${26 + i * 16}" font-family="sans-serif" font-size="12" fill="#333">${escape(line)}</text>`).join('\n')}
+${new XMLSerializer().serializeToString(clone)}
+</svg>`
+    };
+}
+
+function exportSectionImage(section, title, format) {
+    const lines = getExportHeaderLines(getExportContext(title));
+    if (section.chart) {
+        const chart = charts[section.chart];
+        if (!chart) return;
+        saveImageWithHeader(chart.toBase64Image(), chart.canvas.width, chart.canvas.height,
+            chart.canvas.width / (chart.width || chart.canvas.width), lines, `${section.key}.png`);
+        return;
+    }
+
+    const svg = getSvgExport(document.getElementById(section.svg), lines);
+    if (!svg) return;
+    const blob = new Blob([svg.markup], { type: 'image/svg+xml' });
+    if (format === 'svg') {
+        saveFile(blob, `${section.key}.svg`);
+        return;
+    }
+    const url = URL.createObjectURL(blob);
+    saveImageWithHeader(url, svg.width * 2, svg.height * 2, 2, [], `${section.key}.png`); // Header is in the SVG
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
+
+// Add the export buttons to every section, and the filtered-records export to the filters
+function setupExportControls() {
+    exportSections.forEach(section => {
+        const element = document.getElementById(section.element);
+        const container = element && element.closest('section');
+        if (!container) return;
+
+        const title = container.querySelector('h2').textContent;
+        const formats = [...(section.chart ? ['png'] : []), ...(section.svg ? ['png', 'svg'] : []), 'csv', 'json'];
+        const toolbar = document.createElement('div');
+        toolbar.className = 'export-controls';
+        toolbar.innerHTML = `<span>Export</span>${formats.map(format => `<button type="button" data-format="${format}">${format.toUpperCase()}</button>`).join('')}`;
+        container.querySelector('h2').insertAdjacentElement('afterend', toolbar);
+
+        toolbar.querySelectorAll('button').forEach(button => {
+            button.addEventListener('click', () => {
+                const format = button.dataset.format;
+                if (format === 'csv' || format === 'json') {
+                    exportRows(getSectionTable(section), title, section.key, format);
+                } else {
+                    exportSectionImage(section, title, format);
+                }
+            });
+        });
+    });
+
+    const records = document.getElementById('filtered-export');
+    if (!records) return;
+    records.innerHTML = `<span>Export filtered accidents</span>
+        <button type="button" data-format="csv">CSV</button><button type="button" data-format="json">JSON</button>`;
+    records.querySelectorAll('button').forEach(button => {
+        button.addEventListener('click', () => exportRows(filteredData, 'Filtered accidents', 'accidents_filtered', button.dataset.format));
+    });
+}
@@ -0,0 +1,429 @@
+// Data loading pipeline: streaming CSV parsing, validation (dataSchema.js), type coercion and enrichment
+// Runs inside dataWorker.js, or on the main thread when Web Workers are unavailable
+
+const dataFiles = {
+    folder: 'UK/Accidents0515.csv', // Raw STATS19 accidents, used for 5-year visualizations and enrichment
+    cleaned: 'uk_accidents_cleaned.csv',
+    // Optional companion tables, joined to the raw accidents on Accident_Index
+    vehicles: 'UK/Vehicles0515.csv',
+    casualties: 'UK/Casualties0515.csv'
+};
+
+const severityNames = { 1: 'Fatal', 2: 'Serious', 3: 'Slight' };
+
+// Coordinate matches between the datasets must be within this distance
+const coordinateMatchRadiusMetres = 100;
+
+// Rows are handed to the page in batches so it stays responsive while receiving them
+const rowBatchSize = 20000;
+
+// A data source is either a URL (the bundled files above) or an uploaded file:
+// { file: Blob, name, mapping } where mapping renames columns (expected name -> name in the file)
+function describeSource(source) {
+    return typeof source === 'string' ? source : source.name;
+}
+
+// Coerce a raw STATS19 row (UK/Accidents0515.csv) that passed validation
+function parseFolderRow(d) {
+    // Parse date from DD/MM/YYYY format
+    const dateParts = d.Date ? d.Date.split('/') : [];
+    const year = dateParts.length === 3 ? parseInt(dateParts[2]) : null;
+    const month = dateParts.length === 3 ? parseInt(dateParts[1]) : null;
+    const day = dateParts.length === 3 ? parseInt(dateParts[0]) : null;
+
+    // Parse time from HH:MM format
+    const timeParts = d.Time ? d.Time.split(':') : [];
+    const hour = timeParts.length >= 1 ? parseInt(timeParts[0]) : null;
+
+    return {
+        ...d,
+        Latitude: parseFloat(d.Latitude),
+        Longitude: parseFloat(d.Longitude),
+        Year: year,
+        Month: month,
+        Day: day,
+        Hour: hour,
+        NumberOfVehicles: parseInt(d.Number_of_Vehicles) || 0,
+        NumberOfCasualties: parseInt(d.Number_of_Casualties) || 0,
+        SpeedLimit: parseFloat(d.Speed_limit) || 0,
+        Accident_Severity: parseInt(d.Accident_Severity) || 0,
+        Weather_Conditions: d.Weather_Conditions || 'Unknown',
+        Local_Authority_Highway: d['Local_Authority_(Highway)'] || '',
+        // Flags matching the cleaned dataset so both can share the global filters
+        IsUrban: d.Urban_or_Rural_Area === '1',
+        IsWeekend: d.Day_of_Week === '1' || d.Day_of_Week === '7', // 1 = Sunday, 7 = Saturday
+        IsRushHour: hour !== null && ((hour >= 7 && hour <= 9) || (hour >= 16 && hour <= 18)),
+        IsMultiVehicle: (parseInt(d.Number_of_Vehicles) || 0) > 1,
+        Date: dateParts.length === 3 ? new Date(year, month - 1, day) : null
+    };
+}
+
+// Coerce a validated cleaned row (uk_accidents_cleaned.csv), filling in missing severity and highway
+// authority from the nearest raw record in folderIndex; match counts go into summary
+function parseCleanedRow(d, folderIndex, summary) {
+    // Try to preserve severity - check if Severity field exists, otherwise use SeverityNumeric
+    let severityValue = parseFloat(d.SeverityNumeric) || 0;
+    let severityLabel = d.Severity || 'Unknown';
+
+    let localAuthority = d.Local_Authority_Highway || '';
+    let matchDistance = null;
+
+    // If severity or highway authority is unknown, take it from the nearest raw record
+    const needsSeverity = severityValue === 0 || severityLabel === 'Unknown';
+    const lat = parseFloat(d.Latitude);
+    const lon = parseFloat(d.Longitude);
+    if ((needsSeverity || !localAuthority) && folderIndex && !isNaN(lat) && !isNaN(lon)) {
+        if (needsSeverity) {
+            const match = folderIndex.nearest(lat, lon, coordinateMatchRadiusMetres, orig => orig.Accident_Severity > 0);
+            if (match) {
+                severityValue = match.item.Accident_Severity;
+                // Map severity code to label: 1=Fatal, 2=Serious, 3=Slight
+                severityLabel = severityNames[severityValue] || 'Unknown';
+                matchDistance = match.distance;
+                summary.severityMatched++;
+            }
+        }
+
+        if (!localAuthority) {
+            const match = folderIndex.nearest(lat, lon, coordinateMatchRadiusMetres, orig => orig.Local_Authority_Highway);
+            if (match) {
+                localAuthority = match.item.Local_Authority_Highway;
+                matchDistance = matchDistance === null ? match.distance : Math.max(matchDistance, match.distance);
+                summary.authorityMatched++;
+            }
+        }
+
+        if (matchDistance === null) {
+            summary.unmatched++;
+        } else {
+            summary.distances.push(matchDistance);
+        }
+    }
+
+    return {
+        ...d,
+        Latitude: lat,
+        Longitude: lon,
+        SeverityNumeric: severityValue,
+        Severity: severityLabel,
+        Year: parseInt(d.Year),
+        Month: parseInt(d.Month),
+        Hour: parseInt(d.Hour),
+        NumberOfVehicles: parseInt(d.NumberOfVehicles) || 0,
+        NumberOfCasualties: parseInt(d.NumberOfCasualties) || 0,
+        SpeedLimit: parseFloat(d.SpeedLimit) || 0,
+        CasualtyRate: parseFloat(d.CasualtyRate) || 0,
+        IsRushHour: d.IsRushHour === 'True',
+        IsWeekend: d.IsWeekend === 'True',
+        IsUrban: d.IsUrban === 'True',
+        HasRain: d.HasRain === 'True',
+        HasSnow: d.HasSnow === 'True',
+        HasFog: d.HasFog === 'True',
+        IsClear: d.IsClear === 'True',
+        IsFatal: d.IsFatal === 'True',
+        IsSerious: d.IsSerious === 'True',
+        IsMultiVehicle: d.IsMultiVehicle === 'True',
+        HasCasualties: d.HasCasualties === 'True',
+        Local_Authority_Highway: localAuthority,
+        MatchDistance: matchDistance, // Metres to the raw record used for enrichment
+        Date: new Date(d.Date)
+    };
+}
+
+// Cleaned-format row built from a parsed raw row, used when no cleaned file is available
+function deriveCleanedRow(d) {
+    const weather = String(d.Weather_Conditions).trim();
+    return {
+        Latitude: d.Latitude,
+        Longitude: d.Longitude,
+        Severity: severityNames[d.Accident_Severity] || 'Unknown',
+        SeverityNumeric: d.Accident_Severity,
+        Year: d.Year,
+        Month: d.Month,
+        Hour: d.Hour === null ? NaN : d.Hour,
+        Date: d.Date,
+        Region: d.Police_Force || '',
+        Weather: weather,
+        NumberOfVehicles: d.NumberOfVehicles,
+        NumberOfCasualties: d.NumberOfCasualties,
+        SpeedLimit: d.SpeedLimit,
+        CasualtyRate: d.NumberOfVehicles > 0 ? d.NumberOfCasualties / d.NumberOfVehicles : 0,
+        IsRushHour: d.IsRushHour,
+        IsWeekend: d.IsWeekend,
+        IsUrban: d.IsUrban,
+        HasRain: weather === '2' || weather === '5',
+        HasSnow: weather === '3' || weather === '6',
+        HasFog: weather === '7',
+        IsClear: weather === '1' || weather === '4',
+        IsFatal: d.Accident_Severity === 1,
+        IsSerious: d.Accident_Severity === 2,
+        IsMultiVehicle: d.IsMultiVehicle,
+        HasCasualties: d.NumberOfCasualties > 0,
+        Local_Authority_Highway: d.Local_Authority_Highway,
+        MatchDistance: 0
+    };
+}
+
+// Coerce a validated vehicle row (UK/Vehicles0515.csv); codes stay strings for decoding
+function parseVehicleRow(d) {
+    return {
+        Accident_Index: d.Accident_Index,
+        Vehicle_Reference: parseInt(d.Vehicle_Reference) || 0,
+        Vehicle_Type: (d.Vehicle_Type || '').trim(),
+        Sex_of_Driver: (d.Sex_of_Driver || '').trim(),
+        Age_Band_of_Driver: (d.Age_Band_of_Driver || '').trim()
+    };
+}
+
+// Coerce a validated casualty row (UK/Casualties0515.csv); codes stay strings for decoding
+function parseCasualtyRow(d) {
+    return {
+        Accident_Index: d.Accident_Index,
+        Vehicle_Reference: parseInt(d.Vehicle_Reference) || 0,
+        Casualty_Class: (d.Casualty_Class || '').trim(),
+        Sex_of_Casualty: (d.Sex_of_Casualty || '').trim(),
+        Age_Band_of_Casualty: (d.Age_Band_of_Casualty || '').trim(),
+        Casualty_Severity: parseInt(d.Casualty_Severity),
+        Casualty_Type: (d.Casualty_Type || '').trim()
+    };
+}
+
+// Dataset-level summary of the cleaned rows (distinct values used across the dashboard)
+function summariseCleanedData(rows) {
+    return {
+        total: rows.length,
+        years: [...new Set(rows.map(d => d.Year))].sort(),
+        months: [...new Set(rows.map(d => d.Month))].sort(),
+        regions: [...new Set(rows.map(d => d.Region))],
+        severities: [...new Set(rows.map(d => d.Severity))],
+        weather: [...new Set(rows.map(d => d.Weather))]
+    };
+}
+
+// Index just past the last line break that is not inside a quoted field, or -1
+function lastCompleteLineEnd(text) {
+    let inQuotes = false;
+    let end = -1;
+    for (let i = 0; i < text.length; i++) {
+        const c = text.charCodeAt(i);
+        if (c === 34) { // "
+            inQuotes = !inQuotes;
+        } else if (c === 10 && !inQuotes) { // \n
+            end = i + 1;
+        }
+    }
+    return end;
+}
+
+// Fetch or read a CSV source and parse it as it streams in. onRows receives arrays of row
+// objects (all values as strings, like d3.csv, with columns renamed by the source's mapping);
+// onProgress receives { bytesLoaded, bytesTotal, rows }.
+async function streamCsv(source, onRows, onProgress) {
+    const response = typeof source === 'string' ? await fetch(source) : new Response(source.file);
+    if (!response.ok) {
+        throw new Error(`${source}: ${response.status} ${response.statusText}`);
+    }
+
+    const renames = new Map(Object.entries(source.mapping || {}).map(([expected, name]) => [name, expected]));
+    const bytesTotal = typeof source === 'string' ? parseInt(response.headers.get('Content-Length')) || null : source.file.size;
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let header = null;
+    let buffer = '';
+    let bytesLoaded = 0;
+    let rows = 0;
+
+    const parseLines = text => {
+        const records = d3.csvParseRows(text);
+        if (!header) {
+            header = records.shift().map((name, i) => {
+                const column = i === 0 ? name.replace(/^\uFEFF/, '') : name; // Byte order mark
+                return renames.get(column) || column;
+            });
+        }
+
+        const objects = [];
+        records.forEach(values => {
+            if (values.length === 1 && values[0] === '') return; // Blank line
+            const row = {};
+            header.forEach((name, i) => {
+                row[name] = values[i] || '';
+            });
+            objects.push(row);
+        });
+
+        rows += objects.length;
+        if (objects.length > 0) onRows(objects);
+    };
+
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        bytesLoaded += value.length;
+        buffer += decoder.decode(value, { stream: true });
+
+        const end = lastCompleteLineEnd(buffer);
+        if (end > 0) {
+            parseLines(buffer.slice(0, end));
+            buffer = buffer.slice(end);
+        }
+        onProgress({ bytesLoaded, bytesTotal, rows });
+    }
+
+    buffer += decoder.decode();
+    if (buffer.trim() !== '') parseLines(buffer);
+    onProgress({ bytesLoaded, bytesTotal: bytesTotal || bytesLoaded, rows });
+}
+
+// Load one dataset: restore it from the data cache (dataCache.js) when the signature matches,
+// otherwise stream, validate and parse the CSV and cache the result. Resolves to the parsed rows.
+async function loadDataset(dataset, source, signature, post, parseRow, summarise,
+    checkParsed = dataSchemas[dataset].checkParsed) {
+    const file = describeSource(source);
+    const cached = await readCacheEntry('datasets', dataset, signature);
+    if (cached) {
+        const rows = [];
+        for (let start = 0; start < cached.rowCount; start += rowBatchSize) {
+            const batch = decodeRows(cached.columns, start, Math.min(start + rowBatchSize, cached.rowCount));
+            batch.forEach(row => rows.push(row));
+            post({ type: 'rows', dataset, rows: batch });
+            post({ type: 'progress', dataset, file, fromCache: true, rows: rows.length, rowsTotal: cached.rowCount });
+        }
+        post({ type: 'ready', dataset, summary: { ...cached.summary, cache: { status: 'hit', savedAt: cached.savedAt } } });
+        return rows;
+    }
+
+    const rows = [];
+    let pending = [];
+    // Uploaded extracts are analysed whole; the period only scopes the bundled file
+    const quality = createQualityReport(dataset, typeof source === 'string' ? dataSchemas[dataset].period : null);
+    await streamCsv(source, batch => {
+        batch.forEach(raw => {
+            if (!recordRowQuality(raw, dataset, quality)) return;
+            
+            const row = parseRow(raw);
+            const problem = checkParsed ? checkParsed(row) : null;
+            if (problem) {
+                rejectRow(raw, [problem], quality);
+                return;
+            }
+            
+            quality.accepted++;
+            rows.push(row);
+            pending.push(row);
+        });
+        if (pending.length >= rowBatchSize) {
+            post({ type: 'rows', dataset, rows: pending });
+            pending = [];
+        }
+    }, progress => post({ type: 'progress', dataset, file, ...progress }));
+    if (pending.length > 0) post({ type: 'rows', dataset, rows: pending });
+
+    const summary = { ...summarise(rows), quality };
+    if (!signature) {
+        post({ type: 'ready', dataset, summary: { ...summary, cache: { status: 'unavailable' } } });
+        return rows;
+    }
+
+    // Let the page render before spending time on encoding
+    post({ type: 'ready', dataset, summary: { ...summary, cache: { status: 'saving' } } });
+    const stored = await writeCacheEntry('datasets', dataset, signature, {
+        rowCount: rows.length,
+        columns: encodeColumns(rows),
+        summary
+    });
+    post({ type: 'cache', dataset, status: stored ? 'stored' : 'unavailable' });
+    return rows;
+}
+
+// Load every dataset, posting messages as work progresses:
+//   { type: 'progress', dataset, file, bytesLoaded, bytesTotal, rows }
+//   { type: 'progress', dataset, file, fromCache: true, rows, rowsTotal }
+//   { type: 'rows', dataset, rows }            parsed rows, in batches
+//   { type: 'ready', dataset, summary }        dataset complete; summary.quality is the
+//                                              validation report, summary.cache.status is
+//                                              'hit', 'saving' or 'unavailable'
+//   { type: 'cache', dataset, status }         'stored' or 'unavailable' once saving finishes
+//   { type: 'unavailable', dataset, message }  the source could not be read; the dataset is
+//                                              then ready with no rows, or derived (below)
+// 'folder' (raw STATS19) is loaded first because the cleaned rows are enriched from it; without
+// a cleaned source, the cleaned rows are derived from the raw ones. The vehicle and casualty
+// tables follow, keeping only rows whose accident was loaded.
+// sources maps dataset -> data source (see describeSource); signatures holds
+// getSourceSignature() results per dataset, and null ones are never cached.
+async function runDataPipeline(sources, post, signatures = {}) {
+    // Load a dataset, or report it unavailable and resolve to null if its source is missing or unreadable
+    const tryLoad = async (dataset, ...args) => {
+        if (!sources[dataset]) {
+            post({ type: 'unavailable', dataset, message: 'No file provided' });
+            return null;
+        }
+        try {
+            return await loadDataset(dataset, sources[dataset], ...args);
+        } catch (error) {
+            post({ type: 'unavailable', dataset, message: error.message });
+            return null;
+        }
+    };
+
+    const postMissing = dataset => {
+        post({ type: 'ready', dataset, summary: { total: 0, quality: null, cache: { status: 'missing' } } });
+    };
+
+    let folderRows = await tryLoad('folder', signatures.folder, post,
+        parseFolderRow, rows => ({ total: rows.length }));
+    if (!folderRows) {
+        folderRows = [];
+        postMissing('folder');
+    }
+
+    // Enrichment depends on the raw file too, so the cleaned entry is keyed by both
+    const cleanedSignature = signatures.cleaned && signatures.folder ?
+        `${signatures.cleaned}+${signatures.folder}` : null;
+    let folderIndex = null;
+    const enrichment = { severityMatched: 0, authorityMatched: 0, unmatched: 0, distances: [] };
+    const cleanedRows = await tryLoad('cleaned', cleanedSignature, post,
+        d => {
+            if (!folderIndex) folderIndex = createGeoIndex(folderRows);
+            return parseCleanedRow(d, folderIndex, enrichment);
+        },
+        rows => ({
+            processed: summariseCleanedData(rows),
+            enrichment: {
+                severityMatched: enrichment.severityMatched,
+                authorityMatched: enrichment.authorityMatched,
+                unmatched: enrichment.unmatched,
+                meanDistance: d3.mean(enrichment.distances) || 0,
+                maxDistance: d3.max(enrichment.distances) || 0
+            }
+        }));
+
+    if (!cleanedRows) {
+        const derived = folderRows.map(deriveCleanedRow);
+        for (let start = 0; start < derived.length; start += rowBatchSize) {
+            post({ type: 'rows', dataset: 'cleaned', rows: derived.slice(start, start + rowBatchSize) });
+        }
+        post({
+            type: 'ready',
+            dataset: 'cleaned',
+            summary: {
+                processed: summariseCleanedData(derived),
+                enrichment: null,
+                quality: null,
+                derivedFrom: 'folder',
+                cache: { status: 'derived' }
+            }
+        });
+    }
+
+    // Companion rows depend on which accidents were kept, so their entries are keyed by both files
+    const accidentIds = new Set(folderRows.map(d => d.Accident_Index));
+    const checkAccident = row => accidentIds.has(row.Accident_Index) ? null : 'Accident_Index: No matching accident';
+    const companions = { vehicles: parseVehicleRow, casualties: parseCasualtyRow };
+    for (const [dataset, parseRow] of Object.entries(companions)) {
+        const signature = signatures[dataset] && signatures.folder ? `${signatures[dataset]}+${signatures.folder}` : null;
+        const rows = await tryLoad(dataset, signature, post, parseRow, rows => ({ total: rows.length }), checkAccident);
+        if (!rows) postMissing(dataset);
+    }
+}
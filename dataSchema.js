@@ -0,0 +1,205 @@
+// Input schemas and row validation for the accident CSVs
+// Each raw row is checked column by column before coercion; problems are counted per column
+// for the Data Quality section, and rows failing a required column are rejected
+
+// Bounding box of Great Britain and Northern Ireland, used for validation and the maps
+const ukBounds = { southWest: [-8.7, 49.8], northEast: [1.8, 60.9] };
+
+// Rejected rows kept per dataset for download; the counts cover every row
+const maxRejectedRows = 5000;
+
+// Problem categories, in display order
+const qualityCategories = {
+    missing: 'Missing',
+    unparseable: 'Unparseable',
+    outOfRange: 'Out of range',
+    outOfBounds: 'Outside UK',
+    sentinel: 'Sentinel code' // STATS19 -1 ("data missing or out of range"), or 0 for unknown severity
+};
+
+// Column specs: type (number, integer, date, time, boolean, string), required (problems reject
+// the row), range [min, max], codes (allowed values), sentinels (STATS19 "missing" codes) and
+// bounds (the UK bounding box axis for coordinates)
+const dataSchemas = {
+    folder: {
+        // Rows dated outside the period are out of scope rather than invalid, so only counted
+        period: { column: 'Date', format: 'dmy', years: [2010, 2015] },
+        columns: {
+            Accident_Index: { type: 'string' },
+            Latitude: { type: 'number', required: true, bounds: 'latitude' },
+            Longitude: { type: 'number', required: true, bounds: 'longitude' },
+            Police_Force: { type: 'string' },
+            Date: { type: 'date', format: 'dmy', required: true },
+            Accident_Severity: { type: 'integer', required: true, codes: [1, 2, 3] },
+            Time: { type: 'time' },
+            Day_of_Week: { type: 'integer', codes: [1, 2, 3, 4, 5, 6, 7] },
+            Number_of_Vehicles: { type: 'integer', range: [1, 100] },
+            Number_of_Casualties: { type: 'integer', range: [1, 100] },
+            Speed_limit: { type: 'integer', range: [10, 70], sentinels: ['-1'] },
+            Weather_Conditions: { type: 'integer', codes: [1, 2, 3, 4, 5, 6, 7, 8, 9], sentinels: ['-1'] },
+            Urban_or_Rural_Area: { type: 'integer', codes: [1, 2, 3], sentinels: ['-1'] },
+            'Local_Authority_(Highway)': { type: 'string' }
+        }
+    },
+    cleaned: {
+        columns: {
+            Latitude: { type: 'number', required: true, bounds: 'latitude' },
+            Longitude: { type: 'number', required: true, bounds: 'longitude' },
+            Date: { type: 'date', format: 'iso', required: true },
+            Year: { type: 'integer', required: true, range: [1979, 2030] },
+            Month: { type: 'integer', required: true, range: [1, 12] },
+            Hour: { type: 'integer', range: [0, 23] },
+            // Missing severities are filled from the raw data; rows still without one are
+            // rejected after enrichment (see checkParsed)
+            SeverityNumeric: { type: 'integer', codes: [1, 2, 3], sentinels: ['0'] },
+            Weather: { type: 'string' },
+            NumberOfVehicles: { type: 'integer', range: [1, 100] },
+            NumberOfCasualties: { type: 'integer', range: [0, 100] },
+            SpeedLimit: { type: 'integer', range: [10, 70], sentinels: ['-1'] },
+            IsRushHour: { type: 'boolean' },
+            IsWeekend: { type: 'boolean' },
+            IsUrban: { type: 'boolean' },
+            IsMultiVehicle: { type: 'boolean' }
+        },
+        checkParsed: row => row.SeverityNumeric > 0 ? null : 'SeverityNumeric: Unknown after enrichment'
+    },
+    // Companion STATS19 tables, one row per vehicle / casualty. Accident_Index starts with the
+    // accident year, which scopes them to the same period as the raw accidents.
+    vehicles: {
+        period: { column: 'Accident_Index', format: 'indexYear', years: [2010, 2015] },
+        columns: {
+            Accident_Index: { type: 'string', required: true },
+            Vehicle_Reference: { type: 'integer', range: [1, 999] },
+            Vehicle_Type: { type: 'integer', sentinels: ['-1'] },
+            Sex_of_Driver: { type: 'integer', codes: [1, 2, 3], sentinels: ['-1'] },
+            Age_Band_of_Driver: { type: 'integer', range: [1, 11], sentinels: ['-1'] }
+        }
+    },
+    casualties: {
+        period: { column: 'Accident_Index', format: 'indexYear', years: [2010, 2015] },
+        columns: {
+            Accident_Index: { type: 'string', required: true },
+            Vehicle_Reference: { type: 'integer', range: [1, 999] },
+            Casualty_Class: { type: 'integer', codes: [1, 2, 3] },
+            Sex_of_Casualty: { type: 'integer', codes: [1, 2], sentinels: ['-1'] },
+            Age_Band_of_Casualty: { type: 'integer', range: [1, 11], sentinels: ['-1'] },
+            Casualty_Severity: { type: 'integer', required: true, codes: [1, 2, 3] },
+            Casualty_Type: { type: 'integer', sentinels: ['-1'] }
+        }
+    }
+};
+
+// Year a row belongs to for a period check ({ column, format: 'dmy' or 'indexYear', years }), or null
+function getPeriodYear(raw, period) {
+    const value = raw[period.column];
+    if (period.format === 'indexYear') {
+        const year = parseInt(String(value).slice(0, 4));
+        return isNaN(year) ? null : year;
+    }
+    const date = parseDayMonthYear(value);
+    return date ? date.getFullYear() : null;
+}
+
+// Date from DD/MM/YYYY, or null
+function parseDayMonthYear(value) {
+    const match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(value);
+    if (!match) return null;
+    const date = new Date(+match[3], +match[2] - 1, +match[1]);
+    return date.getMonth() === +match[2] - 1 ? date : null; // Rejects e.g. 31/02
+}
+
+// Problem category for one raw value, or null if it is valid
+function validateValue(raw, spec) {
+    const value = raw === undefined || raw === null ? '' : String(raw).trim();
+    if (value === '') return 'missing';
+    if (spec.sentinels && spec.sentinels.includes(value)) return 'sentinel';
+
+    switch (spec.type) {
+        case 'number':
+        case 'integer': {
+            const number = Number(value);
+            if (isNaN(number) || (spec.type === 'integer' && !Number.isInteger(number))) return 'unparseable';
+            if (spec.bounds) {
+                const axis = spec.bounds === 'latitude' ? 1 : 0;
+                if (number < ukBounds.southWest[axis] || number > ukBounds.northEast[axis]) return 'outOfBounds';
+            }
+            if (spec.range && (number < spec.range[0] || number > spec.range[1])) return 'outOfRange';
+            if (spec.codes && !spec.codes.includes(number)) return 'outOfRange';
+            return null;
+        }
+        case 'date': {
+            const date = spec.format === 'dmy' ? parseDayMonthYear(value) : new Date(value);
+            return date && !isNaN(date) ? null : 'unparseable';
+        }
+        case 'time': {
+            const match = /^(\d{1,2}):(\d{2})/.exec(value);
+            return match && +match[1] < 24 && +match[2] < 60 ? null : 'unparseable';
+        }
+        case 'boolean':
+            return value === 'True' || value === 'False' ? null : 'unparseable';
+        default:
+            return null;
+    }
+}
+
+// Empty quality report for a dataset, filled in by recordRowQuality as rows are read
+function createQualityReport(dataset, period = dataSchemas[dataset].period) {
+    const columns = {};
+    Object.keys(dataSchemas[dataset].columns).forEach(name => {
+        columns[name] = { valid: 0, ...Object.fromEntries(Object.keys(qualityCategories).map(c => [c, 0])) };
+    });
+    return {
+        period,
+        rowsRead: 0,
+        outOfPeriod: 0,
+        accepted: 0,
+        rejected: 0,
+        reasons: {}, // Rejection reason -> row count
+        columns,
+        rejectedRows: [] // Up to maxRejectedRows raw rows, with their row number and reasons
+    };
+}
+
+// Validate a raw row against its dataset schema, recording problems in the report.
+// Returns whether the row should be kept (the schema's checkParsed may still reject it once parsed).
+function recordRowQuality(raw, dataset, report) {
+    const schema = dataSchemas[dataset];
+    const period = report.period;
+    report.rowsRead++;
+
+    if (period) {
+        const year = getPeriodYear(raw, period);
+        if (year !== null && (year < period.years[0] || year > period.years[1])) {
+            report.outOfPeriod++;
+            return false;
+        }
+    }
+
+    const reasons = [];
+    Object.entries(schema.columns).forEach(([name, spec]) => {
+        const problem = validateValue(raw[name], spec);
+        if (problem) {
+            report.columns[name][problem]++;
+            if (spec.required) reasons.push(`${name}: ${qualityCategories[problem]}`);
+        } else {
+            report.columns[name].valid++;
+        }
+    });
+
+    if (reasons.length > 0) {
+        rejectRow(raw, reasons, report);
+        return false;
+    }
+    return true;
+}
+
+// Count a rejected row and keep it for download while under the limit
+function rejectRow(raw, reasons, report) {
+    report.rejected++;
+    reasons.forEach(reason => {
+        report.reasons[reason] = (report.reasons[reason] || 0) + 1;
+    });
+    if (report.rejectedRows.length < maxRejectedRows) {
+        report.rejectedRows.push({ Row: report.rowsRead, Reasons: reasons.join('; '), ...raw });
+    }
+}
@@ -0,0 +1,14 @@
+// Web Worker that loads the accident CSVs off the main thread (see dataPipeline.js)
+
+importScripts('https://d3js.org/d3.v7.min.js', 'spatialIndex.js', 'dataCache.js', 'dataSchema.js', 'dataPipeline.js');
+
+self.onmessage = async event => {
+    const { type, sources, signatures } = event.data;
+    if (type !== 'load') return;
+
+    try {
+        await runDataPipeline(sources, message => self.postMessage(message), signatures);
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
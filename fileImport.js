@@ -0,0 +1,240 @@
+// Loading user-supplied STATS19 files: zip extraction, column detection against the known
+// schemas (dataSchema.js) and a mapping dialog for columns that can't be matched by name
+
+// Columns that identify each kind of CSV, and the columns to map for it
+const importKinds = {
+    folder: {
+        label: 'Raw STATS19 accidents',
+        signature: ['Accident_Severity', 'Number_of_Vehicles', 'Local_Authority_(Highway)'],
+        columns: () => Object.keys(dataSchemas.folder.columns)
+    },
+    cleaned: {
+        label: 'Cleaned accidents',
+        signature: ['SeverityNumeric', 'IsUrban', 'IsWeekend'],
+        columns: () => Object.keys(dataSchemas.cleaned.columns)
+    },
+    vehicles: {
+        label: 'Vehicles',
+        signature: ['Vehicle_Reference', 'Vehicle_Type', 'Age_Band_of_Driver'],
+        columns: () => Object.keys(dataSchemas.vehicles.columns)
+    },
+    casualties: {
+        label: 'Casualties',
+        signature: ['Casualty_Reference', 'Casualty_Class', 'Casualty_Severity'],
+        columns: () => Object.keys(dataSchemas.casualties.columns)
+    },
+    // Any UK/contextCSVs lookup; applied to the field its file is named after (see codeLabels.js)
+    lookup: {
+        label: 'Code/Label lookup',
+        signature: ['Code', 'Label'],
+        columns: () => ['Code', 'Label']
+    }
+};
+
+// Column names compared case- and punctuation-insensitively, so newer extracts
+// (e.g. local_authority_highway) match the 2005-2015 names (Local_Authority_(Highway))
+function normaliseColumnName(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Map each expected column to the header column with the same normalised name
+function matchColumns(header, columns) {
+    const byName = new Map(header.map(name => [normaliseColumnName(name), name]));
+    const mapping = {};
+    columns.forEach(column => {
+        const match = byName.get(normaliseColumnName(column));
+        if (match) mapping[column] = match;
+    });
+    return mapping;
+}
+
+// Best matching kind for a header, with its column mapping; kind is null if nothing matches
+function detectCsvKind(header) {
+    let best = { kind: null, mapping: {}, score: 0 };
+    Object.entries(importKinds).forEach(([kind, spec]) => {
+        const signature = matchColumns(header, spec.signature);
+        const score = Object.keys(signature).length / spec.signature.length;
+        if (score > best.score) {
+            best = { kind, mapping: matchColumns(header, spec.columns()), score };
+        }
+    });
+    return best.score >= 2 / 3 ? best : { kind: null, mapping: {}, score: 0 };
+}
+
+// Expected columns of a kind that the mapping leaves out
+function unmappedColumns(kind, mapping) {
+    return importKinds[kind].columns().filter(column => !mapping[column]);
+}
+
+// Whether a column is required by the kind's schema (rows without it are rejected)
+function isRequiredColumn(kind, column) {
+    const schema = dataSchemas[kind];
+    return kind === 'lookup' || Boolean(schema && schema.columns[column].required);
+}
+
+// First line of a CSV, as column names
+async function readCsvHeader(blob) {
+    const text = await blob.slice(0, 65536).text();
+    const header = d3.csvParseRows(text.replace(/^\uFEFF/, '').split(/\r?\n/)[0])[0] || [];
+    return header.map(name => name.trim());
+}
+
+// Expand dropped files into CSV entries ({ name, blob }), unzipping any zip archives
+async function expandUploads(fileList) {
+    const entries = [];
+    for (const file of Array.from(fileList)) {
+        if (/\.zip$/i.test(file.name)) {
+            (await readZipEntries(file)).forEach(entry => entries.push(entry));
+        } else if (/\.csv$/i.test(file.name)) {
+            entries.push({ name: file.name, blob: file });
+        }
+    }
+    return entries;
+}
+
+// CSV entries of a zip archive. Supports stored and deflated entries (not zip64 or encryption).
+async function readZipEntries(file) {
+    const buffer = await file.arrayBuffer();
+    const view = new DataView(buffer);
+
+    // The end-of-central-directory record sits in the last 64 KB (22 bytes plus any comment)
+    let end = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+            end = i;
+            break;
+        }
+    }
+    if (end < 0) throw new Error(`${file.name} is not a zip archive`);
+
+    const entryCount = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    if (offset === 0xffffffff) throw new Error(`${file.name} is a zip64 archive; extract the CSVs and drop them instead`);
+
+    const decoder = new TextDecoder();
+    const entries = [];
+    for (let i = 0; i < entryCount; i++) {
+        if (view.getUint32(offset, true) !== 0x02014b50) throw new Error(`${file.name}: corrupt central directory`);
+
+        const flags = view.getUint16(offset + 8, true);
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (!/\.csv$/i.test(name) || /(^|\/)(__MACOSX|\.)/.test(name)) continue;
+        if (flags & 1) throw new Error(`${name} in ${file.name} is encrypted`);
+
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const data = new Blob([buffer.slice(dataStart, dataStart + compressedSize)]);
+        let blob;
+        if (method === 0) {
+            blob = data;
+        } else if (method === 8) {
+            if (typeof DecompressionStream === 'undefined') {
+                throw new Error('This browser cannot unzip files; extract the CSVs and drop them instead');
+            }
+            blob = await new Response(data.stream().pipeThrough(new DecompressionStream('deflate-raw'))).blob();
+        } else {
+            throw new Error(`${name} in ${file.name} uses an unsupported compression method (${method})`);
+        }
+        entries.push({ name: name.split('/').pop(), blob });
+    }
+    return entries;
+}
+
+// Whether a detected file should be confirmed in the mapping dialog: unknown kind, a missing
+// required column, or optional columns missing while the file has unmatched columns to offer
+function needsColumnMapping(header, detected) {
+    if (!detected.kind) return true;
+    const missing = unmappedColumns(detected.kind, detected.mapping);
+    const used = new Set(Object.values(detected.mapping));
+    return missing.some(column => isRequiredColumn(detected.kind, column)) ||
+        (missing.length > 0 && header.some(name => !used.has(name)));
+}
+
+// Ask which kind of file this is and which of its columns hold the expected ones.
+// Resolves to { kind, mapping }, or null if the file should be skipped.
+function showColumnMappingDialog(fileName, header, detected) {
+    return new Promise(resolve => {
+        const backdrop = document.createElement('div');
+        backdrop.className = 'modal-backdrop';
+        document.body.appendChild(backdrop);
+
+        let kind = detected.kind || 'folder';
+        let mapping = detected.kind ? { ...detected.mapping } : matchColumns(header, importKinds[kind].columns());
+
+        const close = result => {
+            backdrop.remove();
+            resolve(result);
+        };
+
+        const render = () => {
+            const rows = importKinds[kind].columns().map(column => `
+                <tr>
+                    <td>${column}${isRequiredColumn(kind, column) ? ' <span class="quality-required">required</span>' : ''}</td>
+                    <td>
+                        <select data-column="${column}">
+                            <option value="">— not in file —</option>
+                        </select>
+                    </td>
+                </tr>
+            `).join('');
+            const missingRequired = importKinds[kind].columns().filter(column => isRequiredColumn(kind, column) && !mapping[column]);
+
+            backdrop.innerHTML = `
+                <div class="modal" role="dialog" aria-modal="true">
+                    <h3 class="mapping-title"></h3>
+                    <p class="details-note">${detected.kind ? 'Some expected columns were not found by name.' : 'The file type could not be detected from its columns.'}
+                        Choose which column holds each field; other columns are kept as they are.</p>
+                    <label class="filter-control">
+                        <span>File contains</span>
+                        <select class="mapping-kind">
+                            ${Object.entries(importKinds).map(([value, spec]) => `<option value="${value}"${value === kind ? ' selected' : ''}>${spec.label}</option>`).join('')}
+                        </select>
+                    </label>
+                    <div class="quality-table"><table>
+                        <thead><tr><th>Field</th><th>Column in file</th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table></div>
+                    ${missingRequired.length > 0 ? `<p class="details-note">Without ${missingRequired.join(', ')} every row will be rejected.</p>` : ''}
+                    <div class="modal-actions">
+                        <button type="button" class="mapping-skip">Skip file</button>
+                        <button type="button" class="mapping-apply">Load</button>
+                    </div>
+                </div>
+            `;
+
+            // The file name and its column names come from the file, so they are set as text
+            backdrop.querySelector('.mapping-title').textContent = `Map columns: ${fileName}`;
+            backdrop.querySelectorAll('select[data-column]').forEach(select => {
+                const column = select.dataset.column;
+                header.forEach(name => select.add(new Option(name, name, false, mapping[column] === name)));
+            });
+
+            backdrop.querySelector('.mapping-kind').addEventListener('change', event => {
+                kind = event.target.value;
+                mapping = matchColumns(header, importKinds[kind].columns());
+                render();
+            });
+            backdrop.querySelectorAll('select[data-column]').forEach(select => {
+                select.addEventListener('change', () => {
+                    if (select.value) {
+                        mapping[select.dataset.column] = select.value;
+                    } else {
+                        delete mapping[select.dataset.column];
+                    }
+                    render();
+                });
+            });
+            backdrop.querySelector('.mapping-skip').addEventListener('click', () => close(null));
+            backdrop.querySelector('.mapping-apply').addEventListener('click', () => close({ kind, mapping }));
+        };
+
+        render();
+    });
+}
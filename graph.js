@@ -3,8 +3,30 @@
 
 let ukData = [];
 let ukFolderData = []; // Data from UK/Accidents0515.csv for 5-year visualizations
-let localAuthorityMap = new Map(); // Map for Local Authority Highway codes to names
+let ukVehicleData = []; // Optional UK/Vehicles0515.csv rows, one per vehicle involved
+let ukCasualtyData = []; // Optional UK/Casualties0515.csv rows, one per casualty
+// Row arrays per dataset; they are filled and emptied in place, so these references stay valid
+const datasetRows = { folder: ukFolderData, cleaned: ukData, vehicles: ukVehicleData, casualties: ukCasualtyData };
+// Vehicle and casualty rows grouped by Accident_Index, built once per load so sections only
+// look up the filtered accidents
+const accidentJoins = { vehicles: new Map(), casualties: new Map() };
+let ukFolderIndex = null; // Spatial index over ukFolderData, built once after it loads
+let enrichmentSummary = null; // How many cleaned rows were matched to ukFolderData, and how closely
+const dataQuality = { folder: null, cleaned: null, vehicles: null, casualties: null }; // Validation reports per dataset (see dataSchema.js)
+let dataWorker = null; // Web Worker running the data pipeline while datasets load
+let dataSources = { ...dataFiles }; // Bundled files, or files dropped on the page (see describeSource)
+let loadGeneration = 0; // Incremented per load and on cancel, so messages from a superseded load are ignored
+let finishPendingLoad = null; // Resolves the promise of the load in progress when it is cancelled or superseded
+const datasetNotes = { folder: null, cleaned: null, vehicles: null, casualties: null }; // Why a dataset's source wasn't loaded, or how it was derived
+let uploadStatus = ''; // Progress or error message for dropped files
+const datasetReady = { folder: false, cleaned: false, vehicles: false, casualties: false }; // Sections render as their dataset arrives
+let cacheSignatures = {}; // fetchFileSignature() per dataset, keying the data cache (dataCache.js)
+const cacheStatus = { folder: null, cleaned: null, vehicles: null, casualties: null }; // 'hit', 'saving', 'stored' or 'unavailable'
+let cachedRollups = null; // Unfiltered section rollups restored from the data cache
 let processedData = null;
+let filteredData = []; // ukData after the global filters have been applied
+let filteredFolderData = []; // ukFolderData after the global filters have been applied
+const charts = {}; // Chart.js instances keyed by canvas id, so re-renders can destroy them
 
 // Color scheme
 const colors = {
@@ -16,681 +38,4184 @@ const colors = {
     danger: '#fa709a'
 };
 
+const monthNames = ['January', 'February', 'March', 'April', 'May', 'June',
+                    'July', 'August', 'September', 'October', 'November', 'December'];
+
+// Global filters shared by every section ('' means "any")
+const filters = {
+    year: '',
+    month: '',
+    severity: '',
+    weather: '',
+    IsUrban: '',
+    IsWeekend: '',
+    IsRushHour: '',
+    IsMultiVehicle: '',
+    speedMin: '',
+    speedMax: '',
+    localAuthority: ''
+};
+
+// Cross-filter selections made by clicking chart elements (shift-click adds to a selection)
+const selections = {
+    hour: [],
+    month: [],
+    weather: [],
+    hotspot: [] // Hot-spot region keys (see parseHotSpotRegion)
+};
+
+// Hot-spot clustering algorithm and parameters, exposed in the hot-spot section controls
+const hotSpotSettings = {
+    algorithm: 'grid',
+    gridSize: 0.01, // Approximately 1km grid
+    minCount: 5,
+    epsilonMetres: 250,
+    minPts: 5,
+    hexRadiusMetres: 500,
+    alpha: 0.05,
+    maxSpots: 50
+};
+
+const hotSpotAlgorithms = {
+    grid: { label: 'Fixed grid', params: ['gridSize', 'minCount'] },
+    dbscan: { label: 'DBSCAN', params: ['epsilonMetres', 'minPts'] },
+    hexbin: { label: 'Hexagonal binning', params: ['hexRadiusMetres', 'minCount'] },
+    getisOrd: { label: 'Getis-Ord Gi*', params: ['hexRadiusMetres'] }
+};
+
+const hotSpotParameters = {
+    gridSize: { label: 'Cell size (°)', min: 0.001, step: 0.001 },
+    minCount: { label: 'Min accidents', min: 1, step: 1 },
+    epsilonMetres: { label: 'ε (m)', min: 10, step: 10 },
+    minPts: { label: 'minPts', min: 2, step: 1 },
+    hexRadiusMetres: { label: 'Hex radius (m)', min: 50, step: 50 },
+    alpha: { label: 'Significance level', options: [0.1, 0.05, 0.01] },
+    maxSpots: { label: 'Max shown', min: 1, step: 1 }
+};
+
+// Hot-spot map state: boundary GeoJSON and the current zoom/pan (ukBounds is in dataSchema.js).
+// A detailed boundary placed at ukBoundaryUrl replaces the bundled outline (ukOutline.js).
+const ukBoundaryUrl = 'UK/geo/uk_boundary.geojson';
+let ukBoundary = null;
+let hotSpotMapTransform = d3.zoomIdentity;
+
+// Local authority choropleth: boundaries keyed on the highway authority code, plus optional
+// population / road length per authority (columns Code, Population, RoadLengthKm) for normalisation
+const localAuthorityBoundaryUrl = 'UK/geo/local_authority_highway.geojson';
+const localAuthorityBoundaryKeys = ['code', 'Code', 'LAD13CD', 'LAD15CD', 'CTYUA15CD'];
+const localAuthorityContextUrl = 'UK/contextCSVs/Local_Authority_Highway_Context.csv';
+let localAuthorityBoundaries = null;
+let localAuthorityContext = new Map();
+let authorityMetric = 'count';
+let authoritySort = { key: 'count', descending: true };
+let authorityMapTransform = d3.zoomIdentity;
+
+// Breakdown picked in the casualty section (see casualtyBreakdowns)
+let casualtyBreakdown = 'roadUser';
+
+// Casualty_Type codes grouped into road users (codes not listed count as "Other")
+const roadUserGroups = {
+    Pedestrian: ['0'],
+    Cyclist: ['1'],
+    Motorcyclist: ['2', '3', '4', '5', '23', '97'],
+    'Car occupant': ['8', '9'],
+    'Bus or coach occupant': ['10', '11'],
+    'Goods vehicle occupant': ['19', '20', '21', '98']
+};
+
+const severityColors = { 1: '#c0392b', 2: '#e67e22', 3: '#f6c344' };
+
+// Metric plotted by the hour, month and weather charts. Rates are shares of each group's
+// accidents with 95% Wilson intervals; casualties per accident has a bootstrap interval.
+const groupMetrics = {
+    count: { label: 'Accidents', axis: 'Number of Accidents' },
+    ksiRate: { label: 'KSI rate', axis: 'Killed or seriously injured (%)', interval: 'Wilson' },
+    fatalRate: { label: 'Fatal rate', axis: 'Fatal (%)', interval: 'Wilson' },
+    casualtiesPerAccident: { label: 'Casualties per accident', axis: 'Casualties per accident', interval: 'bootstrap' }
+};
+let groupMetric = 'count';
+const minGroupAccidents = 30; // Groups with fewer accidents are flagged as small samples
+
+// Comparison mode: the month, hour and weather charts draw one series per period, each tested
+// against the first. Periods are whole years or inclusive date ranges (YYYY-MM-DD).
+const comparison = {
+    enabled: false,
+    periods: [] // { type: 'year', year } or { type: 'range', from, to }
+};
+const maxComparisonPeriods = 4;
+const comparisonColors = ['#667eea', '#fa709a', '#4facfe', '#f6c344'];
+const parseDateKey = d3.timeParse('%Y-%m-%d');
+
+// Road and environment columns of the raw accidents, charted in the conditions sections.
+// Categories are decoded through codeLabels.js unless the dimension names them itself.
+const conditionDimensions = {
+    Road_Type: { label: 'Road type' },
+    Road_Surface_Conditions: { label: 'Road surface' },
+    Light_Conditions: { label: 'Light conditions' },
+    Junction_Detail: { label: 'Junction detail' },
+    Junction_Control: { label: 'Junction control' },
+    Speed_limit: { label: 'Speed limit', name: code => `${code} mph` },
+    Urban_or_Rural_Area: { label: 'Urban or rural' }
+};
+
+// Measures for the conditions chart and heatmap
+const conditionMeasures = {
+    count: { label: 'Accidents' },
+    share: { label: 'Severity mix (%)' },
+    fatalRate: { label: 'Fatal rate (%)' },
+    ksiRate: { label: 'Fatal/serious rate (%)' }
+};
+
+const conditionSettings = {
+    dimension: 'Road_Type',
+    measure: 'count',
+    heatmapRows: 'Light_Conditions',
+    heatmapColumns: 'Road_Surface_Conditions',
+    heatmapMeasure: 'ksiRate'
+};
+
+// Heatmap cells with fewer accidents than this show no rate (too noisy to compare)
+const minHeatmapCellAccidents = 20;
+
+// Cleaned-dataset columns offered in the correlation heatmap
+const correlationVariables = {
+    SeverityNumeric: { type: 'numeric' },
+    NumberOfVehicles: { type: 'numeric' },
+    NumberOfCasualties: { type: 'numeric' },
+    SpeedLimit: { type: 'numeric' },
+    Hour: { type: 'numeric' },
+    Month: { type: 'numeric' },
+    CasualtyRate: { type: 'numeric' },
+    IsUrban: { type: 'flag' },
+    IsRushHour: { type: 'flag' },
+    IsWeekend: { type: 'flag' },
+    HasRain: { type: 'flag' },
+    HasSnow: { type: 'flag' },
+    HasFog: { type: 'flag' },
+    IsMultiVehicle: { type: 'flag' }
+};
+
+// Coefficients for pairs of numeric columns
+const correlationMethods = {
+    pearson: 'Pearson r',
+    spearman: 'Spearman ρ',
+    kendall: 'Kendall τ-b'
+};
+
+const correlationMeasureNames = {
+    ...correlationMethods,
+    pointBiserial: 'Point-biserial r',
+    cramersV: "Cramér's V"
+};
+
+const correlationSettings = {
+    method: 'pearson',
+    variables: ['SeverityNumeric', 'NumberOfVehicles', 'NumberOfCasualties', 'SpeedLimit', 'Hour', 'CasualtyRate',
+        'IsUrban', 'IsRushHour', 'IsWeekend', 'HasRain'],
+    pair: null // [a, b] variables shown in the drill-down
+};
+
+const maxKendallRows = 2000; // Kendall's tau compares every pair of rows, so larger inputs are sampled
+
+// Severe-outcome risk model (riskModel.js) over the raw accidents: a logistic regression, and
+// optionally a classification tree, fitted on 70% of the accidents with every predictor recorded
+// and checked on the other 30%
+const riskOutcomes = {
+    ksi: { label: 'Fatal or serious', severities: [1, 2] },
+    fatal: { label: 'Fatal', severities: [1] }
+};
+const riskModelSettings = { outcome: 'ksi', tree: false };
+const riskTestShare = 0.3;
+const minRiskModelRows = 300;
+const maxRiskModelRows = 50000; // Larger inputs are sampled to keep refitting fast
+const riskOtherLevel = 'other'; // Categories too rare to estimate on their own, pooled
+
+const timeOfDayBands = {
+    night: 'Night (22:00–05:59)',
+    morning: 'Morning (06:00–09:59)',
+    day: 'Daytime (10:00–15:59)',
+    evening: 'Evening (16:00–21:59)'
+};
+
+// Predictors: value() reads a number, flag or category code from a raw accident (null when not
+// recorded). Hour enters as time-of-day bands, as severity doesn't change linearly through the day.
+const riskPredictors = {
+    SpeedLimit: { label: 'Speed limit', type: 'numeric', scale: 10, unit: 'per 10 mph', value: d => d.SpeedLimit > 0 ? d.SpeedLimit : null },
+    Hour: { label: 'Time of day', type: 'category', value: d => d.Hour === null || isNaN(d.Hour) ? null : getTimeOfDay(d.Hour), name: band => timeOfDayBands[band] },
+    IsUrban: { label: 'Urban area', type: 'flag', value: d => d.IsUrban },
+    IsWeekend: { label: 'Weekend', type: 'flag', value: d => d.IsWeekend },
+    HasRain: { label: 'Rain', type: 'flag', value: d => ['2', '5'].includes(getWeatherCode(d)) },
+    HasFog: { label: 'Fog or mist', type: 'flag', value: d => getWeatherCode(d) === '7' },
+    NumberOfVehicles: { label: 'Vehicles involved', type: 'numeric', scale: 1, unit: 'per vehicle', value: d => d.NumberOfVehicles > 0 ? d.NumberOfVehicles : null },
+    Road_Surface_Conditions: { label: 'Road surface', type: 'category', value: d => getConditionCode(d, 'Road_Surface_Conditions'),
+        name: code => decode('Road_Surface_Conditions', code) }
+};
+
+let riskModel = null; // Last fitted model, used by the what-if form
+const riskScenario = {}; // What-if values by predictor; unset ones take the model's typical value
+
+const timeSeriesSettings = { resolution: 'monthly' }; // Key of timeSeriesResolutions (timeSeries.js)
+
+const calendarSettings = {
+    year: null, // Year shown on the calendar; the latest year with accidents when not set
+    day: null, // YYYY-MM-DD whose accidents are listed
+    matrixMeasure: 'count'
+};
+
+const weekdayHourMeasures = {
+    count: { label: 'Accidents' },
+    ksiRate: { label: 'Fatal/serious rate (%)' }
+};
+
+// STATS19 Day_of_Week codes (1 = Sunday) in Monday-first order, with names used when the
+// Day_of_Week lookup is not loaded
+const weekdayCodes = ['2', '3', '4', '5', '6', '7', '1'];
+const weekdayNames = { 1: 'Sunday', 2: 'Monday', 3: 'Tuesday', 4: 'Wednesday', 5: 'Thursday', 6: 'Friday', 7: 'Saturday' };
+
+const maxListedDayAccidents = 200;
+const formatDateKey = d3.timeFormat('%Y-%m-%d');
+
+// Before/after analysis of a scheme: the area (a hot spot or a circle) and when it came into use
+const interventionSettings = {
+    area: 'hotspot', // 'hotspot' or 'point'
+    hotSpotKey: null, // Region key of the chosen hot spot (see parseHotSpotRegion)
+    hotSpotLabel: null,
+    lat: null,
+    lon: null,
+    radiusMetres: 500,
+    date: null, // YYYY-MM-DD; the first of the month mid-way through the data when not set
+    years: 3 // Length of the before and after periods, cut to the data's date range
+};
+let currentHotSpots = []; // Hot spots on the map, offered as intervention areas
+
+// Boolean flags that can be filtered on, with their display names
+const flagFilters = {
+    IsUrban: 'Urban',
+    IsWeekend: 'Weekend',
+    IsRushHour: 'Rush Hour',
+    IsMultiVehicle: 'Multi-Vehicle'
+};
+
 // Initialize dashboard
 document.addEventListener('DOMContentLoaded', async () => {
     try {
-        await loadLocalAuthorityMap(); // Load Local Authority Highway mapping
-        await loadUKFolderData(); // Load UK folder data first (needed for severity enhancement)
-        await loadData(); // Load main data (can now enhance with severity from UK folder data)
-        processData();
-        renderDescriptiveStats();
-        renderHotSpotAnalysis();
-        renderTrendAnalysis();
-        renderMonthlyChart();
-        renderCorrelationMatrix();
-        renderRegionChart();
-        renderWeatherChart();
-        renderFiveYearTrend();
-        renderFiveYearWeather();
+        buildSections(); // Add the registered sections to the page (see sections.js)
+        restoreUrlState(); // Apply the filters and settings in a shared link (see urlState.js)
+        setupExportControls(); // Chart, table and record exports per section (see dataExport.js)
+        setupReportControls(); // Printable briefing report of the current view (see report.js)
+        setupFileDrop(); // Accept STATS19 files dropped anywhere on the page
+        await loadCodeLabels(); // Load the Code/Label lookups from UK/contextCSVs (see codeLabels.js)
+        await loadUKBoundary(); // Load the boundary drawn under the hot-spot map
+        await loadLocalAuthorityBoundaries(); // Load the choropleth boundaries and normalisation data
+        await loadDatasets(); // Load UK folder data and main data in a worker, rendering as each arrives
     } catch (error) {
         console.error('Error initializing dashboard:', error);
-        document.body.innerHTML = '<div class="loading">Error loading data. Please check the console.</div>';
+        const panel = document.getElementById('loading-panel');
+        panel.innerHTML = '<div class="section-error" role="alert"></div>';
+        panel.querySelector('.section-error').textContent = `Error loading data: ${error.message}. Please check the console.`;
+        panel.style.display = '';
     }
 });
 
-// Load Local Authority Highway mapping
-async function loadLocalAuthorityMap() {
-    return new Promise((resolve, reject) => {
-        d3.csv('UK/contextCSVs/Local_Authority_Highway.csv').then(data => {
-            data.forEach(d => {
-                localAuthorityMap.set(d.Code, d.Label);
+// Apply the global filters and (re-)render every section from the filtered view.
+// Sections backed by cached rollups render before their dataset while the view is unfiltered.
+function renderDashboard() {
+    filteredData = ukData.filter(d => matchesFilters(d) && matchesSelections(d));
+    filteredFolderData = ukFolderData.filter(d => matchesFilters(d) && matchesSelections(d));
+
+    renderActiveFilters();
+    renderActiveSelections();
+    
+    renderSections(cachedRollups !== null && isUnfilteredView());
+    renderComparisonNotices();
+}
+
+// Whether no filter or selection is active, so sections show the whole of each dataset
+function isUnfilteredView() {
+    return describeActiveFilters().length === 0 && !hasSelections();
+}
+
+// A section rollup: the cached copy when the view is unfiltered, otherwise computed.
+// matches optionally checks the cached copy still applies (e.g. same hot-spot settings).
+function getRollup(name, compute, matches = () => true) {
+    const cached = cachedRollups && cachedRollups[name];
+    if (cached && isUnfilteredView() && matches(cached)) return cached.value;
+    return compute();
+}
+
+// Sections of the dashboard in page order (see sections.js). Each renders from the filtered data
+// when its datasets have loaded; the data source and filter panels are static in index.html.
+
+registerSection({
+    id: 'comparison',
+    title: 'Period Comparison',
+    order: 10,
+    className: 'filter-section',
+    datasets: ['cleaned'],
+    comparable: true,
+    body: `
+        <div id="comparison-controls" class="comparison-controls"></div>
+        <div id="comparison-summary" class="details-box"></div>
+    `,
+    render: () => {
+        renderComparisonControls();
+        renderComparisonSummary();
+    }
+});
+
+registerSection({
+    id: 'descriptive-stats',
+    title: 'Descriptive Statistics',
+    order: 20,
+    className: 'stats-section',
+    datasets: ['cleaned'],
+    body: `
+        <div id="descriptive-stats" class="stats-grid"></div>
+    `,
+    render: renderDescriptiveStats
+});
+
+registerSection({
+    id: 'insights',
+    title: 'Insights',
+    order: 30,
+    datasets: ['cleaned', 'folder'],
+    body: `
+        <div id="insights-list" class="details-box"></div>
+    `,
+    compute: findInsights,
+    render: renderInsights
+});
+
+registerSection({
+    id: 'hotspots',
+    title: 'Hot Spot Analysis: Average Severity by Location Clusters',
+    order: 40,
+    datasets: ['cleaned'],
+    cached: true,
+    body: `
+        <div id="hotspot-controls" class="section-controls"></div>
+        <div id="hotspot-map" class="chart-container map-container"></div>
+        <div id="hotspot-details" class="details-box"></div>
+    `,
+    render: renderHotSpotAnalysis
+});
+
+registerSection({
+    id: 'intervention',
+    title: 'Before/After Intervention Analysis',
+    order: 50,
+    datasets: ['folder'],
+    body: `
+        <div id="intervention-controls" class="section-controls"></div>
+        <div class="chart-container">
+            <canvas id="intervention-chart"></canvas>
+        </div>
+        <div id="intervention-analysis" class="details-box"></div>
+    `,
+    render: renderInterventionAnalysis
+});
+
+registerSection({
+    id: 'local-authorities',
+    title: 'Accident Rates by Local Authority (Highway)',
+    order: 60,
+    datasets: ['folder'],
+    body: `
+        <div class="section-controls">
+            <label>Metric <select id="authority-metric"></select></label>
+        </div>
+        <div class="choropleth-layout">
+            <div id="authority-map" class="chart-container map-container"></div>
+            <div id="authority-table" class="ranking-table"></div>
+        </div>
+    `,
+    compute: aggregateByLocalAuthority,
+    render: renderLocalAuthorityAnalysis
+});
+
+registerSection({
+    id: 'monthly-trend',
+    title: 'Accident Trends Over Time',
+    order: 70,
+    datasets: ['cleaned'],
+    cached: true,
+    body: `
+        <div class="chart-container">
+            <canvas id="trend-chart"></canvas>
+        </div>
+        <div id="trend-analysis" class="details-box"></div>
+    `,
+    render: renderTrendAnalysis
+});
+
+registerSection({
+    id: 'monthly',
+    title: 'Accidents by Month',
+    order: 80,
+    datasets: ['cleaned'],
+    cached: true,
+    comparable: true,
+    setup: renderMetricControls,
+    body: `
+        <div class="section-controls">
+            <label>Metric <select class="metric-select"></select></label>
+        </div>
+        <div class="chart-container">
+            <canvas id="monthly-chart"></canvas>
+        </div>
+    `,
+    render: renderMonthlyChart
+});
+
+registerSection({
+    id: 'correlation',
+    title: 'Correlation Matrix',
+    order: 90,
+    datasets: ['cleaned'],
+    body: `
+        <div class="section-controls">
+            <label>Numeric pairs <select id="correlation-method"></select></label>
+        </div>
+        <div id="correlation-variables" class="variable-picker"></div>
+        <div id="correlation-heatmap"></div>
+        <div id="correlation-drilldown" class="details-box" hidden>
+            <div id="correlation-pair-summary"></div>
+            <div id="correlation-pair-chart-container" class="chart-container">
+                <canvas id="correlation-pair-chart"></canvas>
+            </div>
+            <div id="correlation-pair-table"></div>
+        </div>
+        <div id="correlation-insights" class="details-box"></div>
+    `,
+    render: renderCorrelationMatrix
+});
+
+registerSection({
+    id: 'risk-model',
+    title: 'Risk Model: Probability of a Severe Outcome',
+    order: 100,
+    datasets: ['folder'],
+    body: `
+        <div class="section-controls">
+            <label>Outcome <select id="risk-outcome"></select></label>
+            <label><input type="checkbox" id="risk-tree-toggle"> Also fit a decision tree</label>
+        </div>
+        <div id="risk-model-summary" class="details-box"></div>
+        <div class="chart-container">
+            <canvas id="risk-calibration-chart"></canvas>
+        </div>
+        <div id="risk-tree" class="details-box" hidden></div>
+        <div id="risk-what-if" class="details-box"></div>
+    `,
+    compute: fitRiskModel,
+    render: renderRiskModel
+});
+
+registerSection({
+    id: 'hourly',
+    title: 'Accidents by Hour',
+    order: 110,
+    datasets: ['cleaned'],
+    comparable: true,
+    setup: renderMetricControls,
+    body: `
+        <div class="section-controls">
+            <label>Metric <select class="metric-select"></select></label>
+        </div>
+        <div class="chart-container">
+            <canvas id="hour-chart"></canvas>
+        </div>
+    `,
+    render: renderHourChart
+});
+
+registerSection({
+    id: 'weather',
+    title: 'Weather Conditions Impact on Accidents',
+    order: 120,
+    datasets: ['cleaned'],
+    comparable: true,
+    setup: renderMetricControls,
+    body: `
+        <div class="section-controls">
+            <label>Metric <select class="metric-select"></select></label>
+        </div>
+        <div class="chart-container">
+            <canvas id="weather-chart"></canvas>
+        </div>
+    `,
+    render: renderWeatherChart
+});
+
+registerSection({
+    id: 'five-year-trend',
+    title: '5-Year Accident Trend Analysis',
+    order: 130,
+    datasets: ['folder'],
+    cached: true,
+    body: `
+        <div class="chart-container">
+            <canvas id="five-year-trend-chart"></canvas>
+        </div>
+    `,
+    render: renderFiveYearTrend
+});
+
+registerSection({
+    id: 'five-year-weather',
+    title: '5-Year Weather Trend Analysis',
+    order: 140,
+    datasets: ['folder'],
+    cached: true,
+    body: `
+        <div class="chart-container">
+            <canvas id="five-year-weather-chart"></canvas>
+        </div>
+    `,
+    render: renderFiveYearWeather
+});
+
+registerSection({
+    id: 'time-series',
+    title: 'Time-Series Decomposition and Forecast',
+    order: 150,
+    datasets: ['folder'],
+    body: `
+        <div class="section-controls">
+            <label>Resolution <select id="time-series-resolution"></select></label>
+        </div>
+        <div class="chart-container">
+            <canvas id="time-series-chart"></canvas>
+        </div>
+        <div class="chart-container">
+            <canvas id="time-series-components-chart"></canvas>
+        </div>
+        <div id="time-series-analysis" class="details-box"></div>
+    `,
+    render: renderTimeSeriesAnalysis
+});
+
+registerSection({
+    id: 'calendar',
+    title: 'Daily Accident Calendar',
+    order: 160,
+    datasets: ['folder'],
+    body: `
+        <div class="section-controls">
+            <label>Year <select id="calendar-year"></select></label>
+        </div>
+        <div id="calendar-heatmap" class="calendar-container"></div>
+        <div id="calendar-day-details" class="details-box"></div>
+    `,
+    render: renderCalendarHeatmap
+});
+
+registerSection({
+    id: 'weekday-hour',
+    title: 'Accidents by Day of Week and Hour',
+    order: 170,
+    datasets: ['folder'],
+    body: `
+        <div class="section-controls">
+            <label>Show <select id="weekday-hour-measure"></select></label>
+        </div>
+        <div id="weekday-hour-matrix"></div>
+    `,
+    render: renderWeekdayHourMatrix
+});
+
+registerSection({
+    id: 'conditions',
+    title: 'Road and Environment Conditions',
+    order: 180,
+    datasets: ['folder'],
+    body: `
+        <div class="section-controls">
+            <label>Condition <select id="condition-dimension"></select></label>
+            <label>Show <select id="condition-measure"></select></label>
+        </div>
+        <div class="chart-container">
+            <canvas id="condition-chart"></canvas>
+        </div>
+        <div id="condition-analysis" class="details-box"></div>
+    `,
+    render: renderConditionAnalysis
+});
+
+registerSection({
+    id: 'condition-heatmap',
+    title: 'Compound Conditions Heatmap',
+    order: 190,
+    datasets: ['folder'],
+    body: `
+        <div class="section-controls">
+            <label>Rows <select id="heatmap-rows"></select></label>
+            <label>Columns <select id="heatmap-columns"></select></label>
+            <label>Show <select id="heatmap-measure"></select></label>
+        </div>
+        <div id="condition-heatmap"></div>
+    `,
+    render: renderConditionHeatmap
+});
+
+registerSection({
+    id: 'casualties',
+    title: 'Casualties by Road User',
+    order: 200,
+    datasets: ['folder', 'casualties'],
+    body: `
+        <div class="section-controls">
+            <label>Break down by <select id="casualty-breakdown"></select></label>
+        </div>
+        <div class="chart-container">
+            <canvas id="casualty-chart"></canvas>
+        </div>
+        <div id="casualty-analysis" class="details-box"></div>
+    `,
+    render: renderCasualtyAnalysis
+});
+
+registerSection({
+    id: 'vehicle-types',
+    title: 'Accidents by Vehicle Type',
+    order: 210,
+    datasets: ['folder', 'vehicles'],
+    body: `
+        <div class="chart-container">
+            <canvas id="vehicle-type-chart"></canvas>
+        </div>
+        <div id="vehicle-type-analysis" class="details-box"></div>
+    `,
+    render: renderVehicleTypeAnalysis
+});
+
+// Last, so the code-label report covers the codes every other section looked up
+registerSection({
+    id: 'data-quality',
+    title: 'Data Quality',
+    order: 1000,
+    body: `
+        <div id="data-quality" class="details-box"></div>
+        <div id="code-labels" class="details-box"></div>
+    `,
+    render: renderCodeLabelReport
+});
+// Chart.js plugin drawing interval whiskers from dataset.errorBars (one { low, high } per point;
+// points without one are skipped). Added to a chart through its config's plugins.
+const errorBarsPlugin = {
+    id: 'errorBars',
+    afterDatasetsDraw(chart) {
+        const { ctx } = chart;
+        chart.data.datasets.forEach((dataset, i) => {
+            const meta = chart.getDatasetMeta(i);
+            if (!dataset.errorBars || meta.hidden) return;
+            
+            const scale = chart.scales[meta.yAxisID];
+            ctx.save();
+            ctx.strokeStyle = dataset.errorBarColor || '#333';
+            ctx.lineWidth = 1.5;
+            meta.data.forEach((element, j) => {
+                const bar = dataset.errorBars[j];
+                if (!bar || bar.low === null || isNaN(bar.low)) return;
+                
+                const top = scale.getPixelForValue(bar.high);
+                const bottom = scale.getPixelForValue(bar.low);
+                ctx.beginPath();
+                ctx.moveTo(element.x, top);
+                ctx.lineTo(element.x, bottom);
+                ctx.moveTo(element.x - 4, top);
+                ctx.lineTo(element.x + 4, top);
+                ctx.moveTo(element.x - 4, bottom);
+                ctx.lineTo(element.x + 4, bottom);
+                ctx.stroke();
+            });
+            ctx.restore();
+        });
+    }
+};
+
+function destroyChart(canvasId) {
+    if (charts[canvasId]) {
+        charts[canvasId].destroy();
+        delete charts[canvasId];
+    }
+}
+
+// Create a chart on the given canvas, destroying the chart previously drawn there
+function renderChart(canvasId, config) {
+    destroyChart(canvasId);
+
+    const canvas = document.getElementById(canvasId);
+    if (!canvas) return null; // Chart container might not exist
+
+    charts[canvasId] = new Chart(canvas.getContext('2d'), config);
+    return charts[canvasId];
+}
+
+// Load the UK boundary GeoJSON for the hot-spot map, falling back to the bundled outline
+async function loadUKBoundary() {
+    try {
+        ukBoundary = rewindGeoJSON(await d3.json(ukBoundaryUrl));
+    } catch {
+        // The detailed boundary file is optional; the bundled outline is the expected default
+        ukBoundary = rewindGeoJSON(ukOutline);
+    }
+}
+
+// Load the local authority boundaries and the optional population / road length CSV
+// (both optional: the ranking table still works without them)
+async function loadLocalAuthorityBoundaries() {
+    try {
+        localAuthorityBoundaries = rewindGeoJSON(await d3.json(localAuthorityBoundaryUrl));
+    } catch (error) {
+        console.warn(`Local authority boundaries not available at ${localAuthorityBoundaryUrl}:`, error);
+        localAuthorityBoundaries = null;
+    }
+    
+    try {
+        const data = await d3.csv(localAuthorityContextUrl);
+        data.forEach(d => {
+            localAuthorityContext.set(d.Code, {
+                population: parseFloat(d.Population) || null,
+                roadLengthKm: parseFloat(d.RoadLengthKm) || null
             });
-            resolve();
-        }).catch(reject);
+        });
+    } catch (error) {
+        console.warn(`Local authority context not available at ${localAuthorityContextUrl}, rates will not be normalised:`, error);
+    }
+}
+
+// d3-geo expects clockwise polygon rings, whereas RFC 7946 GeoJSON is counter-clockwise;
+// a ring with the wrong winding covers the whole globe except the polygon, so reverse it
+function rewindGeoJSON(geojson) {
+    const features = geojson.type === 'FeatureCollection' ? geojson.features : [geojson];
+    features.forEach(feature => {
+        const geometry = feature.type === 'Feature' ? feature.geometry : feature;
+        if (!geometry) return;
+        
+        const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] :
+            geometry.type === 'MultiPolygon' ? geometry.coordinates : [];
+        polygons.forEach(rings => {
+            if (d3.geoArea({ type: 'Polygon', coordinates: rings }) > 2 * Math.PI) {
+                rings.forEach(ring => ring.reverse());
+            }
+        });
     });
+    return geojson;
 }
 
-// Load CSV data
-async function loadData() {
+// Nearest ukFolderData record within the match radius that satisfies the predicate,
+// as { item, distance } (distance in metres), or null
+function findNearestFolderRecord(lat, lon, predicate) {
+    if (!ukFolderIndex || isNaN(lat) || isNaN(lon)) return null;
+    return ukFolderIndex.nearest(lat, lon, coordinateMatchRadiusMetres, predicate);
+}
+
+// Load every dataset through the data pipeline (in a Web Worker when available), showing
+// progress per file and rendering each group of sections as soon as its dataset is ready.
+// Unchanged files are restored from the data cache, and cached rollups render straight away.
+async function loadDatasets() {
+    const generation = ++loadGeneration;
+    if (finishPendingLoad) finishPendingLoad();
+    renderLoadingPanel();
+    renderDataSource();
+    
+    const datasets = Object.keys(dataFiles);
+    const signatures = await Promise.all(datasets.map(dataset => getSourceSignature(dataSources[dataset])));
+    cacheSignatures = Object.fromEntries(datasets.map((dataset, i) => [dataset, signatures[i]]));
+    if (generation !== loadGeneration) return;
+    
+    const rollups = await readCacheEntry('rollups', 'sections', getRollupSignature());
+    if (rollups) {
+        cachedRollups = rollups.rollups;
+        renderDashboard();
+    }
+    renderCacheStatus();
+    
     return new Promise((resolve, reject) => {
-        d3.csv('uk_accidents_cleaned.csv').then(data => {
-            // Create a lookup map for severity from ukFolderData (only if we have data and need it)
-            const severityLookup = new Map();
-            if (ukFolderData.length > 0) {
-                // Create a grid-based lookup for faster matching (round to 0.001 precision)
-                ukFolderData.forEach(orig => {
-                    if (orig.Accident_Severity && orig.Latitude && orig.Longitude) {
-                        const latKey = Math.round(orig.Latitude * 1000) / 1000;
-                        const lonKey = Math.round(orig.Longitude * 1000) / 1000;
-                        const key = `${latKey}_${lonKey}`;
-                        if (!severityLookup.has(key)) {
-                            severityLookup.set(key, orig.Accident_Severity);
-                        }
-                    }
-                });
+        finishPendingLoad = resolve;
+        
+        // The worker is stopped once every dataset is ready and nothing is still being cached
+        const finishIfDone = () => {
+            if (Object.values(datasetReady).every(ready => ready) && !Object.values(cacheStatus).includes('saving')) {
+                stopDataWorker();
             }
+        };
+        
+        const handleMessage = message => {
+            if (generation !== loadGeneration) return;
             
-            ukData = data.map(d => {
-                // Try to preserve severity - check if Severity field exists, otherwise use SeverityNumeric
-                let severityValue = parseFloat(d.SeverityNumeric) || 0;
-                let severityLabel = d.Severity || 'Unknown';
-                
-                // If severity is unknown or 0, try to get it from lookup map
-                if ((severityValue === 0 || severityLabel === 'Unknown') && severityLookup.size > 0) {
-                    const lat = parseFloat(d.Latitude);
-                    const lon = parseFloat(d.Longitude);
-                    if (!isNaN(lat) && !isNaN(lon)) {
-                        const latKey = Math.round(lat * 1000) / 1000;
-                        const lonKey = Math.round(lon * 1000) / 1000;
-                        const key = `${latKey}_${lonKey}`;
-                        const foundSeverity = severityLookup.get(key);
-                        if (foundSeverity) {
-                            severityValue = foundSeverity;
-                            // Map severity code to label: 1=Fatal, 2=Serious, 3=Slight
-                            const severityMap = { 1: 'Fatal', 2: 'Serious', 3: 'Slight' };
-                            severityLabel = severityMap[severityValue] || 'Unknown';
-                        }
-                    }
+            switch (message.type) {
+                case 'progress':
+                    updateLoadingProgress(message);
+                    break;
+                case 'rows': {
+                    const target = datasetRows[message.dataset];
+                    message.rows.forEach(row => target.push(row));
+                    break;
                 }
-                
-                return {
-                    ...d,
-                    Latitude: parseFloat(d.Latitude),
-                    Longitude: parseFloat(d.Longitude),
-                    SeverityNumeric: severityValue,
-                    Severity: severityLabel,
-                    Year: parseInt(d.Year),
-                    Month: parseInt(d.Month),
-                    Hour: parseInt(d.Hour),
-                    NumberOfVehicles: parseInt(d.NumberOfVehicles) || 0,
-                    NumberOfCasualties: parseInt(d.NumberOfCasualties) || 0,
-                    SpeedLimit: parseFloat(d.SpeedLimit) || 0,
-                    CasualtyRate: parseFloat(d.CasualtyRate) || 0,
-                    IsRushHour: d.IsRushHour === 'True',
-                    IsWeekend: d.IsWeekend === 'True',
-                    IsUrban: d.IsUrban === 'True',
-                    HasRain: d.HasRain === 'True',
-                    HasSnow: d.HasSnow === 'True',
-                    HasFog: d.HasFog === 'True',
-                    IsClear: d.IsClear === 'True',
-                    IsFatal: d.IsFatal === 'True',
-                    IsSerious: d.IsSerious === 'True',
-                    IsMultiVehicle: d.IsMultiVehicle === 'True',
-                    HasCasualties: d.HasCasualties === 'True',
-                    Date: new Date(d.Date)
-                };
-            });
-            resolve();
-        }).catch(reject);
+                case 'unavailable':
+                    // Rows may have arrived before the failure; the dataset is then ready empty or derived
+                    datasetRows[message.dataset].length = 0;
+                    datasetNotes[message.dataset] = `not loaded: ${message.message}`;
+                    break;
+                case 'ready':
+                    cacheStatus[message.dataset] = message.summary.cache.status;
+                    onDatasetReady(message.dataset, message.summary);
+                    if (['folder', 'cleaned'].includes(message.dataset) && datasetReady.folder && datasetReady.cleaned) {
+                        saveRollupsToCache();
+                    }
+                    if (Object.values(datasetReady).every(ready => ready)) {
+                        finishIfDone();
+                        resolve();
+                    }
+                    break;
+                case 'cache':
+                    cacheStatus[message.dataset] = message.status;
+                    renderCacheStatus();
+                    finishIfDone();
+                    break;
+                case 'error':
+                    stopDataWorker();
+                    reject(new Error(message.message));
+                    break;
+            }
+        };
+        
+        if (typeof Worker === 'undefined') {
+            // No worker support: run the same pipeline on the main thread
+            runDataPipeline(dataSources, handleMessage, cacheSignatures).catch(reject);
+            return;
+        }
+        
+        dataWorker = new Worker('dataWorker.js');
+        dataWorker.onmessage = event => handleMessage(event.data);
+        dataWorker.onerror = event => {
+            stopDataWorker();
+            reject(new Error(event.message || 'Data worker failed'));
+        };
+        dataWorker.postMessage({ type: 'load', sources: dataSources, signatures: cacheSignatures });
     });
 }
 
-// Load UK folder data for 5-year visualizations
-async function loadUKFolderData() {
-    return new Promise((resolve, reject) => {
-        d3.csv('UK/Accidents0515.csv').then(data => {
-            ukFolderData = data.map(d => {
-                // Parse date from DD/MM/YYYY format
-                const dateParts = d.Date ? d.Date.split('/') : [];
-                const year = dateParts.length === 3 ? parseInt(dateParts[2]) : null;
-                const month = dateParts.length === 3 ? parseInt(dateParts[1]) : null;
-                const day = dateParts.length === 3 ? parseInt(dateParts[0]) : null;
-                
-                // Parse time from HH:MM format
-                const timeParts = d.Time ? d.Time.split(':') : [];
-                const hour = timeParts.length >= 1 ? parseInt(timeParts[0]) : null;
-                
-                return {
-                    ...d,
-                    Latitude: parseFloat(d.Latitude) || 0,
-                    Longitude: parseFloat(d.Longitude) || 0,
-                    Year: year,
-                    Month: month,
-                    Day: day,
-                    Hour: hour,
-                    NumberOfVehicles: parseInt(d.Number_of_Vehicles) || 0,
-                    NumberOfCasualties: parseInt(d.Number_of_Casualties) || 0,
-                    SpeedLimit: parseFloat(d.Speed_limit) || 0,
-                    Accident_Severity: parseInt(d.Accident_Severity) || 0,
-                    Weather_Conditions: d.Weather_Conditions || 'Unknown',
-                    Local_Authority_Highway: d['Local_Authority_(Highway)'] || '',
-                    Date: dateParts.length === 3 ? new Date(year, month - 1, day) : null
-                };
-            }).filter(d => d.Year !== null && d.Year >= 2010 && d.Year <= 2015); // Filter valid years (2010-2015)
-            resolve();
-        }).catch(reject);
-    });
-}
-
-// Process data for analysis
-function processData() {
-    processedData = {
-        total: ukData.length,
-        years: [...new Set(ukData.map(d => d.Year))].sort(),
-        months: [...new Set(ukData.map(d => d.Month))].sort(),
-        regions: [...new Set(ukData.map(d => d.Region))],
-        severities: [...new Set(ukData.map(d => d.Severity))],
-        weather: [...new Set(ukData.map(d => d.Weather))]
-    };
+// Rollups depend on both files, so they are keyed by both signatures
+function getRollupSignature() {
+    if (!cacheSignatures.folder || !cacheSignatures.cleaned) return null;
+    return `${cacheSignatures.folder}+${cacheSignatures.cleaned}`;
 }
 
-// Calculate descriptive statistics
-function calculateDescriptiveStats() {
-    const numericFields = {
-        'SeverityNumeric': ukData.map(d => d.SeverityNumeric),
-        'NumberOfVehicles': ukData.map(d => d.NumberOfVehicles),
-        'NumberOfCasualties': ukData.map(d => d.NumberOfCasualties),
-        'SpeedLimit': ukData.map(d => d.SpeedLimit).filter(v => v > 0),
-        'CasualtyRate': ukData.map(d => d.CasualtyRate).filter(v => v > 0),
-        'Hour': ukData.map(d => d.Hour)
+// Compute the unfiltered rollups from the full datasets and store them for the next visit
+async function saveRollupsToCache() {
+    const signature = getRollupSignature();
+    if (cachedRollups || !signature) return;
+    
+    const hotSpots = identifyHotSpots(ukData, hotSpotSettings);
+    const rollups = {
+        timeTrends: { value: analyzeTimeTrends(ukData) },
+        yearlyTotals: { value: aggregateYearlyTotals(ukFolderData) },
+        yearlyWeather: { value: aggregateYearlyWeather(ukFolderData) },
+        hotSpots: {
+            settings: { ...hotSpotSettings },
+            // Member rows are only needed while summarising, and would duplicate the dataset
+            value: { ...hotSpots, hotSpots: hotSpots.hotSpots.map(spot => ({ ...spot, accidents: [] })) }
+        }
     };
-
-    const stats = {};
-    for (const [field, values] of Object.entries(numericFields)) {
-        if (values.length === 0) continue;
-        const sorted = [...values].sort((a, b) => a - b);
-        stats[field] = {
-            mean: d3.mean(values),
-            median: d3.median(values),
-            min: d3.min(values),
-            max: d3.max(values),
-            stdDev: calculateStdDev(values),
-            q1: d3.quantile(sorted, 0.25),
-            q3: d3.quantile(sorted, 0.75)
-        };
+    
+    if (await writeCacheEntry('rollups', 'sections', signature, { rollups })) {
+        cachedRollups = rollups;
     }
+}
 
-    // Additional categorical stats
-    stats.categorical = {
-        totalAccidents: ukData.length,
-        uniqueRegions: processedData.regions.length,
-        uniqueSeverities: processedData.severities.length,
-        rushHourAccidents: ukData.filter(d => d.IsRushHour).length,
-        weekendAccidents: ukData.filter(d => d.IsWeekend).length,
-        urbanAccidents: ukData.filter(d => d.IsUrban).length,
-        fatalAccidents: ukData.filter(d => d.IsFatal).length,
-        seriousAccidents: ukData.filter(d => d.IsSerious).length,
-        multiVehicleAccidents: ukData.filter(d => d.IsMultiVehicle).length
+// Clear the data cache; the next load downloads and parses the CSVs again
+async function invalidateDataCache() {
+    await clearDataCache();
+    cachedRollups = null;
+    Object.keys(cacheStatus).forEach(dataset => {
+        cacheStatus[dataset] = 'cleared';
+    });
+    renderCacheStatus();
+}
+
+// "Data cache" indicator: where each dataset came from, plus a button to invalidate the cache
+function renderCacheStatus() {
+    const container = document.getElementById('cache-status');
+    if (!container) return;
+    
+    const labels = {
+        hit: 'restored from cache',
+        saving: 'saving to cache…',
+        stored: 'cached for the next visit',
+        unavailable: 'not cached',
+        derived: 'built from the raw rows, not cached',
+        missing: 'not loaded',
+        cleared: 'cache cleared, reload to re-parse'
     };
+    
+    const parts = Object.keys(dataFiles).map(dataset => {
+        let label = cacheStatus[dataset] ? labels[cacheStatus[dataset]] : 'loading…';
+        if (cacheStatus[dataset] === 'unavailable' && dataSources[dataset] && !cacheSignatures[dataset]) {
+            label = 'not cached (server sends no size/Last-Modified/ETag)';
+        }
+        return `<span class="cache-file"><strong>${escapeHtml(getSourceName(dataset))}:</strong> ${label}</span>`;
+    });
+    
+    container.innerHTML = `
+        <span class="cache-label">Data cache</span>
+        ${parts.join('')}
+        <button type="button" class="cache-invalidate">Clear cache</button>
+    `;
+    container.querySelector('.cache-invalidate').addEventListener('click', invalidateDataCache);
+}
 
-    return stats;
+function stopDataWorker() {
+    if (dataWorker) {
+        dataWorker.terminate();
+        dataWorker = null;
+    }
 }
 
-function calculateStdDev(values) {
-    const mean = d3.mean(values);
-    const squaredDiffs = values.map(v => Math.pow(v - mean, 2));
-    return Math.sqrt(d3.mean(squaredDiffs));
+function onDatasetReady(dataset, summary) {
+    datasetReady[dataset] = true;
+    
+    if (dataset === 'folder') {
+        ukFolderIndex = createGeoIndex(ukFolderData); // Used for authority lookups on the main thread
+    } else if (dataset === 'cleaned') {
+        processedData = summary.processed;
+        enrichmentSummary = summary.enrichment;
+        if (summary.derivedFrom) {
+            datasetNotes.cleaned = [datasetNotes.cleaned, 'derived from the raw accidents'].filter(note => note).join('; ');
+        }
+    } else {
+        accidentJoins[dataset] = d3.group(datasetRows[dataset], d => d.Accident_Index);
+    }
+    dataQuality[dataset] = summary.quality;
+    
+    updateLoadingProgress({ dataset, done: true });
+    renderCacheStatus();
+    renderDataSource();
+    renderDataQuality();
+    renderFilterControls();
+    renderDashboard();
 }
 
-// Render descriptive statistics
-function renderDescriptiveStats() {
-    const stats = calculateDescriptiveStats();
-    const container = document.getElementById('descriptive-stats');
+// Data Quality: validation results per input file, with the rejected rows for download
+function renderDataQuality() {
+    const container = document.getElementById('data-quality');
+    if (!container) return;
     
     let html = '';
-    
-    // Categorical stats
-    html += `
-        <div class="stat-card">
-            <h3>Total Accidents</h3>
-            <div class="value">${stats.categorical.totalAccidents.toLocaleString()}</div>
-            <div class="label">Records in dataset</div>
-        </div>
-        <div class="stat-card">
-            <h3>Average Vehicles</h3>
-            <div class="value">${stats.NumberOfVehicles.mean.toFixed(2)}</div>
-            <div class="label">Per accident</div>
-        </div>
-        <div class="stat-card">
-            <h3>Average Casualty Rate</h3>
-            <div class="value">${stats.CasualtyRate.mean.toFixed(2)}</div>
-            <div class="label">Per accident</div>
-        </div>
-        <div class="stat-card">
-            <h3>Rush Hour Accidents</h3>
-            <div class="value">${stats.categorical.rushHourAccidents.toLocaleString()}</div>
-            <div class="label">${((stats.categorical.rushHourAccidents / stats.categorical.totalAccidents) * 100).toFixed(1)}% of total</div>
-        </div>
-        <div class="stat-card">
-            <h3>Weekend Accidents</h3>
-            <div class="value">${stats.categorical.weekendAccidents.toLocaleString()}</div>
-            <div class="label">${((stats.categorical.weekendAccidents / stats.categorical.totalAccidents) * 100).toFixed(1)}% of total</div>
-        </div>
-        <div class="stat-card">
-            <h3>Multi-Vehicle</h3>
-            <div class="value">${stats.categorical.multiVehicleAccidents.toLocaleString()}</div>
-            <div class="label">${((stats.categorical.multiVehicleAccidents / stats.categorical.totalAccidents) * 100).toFixed(1)}% of total</div>
+    Object.keys(dataFiles).forEach(dataset => {
+        const report = dataQuality[dataset];
+        if (!report) {
+            if (datasetNotes[dataset]) html += `<h3>${importKinds[dataset].label}</h3><p class="details-note">Not validated: ${escapeHtml(datasetNotes[dataset])}.</p>`;
+            return;
+        }
+        
+        const file = escapeHtml(getSourceName(dataset));
+        const schema = dataSchemas[dataset];
+        const checked = report.rowsRead - report.outOfPeriod;
+        const percent = count => checked > 0 ? `${(count / checked * 100).toFixed(1)}%` : 'N/A';
+        
+        html += `<h3>${file}</h3>
+            <p class="details-note">${report.rowsRead.toLocaleString()} rows read: 
+            ${report.accepted.toLocaleString()} accepted, ${report.rejected.toLocaleString()} rejected (${percent(report.rejected)})${report.period ?
+                `; ${report.outOfPeriod.toLocaleString()} outside ${report.period.years[0]}–${report.period.years[1]} not analysed` : ''}.</p>`;
+        
+        const reasons = Object.entries(report.reasons).sort((a, b) => b[1] - a[1]);
+        if (reasons.length > 0) {
+            html += '<ul>';
+            reasons.forEach(([reason, count]) => {
+                html += `<li><strong>${reason}:</strong> ${count.toLocaleString()} rows rejected</li>`;
+            });
+            html += '</ul>';
+        }
+        
+        if (dataset === 'cleaned' && enrichmentSummary) {
+            html += `<p class="details-note"><strong>Enrichment from ${escapeHtml(getSourceName('folder'))}:</strong> 
+                severity filled for ${enrichmentSummary.severityMatched.toLocaleString()} rows and highway authority for 
+                ${enrichmentSummary.authorityMatched.toLocaleString()}; ${enrichmentSummary.unmatched.toLocaleString()} rows needing 
+                enrichment had no raw record within ${coordinateMatchRadiusMetres} m. Match distance: mean 
+                ${enrichmentSummary.meanDistance.toFixed(1)} m, max ${enrichmentSummary.maxDistance.toFixed(1)} m.</p>`;
+        }
+        
+        html += `<div class="quality-table"><table><thead><tr><th>Column</th><th>Completeness</th>
+            ${Object.values(qualityCategories).map(label => `<th>${label}</th>`).join('')}</tr></thead><tbody>`;
+        Object.entries(report.columns).forEach(([name, counts]) => {
+            html += `<tr>
+                <td>${name}${schema.columns[name].required ? ' <span class="quality-required" title="Rows with problems here are rejected">required</span>' : ''}</td>
+                <td>${percent(counts.valid)}</td>
+                ${Object.keys(qualityCategories).map(category => `<td${counts[category] > 0 ? ' class="quality-problem"' : ''}>${counts[category].toLocaleString()}</td>`).join('')}
+            </tr>`;
+        });
+        html += '</tbody></table></div>';
+        
+        if (report.rejectedRows.length > 0) {
+            const capped = report.rejected > report.rejectedRows.length;
+            html += `<button type="button" class="quality-download" data-dataset="${dataset}">Download rejected rows (CSV)</button>
+                ${capped ? `<span class="details-note">First ${report.rejectedRows.length.toLocaleString()} of ${report.rejected.toLocaleString()}</span>` : ''}`;
+        }
+    });
+    
+    container.innerHTML = html || '<p class="info-text">Data quality is reported once the data has loaded.</p>';
+    container.querySelectorAll('.quality-download').forEach(button => {
+        button.addEventListener('click', () => downloadRejectedRows(button.dataset.dataset));
+    });
+}
+
+// Code labels: lookup files that didn't load and codes shown without a label (see codeLabels.js)
+function renderCodeLabelReport() {
+    const container = document.getElementById('code-labels');
+    if (!container) return;
+    
+    const loaded = Object.keys(codeLabelFiles).length - missingCodeLabelFiles.length;
+    let html = `<h3>Code labels</h3>
+        <p class="details-note">${loaded} of ${Object.keys(codeLabelFiles).length} lookups loaded from ${contextCsvUrl}${missingCodeLabelFiles.length > 0 ?
+            `; not found: ${missingCodeLabelFiles.join(', ')}` : ''}.</p>`;
+    
+    const unlabelled = getUnlabelledCodes();
+    if (unlabelled.length === 0) {
+        html += '<p class="details-note">Every code shown has a label.</p>';
+    } else {
+        html += '<ul>';
+        unlabelled.forEach(({ field, source, codes }) => {
+            const shown = codes.slice(0, 20).join(', ') + (codes.length > 20 ? ` and ${codes.length - 20} more` : '');
+            html += `<li><strong>${field}</strong> (${escapeHtml(source || 'no lookup file')}): no label for ${escapeHtml(shown)}</li>`;
+        });
+        html += '</ul>';
+    }
+    
+    container.innerHTML = html;
+}
+
+// Save a dataset's rejected rows (row number, reasons and the raw values) as CSV
+function downloadRejectedRows(dataset) {
+    const csv = d3.csvFormat(dataQuality[dataset].rejectedRows);
+    saveFile(new Blob([csv], { type: 'text/csv' }), `rejected_${dataset}_rows.csv`);
+}
+
+// Stop loading: the worker is terminated and whatever has already rendered stays on screen.
+// The main-thread pipeline (no worker support) runs on, but its messages are ignored.
+function cancelLoading() {
+    loadGeneration++;
+    stopDataWorker();
+    if (finishPendingLoad) finishPendingLoad();
+    
+    Object.keys(datasetReady).forEach(dataset => {
+        if (!datasetReady[dataset]) updateLoadingProgress({ dataset, cancelled: true });
+    });
+    
+    const button = document.querySelector('#loading-panel .loading-cancel');
+    const reload = button.cloneNode(false);
+    reload.textContent = 'Reload';
+    reload.addEventListener('click', () => {
+        // The same sources, so files dropped on the page are loaded again too
+        reloadDatasets(dataSources).catch(error => console.error('Error reloading data:', error));
+    });
+    button.replaceWith(reload);
+}
+
+// File name (or URL) a dataset is loaded from; dropped files are named by the user, so it is
+// escaped wherever it goes into markup
+function getSourceName(dataset) {
+    return dataSources[dataset] ? describeSource(dataSources[dataset]) : 'no file';
+}
+
+// Data Source: where each dataset came from, and a drop zone for loading other STATS19 files
+function renderDataSource() {
+    const container = document.getElementById('data-source');
+    if (!container) return;
+    
+    const bundled = Object.keys(dataFiles).every(dataset => dataSources[dataset] === dataFiles[dataset]);
+    const rows = Object.keys(dataFiles).map(dataset => {
+        const count = datasetRows[dataset].length;
+        const status = datasetReady[dataset] ? `${count.toLocaleString()} rows` : 'loading…';
+        const note = datasetNotes[dataset] ? ` (${escapeHtml(datasetNotes[dataset])})` : '';
+        return `<li><strong>${importKinds[dataset].label}:</strong> ${escapeHtml(getSourceName(dataset))}, ${status}${note}</li>`;
+    });
+    
+    container.innerHTML = `
+        <ul class="data-source-list">${rows.join('')}</ul>
+        <div class="drop-zone">
+            Drop STATS19 CSVs (raw accidents, cleaned accidents, vehicles, casualties or Code/Label lookups such as highway authority names) or a zip of them anywhere on the page, 
+            or <label class="drop-zone-browse">choose files<input type="file" accept=".csv,.zip" multiple hidden></label>.
+            Files are read in the browser and never uploaded.
+            ${bundled ? '' : '<button type="button" class="data-source-reset">Use bundled files</button>'}
         </div>
+        ${uploadStatus ? `<p class="details-note">${escapeHtml(uploadStatus)}</p>` : ''}
+    `;
+    
+    container.querySelector('input[type="file"]').addEventListener('change', event => loadUploadedFiles(event.target.files));
+    const reset = container.querySelector('.data-source-reset');
+    if (reset) {
+        reset.addEventListener('click', () => {
+            uploadStatus = '';
+            reloadDatasets({ ...dataFiles });
+        });
+    }
+}
+
+// Accept files dropped anywhere on the page
+function setupFileDrop() {
+    document.addEventListener('dragover', event => {
+        if (!event.dataTransfer || !Array.from(event.dataTransfer.types).includes('Files')) return;
+        event.preventDefault();
+        document.body.classList.add('file-dragging');
+    });
+    document.addEventListener('dragleave', event => {
+        if (!event.relatedTarget) document.body.classList.remove('file-dragging');
+    });
+    document.addEventListener('drop', event => {
+        document.body.classList.remove('file-dragging');
+        if (!event.dataTransfer || event.dataTransfer.files.length === 0) return;
+        event.preventDefault();
+        loadUploadedFiles(event.dataTransfer.files);
+    });
+}
+
+// Load dropped or chosen files: detect what each CSV holds from its columns, confirm unclear
+// ones in the mapping dialog, then reload the dashboard from them
+async function loadUploadedFiles(fileList) {
+    const setStatus = message => {
+        uploadStatus = message;
+        renderDataSource();
+    };
+    
+    try {
+        setStatus('Reading files…');
+        const entries = await expandUploads(fileList);
+        if (entries.length === 0) throw new Error('no CSV files found');
+        
+        const sources = {};
+        for (const entry of entries) {
+            const header = await readCsvHeader(entry.blob);
+            let detected = detectCsvKind(header);
+            if (needsColumnMapping(header, detected)) {
+                detected = await showColumnMappingDialog(entry.name, header, detected);
+                if (!detected) continue; // Skipped
+            }
+            
+            if (detected.kind === 'lookup') {
+                // Named like a bundled lookup (e.g. Road_Type.csv) or, by default, highway authority names
+                const field = Object.keys(codeLabelFiles)
+                    .find(key => codeLabelFiles[key].toLowerCase() === entry.name.toLowerCase()) || 'Local_Authority_Highway';
+                const rows = d3.csvParse((await entry.blob.text()).replace(/^\uFEFF/, ''));
+                setCodeLabels(field, rows.map(d => ({ Code: d[detected.mapping.Code], Label: d[detected.mapping.Label] })), entry.name);
+            } else {
+                sources[detected.kind] = { file: entry.blob, name: entry.name, mapping: detected.mapping };
+            }
+        }
+        
+        const names = entries.map(entry => entry.name).join(', ');
+        if (sources.folder || sources.cleaned) {
+            setStatus(`Loaded from ${names}.`);
+            await reloadDatasets(sources);
+        } else if (sources.vehicles || sources.casualties) {
+            // Vehicle or casualty tables on their own are joined to the accidents already loaded
+            setStatus(`Loaded ${names} alongside the current accidents.`);
+            await reloadDatasets({ ...dataSources, ...sources });
+        } else {
+            setStatus(`Loaded ${names}; no accident data among them, so the current data is kept.`);
+            renderFilterControls();
+            renderDashboard();
+        }
+    } catch (error) {
+        console.error('Error loading dropped files:', error);
+        setStatus(`Could not load the dropped files: ${error.message}`);
+    }
+}
+
+// Replace the loaded data with new sources and load them as on startup
+function reloadDatasets(sources) {
+    stopDataWorker();
+    dataSources = sources;
+    
+    Object.values(datasetRows).forEach(rows => {
+        rows.length = 0;
+    });
+    Object.keys(accidentJoins).forEach(dataset => {
+        accidentJoins[dataset] = new Map();
+    });
+    ukFolderIndex = null;
+    processedData = null;
+    enrichmentSummary = null;
+    cachedRollups = null;
+    Object.keys(datasetReady).forEach(dataset => {
+        datasetReady[dataset] = false;
+        cacheStatus[dataset] = null;
+        dataQuality[dataset] = null;
+        datasetNotes[dataset] = null;
+    });
+    
+    // Filter values and selections refer to the old data
+    Object.keys(filters).forEach(key => {
+        filters[key] = '';
+    });
+    Object.keys(selections).forEach(dimension => {
+        selections[dimension] = [];
+    });
+    
+    return loadDatasets();
+}
+
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    if (bytes >= 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+    return `${bytes} B`;
+}
+
+function renderLoadingPanel() {
+    const panel = document.getElementById('loading-panel');
+    if (!panel) return;
+    
+    let html = '<h2>Loading Data</h2>';
+    Object.keys(dataFiles).forEach(dataset => {
+        html += `
+            <div class="loading-file" data-dataset="${dataset}">
+                <div class="loading-file-name">${escapeHtml(getSourceName(dataset))}</div>
+                <progress max="100"></progress>
+                <div class="loading-file-status">Waiting…</div>
+            </div>
+        `;
+    });
+    html += '<button type="button" class="loading-cancel">Cancel</button>';
+    
+    panel.innerHTML = html;
+    panel.style.display = '';
+    panel.querySelector('.loading-cancel').addEventListener('click', cancelLoading);
+}
+
+function updateLoadingProgress(progress) {
+    const row = document.querySelector(`#loading-panel [data-dataset="${progress.dataset}"]`);
+    if (!row) return;
+    
+    const bar = row.querySelector('progress');
+    const status = row.querySelector('.loading-file-status');
+    
+    if (progress.done) {
+        bar.value = 100;
+        status.textContent = `Ready: ${datasetRows[progress.dataset].length.toLocaleString()} rows` +
+            (datasetNotes[progress.dataset] ? ` (${datasetNotes[progress.dataset]})` : '');
+        row.classList.add('done');
+        
+        if (Object.values(datasetReady).every(ready => ready)) {
+            document.getElementById('loading-panel').style.display = 'none';
+        }
+        return;
+    }
+    
+    if (progress.cancelled) {
+        status.textContent = 'Cancelled';
+        row.classList.add('cancelled');
+        return;
+    }
+    
+    if (progress.fromCache) {
+        bar.value = progress.rows / progress.rowsTotal * 100;
+        status.textContent = `Restoring from cache: ${progress.rows.toLocaleString()} of ${progress.rowsTotal.toLocaleString()} rows`;
+        return;
+    }
+    
+    if (progress.bytesTotal) {
+        bar.value = Math.min(100, progress.bytesLoaded / progress.bytesTotal * 100);
+    } else {
+        bar.removeAttribute('value'); // Indeterminate when the size is unknown
+    }
+    status.textContent = `${formatBytes(progress.bytesLoaded)}${progress.bytesTotal ? ` of ${formatBytes(progress.bytesTotal)}` : ''}, ` +
+        `${progress.rows.toLocaleString()} rows parsed`;
+}
+
+// Severity and weather codes live in different columns in the cleaned and raw datasets
+function getSeverityCode(d) {
+    return d.SeverityNumeric !== undefined ? d.SeverityNumeric : d.Accident_Severity;
+}
+
+function getWeatherCode(d) {
+    return String(d.Weather !== undefined ? d.Weather : d.Weather_Conditions).trim();
+}
+
+// Check a record (from either dataset) against the global filters
+function matchesFilters(d, ignoreYear = false) {
+    if (filters.year !== '' && !ignoreYear && d.Year !== parseInt(filters.year)) return false;
+    if (filters.month !== '' && d.Month !== parseInt(filters.month)) return false;
+    if (filters.severity !== '' && getSeverityCode(d) !== parseInt(filters.severity)) return false;
+    if (filters.weather !== '' && getWeatherCode(d) !== filters.weather) return false;
+    
+    for (const flag of Object.keys(flagFilters)) {
+        if (filters[flag] !== '' && d[flag] !== (filters[flag] === 'true')) return false;
+    }
+    
+    if (filters.speedMin !== '' && !(d.SpeedLimit >= parseFloat(filters.speedMin))) return false;
+    if (filters.speedMax !== '' && !(d.SpeedLimit <= parseFloat(filters.speedMax))) return false;
+    if (filters.localAuthority !== '' && d.Local_Authority_Highway !== filters.localAuthority) return false;
+    
+    return true;
+}
+
+// Human-readable description of each active filter, used for the chips
+function describeActiveFilters() {
+    const active = [];
+    
+    if (filters.year !== '') active.push({ key: 'year', text: `Year: ${filters.year}` });
+    if (filters.month !== '') active.push({ key: 'month', text: `Month: ${monthNames[filters.month - 1]}` });
+    if (filters.severity !== '') active.push({ key: 'severity', text: `Severity: ${decode('Accident_Severity', filters.severity)}` });
+    if (filters.weather !== '') active.push({ key: 'weather', text: `Weather: ${decode('Weather_Conditions', filters.weather)}` });
+    
+    for (const [flag, name] of Object.entries(flagFilters)) {
+        if (filters[flag] !== '') {
+            active.push({ key: flag, text: filters[flag] === 'true' ? name : `Not ${name}` });
+        }
+    }
+    
+    if (filters.speedMin !== '') active.push({ key: 'speedMin', text: `Speed ≥ ${filters.speedMin} mph` });
+    if (filters.speedMax !== '') active.push({ key: 'speedMax', text: `Speed ≤ ${filters.speedMax} mph` });
+    if (filters.localAuthority !== '') {
+        active.push({ key: 'localAuthority', text: `Authority: ${decode('Local_Authority_Highway', filters.localAuthority)}` });
+    }
+    
+    return active;
+}
+
+function setFilter(key, value) {
+    filters[key] = value;
+    
+    const control = document.querySelector(`#filter-controls [data-filter="${key}"]`);
+    if (control) control.value = value;
+    
+    renderDashboard();
+}
+
+function clearFilters() {
+    Object.keys(filters).forEach(key => {
+        filters[key] = '';
+    });
+    document.querySelectorAll('#filter-controls [data-filter]').forEach(control => {
+        control.value = '';
+    });
+    
+    renderDashboard();
+}
+
+// Build the filter panel from the values present in the loaded data
+function renderFilterControls() {
+    const container = document.getElementById('filter-controls');
+    if (!container) return;
+    
+    const allData = ukData.concat(ukFolderData);
+    const years = [...new Set(allData.map(d => d.Year))].filter(y => !isNaN(y) && y !== null).sort();
+    const weatherCodes = [...new Set(allData.map(getWeatherCode))]
+        .filter(code => code !== '' && code !== 'Unknown' && code !== '-1')
+        .sort((a, b) => a - b);
+    const authorityCodes = [...new Set(allData.map(d => d.Local_Authority_Highway))]
+        .filter(code => code)
+        .map(code => ({ value: code, text: decode('Local_Authority_Highway', code) }))
+        .sort((a, b) => a.text.localeCompare(b.text));
+    
+    const select = (key, label, options) => `
+        <label class="filter-control">
+            <span>${label}</span>
+            <select data-filter="${key}">
+                <option value="">All</option>
+                ${options.map(o => `<option value="${escapeHtml(o.value)}">${escapeHtml(o.text)}</option>`).join('')}
+            </select>
+        </label>
+    `;
+    const yesNo = [{ value: 'true', text: 'Yes' }, { value: 'false', text: 'No' }];
+    
+    let html = '';
+    html += select('year', 'Year', years.map(y => ({ value: y, text: y })));
+    html += select('month', 'Month', monthNames.map((m, i) => ({ value: i + 1, text: m })));
+    html += select('severity', 'Severity', Object.keys(severityNames).map(value => ({ value, text: decode('Accident_Severity', value) })));
+    html += select('weather', 'Weather', weatherCodes.map(code => ({ value: code, text: decode('Weather_Conditions', code) })));
+    for (const [flag, name] of Object.entries(flagFilters)) {
+        html += select(flag, name, yesNo);
+    }
+    html += `
+        <label class="filter-control">
+            <span>Speed Limit (mph)</span>
+            <span class="filter-range">
+                <input type="number" data-filter="speedMin" min="0" max="70" step="10" placeholder="Min">
+                <input type="number" data-filter="speedMax" min="0" max="70" step="10" placeholder="Max">
+            </span>
+        </label>
     `;
+    html += select('localAuthority', 'Local Authority', authorityCodes);
+    
+    container.innerHTML = html;
+    
+    container.querySelectorAll('[data-filter]').forEach(control => {
+        control.value = filters[control.dataset.filter]; // Keep current filters when the options are rebuilt
+        control.addEventListener('change', () => setFilter(control.dataset.filter, control.value));
+    });
+}
+
+// Show the active filters as removable chips
+function renderActiveFilters() {
+    const container = document.getElementById('active-filters');
+    if (!container) return;
+    
+    const active = describeActiveFilters();
+    if (active.length === 0) {
+        container.innerHTML = `<span class="filter-summary">No filters applied: showing all ${ukData.length.toLocaleString()} accidents</span>`;
+        return;
+    }
+    
+    let html = active.map(f => `
+        <span class="filter-chip">${escapeHtml(f.text)}<button type="button" data-filter="${f.key}" title="Remove filter">&times;</button></span>
+    `).join('');
+    html += `<button type="button" class="filter-clear">Clear all</button>`;
+    html += `<span class="filter-summary">${filteredData.length.toLocaleString()} of ${ukData.length.toLocaleString()} accidents</span>`;
+    
+    container.innerHTML = html;
+    
+    container.querySelectorAll('.filter-chip button').forEach(button => {
+        button.addEventListener('click', () => setFilter(button.dataset.filter, ''));
+    });
+    container.querySelector('.filter-clear').addEventListener('click', clearFilters);
+}
+
+// Hot-spot selections are stored as region keys so they stay valid across algorithms and
+// filters and can be matched against both datasets:
+//   grid:<size>:<latGrid>_<lonGrid>   hex:<radius>:<q>_<r>   circle:<lat>_<lon>_<radius>
+const hotSpotRegionCache = new Map();
+
+function parseHotSpotRegion(key) {
+    if (hotSpotRegionCache.has(key)) return hotSpotRegionCache.get(key);
+    
+    const [type, ...rest] = key.split(':');
+    let region;
+    if (type === 'grid') {
+        const [latGrid, lonGrid] = rest[1].split('_').map(Number);
+        region = { type, size: parseFloat(rest[0]), latGrid, lonGrid };
+    } else if (type === 'hex') {
+        const [q, r] = rest[1].split('_').map(Number);
+        region = { type, radius: parseFloat(rest[0]), q, r };
+    } else {
+        const [lat, lon, radius] = rest[0].split('_').map(Number);
+        region = { type: 'circle', lat, lon, radius };
+    }
+    
+    hotSpotRegionCache.set(key, region);
+    return region;
+}
+
+function getGridKey(d, size) {
+    return `grid:${size}:${Math.floor(d.Latitude / size)}_${Math.floor(d.Longitude / size)}`;
+}
+
+function getHexKey(d, radius) {
+    const [x, y] = projectToMetres(d);
+    const [q, r] = hexCoordinates(x, y, radius);
+    return `hex:${radius}:${q}_${r}`;
+}
+
+function hotSpotRegionContains(key, d) {
+    if (isNaN(d.Latitude) || isNaN(d.Longitude)) return false;
+    
+    const region = parseHotSpotRegion(key);
+    switch (region.type) {
+        case 'grid':
+            return Math.floor(d.Latitude / region.size) === region.latGrid &&
+                Math.floor(d.Longitude / region.size) === region.lonGrid;
+        case 'hex':
+            return getHexKey(d, region.radius) === key;
+        default:
+            return haversineDistance(region.lat, region.lon, d.Latitude, d.Longitude) <= region.radius;
+    }
+}
+
+// Value of a record along a selectable dimension
+function getSelectionValue(d, dimension) {
+    switch (dimension) {
+        case 'hour': return d.Hour;
+        case 'month': return d.Month;
+        case 'weather': return getWeatherCode(d);
+        default: return undefined;
+    }
+}
+
+// Check a record against the chart selections, optionally ignoring one dimension
+function matchesSelections(d, exceptDimension = null) {
+    for (const [dimension, values] of Object.entries(selections)) {
+        if (dimension === exceptDimension || values.length === 0) continue;
+        if (dimension === 'hotspot') {
+            if (!values.some(key => hotSpotRegionContains(key, d))) return false;
+        } else if (!values.includes(getSelectionValue(d, dimension))) {
+            return false;
+        }
+    }
+    return true;
+}
+
+// Data for a chart that owns a selection dimension: every filter and selection
+// applies except its own, so the clicked chart keeps showing all its elements
+function getSectionData(dimension) {
+    if (selections[dimension].length === 0) return filteredData;
+    return ukData.filter(d => matchesFilters(d) && matchesSelections(d, dimension));
+}
+
+function hasSelections() {
+    return Object.values(selections).some(values => values.length > 0);
+}
+
+function isSelected(dimension, value) {
+    return selections[dimension].includes(value);
+}
+
+// Click selects an element; shift-click adds or removes it from the selection
+function toggleSelection(dimension, value, additive) {
+    const current = selections[dimension];
+    const index = current.indexOf(value);
+    
+    if (additive) {
+        if (index >= 0) {
+            current.splice(index, 1);
+        } else {
+            current.push(value);
+        }
+    } else {
+        selections[dimension] = current.length === 1 && index === 0 ? [] : [value];
+    }
+    
+    renderDashboard();
+    updateUrlState(); // Chart clicks arrive after the page's click listener (see urlState.js)
+}
+
+function clearSelections() {
+    Object.keys(selections).forEach(dimension => {
+        selections[dimension] = [];
+    });
+    
+    renderDashboard();
+}
+
+// Chart.js options that turn clicks on elements into selections
+function selectableChartOptions(dimension, getValue) {
+    return {
+        onClick: (event, elements) => {
+            if (elements.length === 0) return;
+            toggleSelection(dimension, getValue(elements[0].index), event.native && event.native.shiftKey);
+        },
+        onHover: (event, elements, chart) => {
+            chart.canvas.style.cursor = elements.length > 0 ? 'pointer' : 'default';
+        }
+    };
+}
+
+// Dim the unselected elements of a chart when its dimension has a selection
+function highlightSelection(color, dimension, value) {
+    if (selections[dimension].length === 0 || isSelected(dimension, value)) return color;
+    return 'rgba(200, 200, 200, 0.5)';
+}
+
+function describeSelection(dimension, value) {
+    switch (dimension) {
+        case 'hour': return `Hour: ${value}:00`;
+        case 'month': return `Month: ${monthNames[value - 1]}`;
+        case 'weather': return `Weather: ${decode('Weather_Conditions', value)}`;
+        case 'hotspot': {
+            const region = parseHotSpotRegion(value);
+            if (region.type === 'grid') {
+                return `Hot spot: ${(region.latGrid * region.size).toFixed(3)}, ${(region.lonGrid * region.size).toFixed(3)}`;
+            }
+            if (region.type === 'hex') {
+                const [lon, lat] = metricProjection.invert(hexCentre(region.q, region.r, region.radius));
+                return `Hot spot: hex near ${lat.toFixed(3)}, ${lon.toFixed(3)}`;
+            }
+            return `Hot spot: within ${region.radius} m of ${region.lat.toFixed(3)}, ${region.lon.toFixed(3)}`;
+        }
+        default: return value;
+    }
+}
+
+// Show the chart selections as removable chips with a "clear selection" control
+function renderActiveSelections() {
+    const container = document.getElementById('active-selections');
+    if (!container) return;
+    
+    if (!hasSelections()) {
+        container.innerHTML = '<span class="filter-summary">Click a bar, month or hot spot to cross-filter the dashboard (shift-click to select several)</span>';
+        return;
+    }
+    
+    let html = '';
+    for (const [dimension, values] of Object.entries(selections)) {
+        values.forEach(value => {
+            html += `<span class="filter-chip selection-chip">${escapeHtml(describeSelection(dimension, value))}<button type="button" data-dimension="${dimension}" data-value="${escapeHtml(value)}" title="Remove from selection">&times;</button></span>`;
+        });
+    }
+    html += '<button type="button" class="filter-clear">Clear selection</button>';
+    
+    container.innerHTML = html;
+    
+    container.querySelectorAll('.filter-chip button').forEach(button => {
+        button.addEventListener('click', () => {
+            const dimension = button.dataset.dimension;
+            selections[dimension] = selections[dimension].filter(v => String(v) !== button.dataset.value);
+            renderDashboard();
+        });
+    });
+    container.querySelector('.filter-clear').addEventListener('click', clearSelections);
+}
+
+// Calculate descriptive statistics
+function calculateDescriptiveStats(data = filteredData) {
+    const numericFields = {
+        'SeverityNumeric': data.map(d => d.SeverityNumeric),
+        'NumberOfVehicles': data.map(d => d.NumberOfVehicles),
+        'NumberOfCasualties': data.map(d => d.NumberOfCasualties),
+        'SpeedLimit': data.map(d => d.SpeedLimit).filter(v => v > 0),
+        'CasualtyRate': data.map(d => d.CasualtyRate).filter(v => v > 0),
+        'Hour': data.map(d => d.Hour)
+    };
+
+    const stats = {};
+    for (const [field, values] of Object.entries(numericFields)) {
+        if (values.length === 0) continue;
+        const sorted = [...values].sort((a, b) => a - b);
+        stats[field] = {
+            mean: d3.mean(values),
+            median: d3.median(values),
+            min: d3.min(values),
+            max: d3.max(values),
+            stdDev: calculateStdDev(values),
+            q1: d3.quantile(sorted, 0.25),
+            q3: d3.quantile(sorted, 0.75)
+        };
+    }
+
+    // Additional categorical stats
+    stats.categorical = {
+        totalAccidents: data.length,
+        uniqueRegions: processedData.regions.length,
+        uniqueSeverities: processedData.severities.length,
+        rushHourAccidents: data.filter(d => d.IsRushHour).length,
+        weekendAccidents: data.filter(d => d.IsWeekend).length,
+        urbanAccidents: data.filter(d => d.IsUrban).length,
+        fatalAccidents: data.filter(d => d.IsFatal).length,
+        seriousAccidents: data.filter(d => d.IsSerious).length,
+        multiVehicleAccidents: data.filter(d => d.IsMultiVehicle).length
+    };
+
+    return stats;
+}
+
+function calculateStdDev(values) {
+    const mean = d3.mean(values);
+    const squaredDiffs = values.map(v => Math.pow(v - mean, 2));
+    return Math.sqrt(d3.mean(squaredDiffs));
+}
+
+// Render descriptive statistics
+function renderDescriptiveStats() {
+    const container = document.getElementById('descriptive-stats');
+    
+    if (filteredData.length === 0) {
+        container.innerHTML = '<p class="info-text">No accidents match the active filters.</p>';
+        return;
+    }
+    
+    const stats = calculateDescriptiveStats();
+    const { categorical, ...numeric } = stats;
+    recordExportTable('descriptive-stats', [
+        ...Object.entries(numeric).map(([field, values]) => ({ field, ...values })),
+        ...Object.entries(categorical).map(([field, count]) => ({ field, count }))
+    ]);
+    
+    let html = '';
+    
+    // Categorical stats
+    html += `
+        <div class="stat-card">
+            <h3>Total Accidents</h3>
+            <div class="value">${stats.categorical.totalAccidents.toLocaleString()}</div>
+            <div class="label">${filteredData.length === ukData.length ? 'Records in dataset' : `Matching filters (of ${ukData.length.toLocaleString()})`}</div>
+        </div>
+        <div class="stat-card">
+            <h3>Average Vehicles</h3>
+            <div class="value">${stats.NumberOfVehicles.mean.toFixed(2)}</div>
+            <div class="label">Per accident</div>
+        </div>
+        <div class="stat-card">
+            <h3>Average Casualty Rate</h3>
+            <div class="value">${stats.CasualtyRate ? stats.CasualtyRate.mean.toFixed(2) : 'N/A'}</div>
+            <div class="label">Per accident</div>
+        </div>
+        <div class="stat-card">
+            <h3>Rush Hour Accidents</h3>
+            <div class="value">${stats.categorical.rushHourAccidents.toLocaleString()}</div>
+            <div class="label">${((stats.categorical.rushHourAccidents / stats.categorical.totalAccidents) * 100).toFixed(1)}% of total</div>
+        </div>
+        <div class="stat-card">
+            <h3>Weekend Accidents</h3>
+            <div class="value">${stats.categorical.weekendAccidents.toLocaleString()}</div>
+            <div class="label">${((stats.categorical.weekendAccidents / stats.categorical.totalAccidents) * 100).toFixed(1)}% of total</div>
+        </div>
+        <div class="stat-card">
+            <h3>Multi-Vehicle</h3>
+            <div class="value">${stats.categorical.multiVehicleAccidents.toLocaleString()}</div>
+            <div class="label">${((stats.categorical.multiVehicleAccidents / stats.categorical.totalAccidents) * 100).toFixed(1)}% of total</div>
+        </div>
+    `;
+    
+    container.innerHTML = html;
+}
+
+// Ranked insights from the rules in insights.js, each linking to the chart that shows it
+function renderInsights(insights = findInsights()) {
+    const container = document.getElementById('insights-list');
+    recordExportTable('insights', insights.map(insight => ({
+        rule: insightRules[insight.rule].label,
+        insight: `${insight.title}: ${insight.text}`,
+        ratio: insight.ratio,
+        adjustedPValue: insight.pValue
+    })));
+    
+    const rules = Object.values(insightRules).filter(rule => datasetReady[rule.dataset]).map(rule => rule.label);
+    const note = `<p class="details-note">Rules checked: ${rules.join(', ')}. Only differences significant at
+        ${(insightAlpha * 100).toFixed(0)}% FDR (Benjamini-Hochberg within each rule) are listed, largest ratio first.</p>`;
+    if (insights.length === 0) {
+        container.innerHTML = `<p class="info-text">No significant patterns in the current view.</p>${note}`;
+        return;
+    }
+    
+    container.innerHTML = insights.map(insight => {
+        const target = document.getElementById(insight.target);
+        const section = target && target.closest('section');
+        return `
+            <div class="insight">
+                <strong>${escapeHtml(insight.title)}</strong> ${escapeHtml(insight.text)}
+                ${section ? `<a href="#${insight.target}" class="insight-link" data-target="${insight.target}">${section.querySelector('h2').textContent} →</a>` : ''}
+            </div>
+        `;
+    }).join('') + note;
+    
+    container.querySelectorAll('.insight-link').forEach(link => {
+        link.addEventListener('click', event => {
+            event.preventDefault(); // Scroll without a hash change, which would add a history entry
+            document.getElementById(link.dataset.target).closest('section').scrollIntoView({ behavior: 'smooth' });
+        });
+    });
+}
+
+// Hot Spot Analysis: Identify geographic clusters and calculate average severity
+function identifyHotSpots(data = filteredData, settings = hotSpotSettings) {
+    const located = data.filter(d => !isNaN(d.Latitude) && !isNaN(d.Longitude));
+    
+    let clusters;
+    switch (settings.algorithm) {
+        case 'dbscan':
+            clusters = clusterByDbscan(located, settings);
+            break;
+        case 'hexbin':
+            clusters = clusterByCells(located, d => getHexKey(d, settings.hexRadiusMetres), settings);
+            break;
+        case 'getisOrd':
+            clusters = clusterByGetisOrd(located, settings);
+            break;
+        default:
+            clusters = clusterByCells(located, d => getGridKey(d, settings.gridSize), settings);
+    }
+    
+    // Flag significance after adjusting for the number of clusters tested
+    const adjusted = benjaminiHochberg(clusters.map(c => c.pValue));
+    clusters.forEach((cluster, i) => {
+        cluster.adjustedPValue = adjusted[i];
+        cluster.significant = adjusted[i] < settings.alpha;
+    });
+    
+    const hotSpotArray = clusters
+        .filter(cluster => settings.algorithm !== 'getisOrd' || cluster.significant)
+        .sort((a, b) => settings.algorithm === 'getisOrd' ?
+            Math.abs(b.zScore) - Math.abs(a.zScore) :
+            b.count - a.count)
+        .slice(0, settings.maxSpots)
+        .map(summariseHotSpot);
+    
+    return { hotSpots: hotSpotArray, clusterCount: clusters.length, accidentCount: located.length };
+}
+
+// Grid or hexagonal bins: each occupied cell with enough accidents is a cluster, tested
+// against a Poisson with the mean count of the occupied cells
+function clusterByCells(data, getKey, settings) {
+    const cells = d3.group(data, getKey);
+    const expected = data.length / cells.size;
+    
+    return Array.from(cells.entries())
+        .filter(([key, accidents]) => accidents.length >= settings.minCount)
+        .map(([key, accidents]) => ({
+            key,
+            accidents,
+            count: accidents.length,
+            expected,
+            pValue: poissonUpperTail(accidents.length, expected)
+        }));
+}
+
+// DBSCAN clusters, tested against a Poisson with the mean count per occupied ε-sized cell
+// times the number of such cells the cluster covers
+function clusterByDbscan(data, settings) {
+    const epsilon = settings.epsilonMetres;
+    const points = data.map(projectToMetres);
+    const labels = dbscan(points, epsilon, settings.minPts);
+    const meanPerCell = data.length / createSpatialIndex(points, p => p, epsilon).cellCount;
+    
+    const groups = d3.group(data.map((d, i) => i).filter(i => labels[i] >= 0), i => labels[i]);
+    
+    return Array.from(groups.values()).map(indices => {
+        const accidents = indices.map(i => data[i]);
+        const lat = d3.mean(accidents, a => a.Latitude);
+        const lon = d3.mean(accidents, a => a.Longitude);
+        const radius = Math.ceil(d3.max(accidents, a => haversineDistance(lat, lon, a.Latitude, a.Longitude)) || epsilon);
+        const expected = meanPerCell * createSpatialIndex(indices.map(i => points[i]), p => p, epsilon).cellCount;
+        
+        return {
+            key: `circle:${lat.toFixed(5)}_${lon.toFixed(5)}_${radius}`,
+            accidents,
+            count: accidents.length,
+            radiusMetres: radius,
+            expected,
+            pValue: poissonUpperTail(accidents.length, expected)
+        };
+    });
+}
+
+// Getis-Ord Gi* over hexagonal bins: every cell in the study area is tested, including
+// empty ones, so both hot (z > 0) and cold (z < 0) spots can be significant
+function clusterByGetisOrd(data, settings) {
+    const radius = settings.hexRadiusMetres;
+    const cells = d3.group(data, d => {
+        const [x, y] = projectToMetres(d);
+        return hexCoordinates(x, y, radius).join('_');
+    });
+    const results = getisOrdGiStar(new Map(Array.from(cells, ([key, accidents]) => [key, accidents.length])));
+    
+    return Array.from(results.entries()).map(([cellKey, result]) => {
+        const accidents = cells.get(cellKey) || [];
+        const [q, r] = cellKey.split('_').map(Number);
+        const [lon, lat] = metricProjection.invert(hexCentre(q, r, radius));
+        
+        return {
+            key: `hex:${radius}:${cellKey}`,
+            accidents,
+            count: result.count,
+            zScore: result.z,
+            pValue: twoSidedPValue(result.z),
+            centre: { lat, lon }
+        };
+    });
+}
+
+// Averages and labels for a cluster
+function summariseHotSpot(cluster) {
+    const accidents = cluster.accidents;
+    const severities = accidents.map(a => a.SeverityNumeric).filter(v => v > 0);
+    const lat = accidents.length > 0 ? d3.mean(accidents, a => a.Latitude) : cluster.centre.lat;
+    const lon = accidents.length > 0 ? d3.mean(accidents, a => a.Longitude) : cluster.centre.lon;
+    // Get Local Authority name from the first accident in the cluster
+    const sampleAccident = accidents[0] || { Latitude: lat, Longitude: lon };
+    
+    return {
+        ...cluster,
+        avgSeverity: severities.length > 0 ? d3.mean(severities) : null,
+        avgVehicles: d3.mean(accidents, a => a.NumberOfVehicles) || 0,
+        avgCasualties: d3.mean(accidents, a => a.NumberOfCasualties) || 0,
+        lat,
+        lon,
+        localAuthorityName: getLocalAuthorityName(sampleAccident),
+        type: cluster.zScore !== undefined ? (cluster.zScore > 0 ? 'hot' : 'cold') : 'hot'
+    };
+}
+
+// Per-cluster significance, as shown in the details box
+function describeHotSpotSignificance(spot) {
+    const verdict = spot.significant ?
+        `significant ${spot.type} spot at ${(hotSpotSettings.alpha * 100).toFixed(0)}% FDR` :
+        'not significant';
+    
+    if (spot.zScore !== undefined) {
+        return `Gi* z = ${spot.zScore.toFixed(2)}, ${formatPValue(spot.adjustedPValue)} (${verdict})`;
+    }
+    return `${spot.count} observed vs ${spot.expected.toFixed(1)} expected, ${formatPValue(spot.adjustedPValue)} (${verdict})`;
+}
+
+// The algorithm and parameters used, so results can be reproduced
+function describeHotSpotSettings(settings = hotSpotSettings) {
+    const algorithm = hotSpotAlgorithms[settings.algorithm];
+    const params = algorithm.params.map(param => `${hotSpotParameters[param].label} = ${settings[param]}`);
+    params.push(`α = ${settings.alpha} (Benjamini-Hochberg)`);
+    return `${algorithm.label}: ${params.join(', ')}`;
+}
+
+// Function to get Local Authority Highway name from accident data
+function getLocalAuthorityName(accident) {
+    // Try to get from ukFolderData if available (has Local_Authority_Highway field)
+    if (accident.Local_Authority_Highway) {
+        const name = findCodeLabel('Local_Authority_Highway', accident.Local_Authority_Highway);
+        if (name) return name;
+    }
+    
+    // Fallback: nearest accident in ukFolderData with a highway authority
+    const match = findNearestFolderRecord(accident.Latitude, accident.Longitude, d => d.Local_Authority_Highway);
+    
+    if (match) {
+        const name = findCodeLabel('Local_Authority_Highway', match.item.Local_Authority_Highway);
+        if (name) return name;
+    }
+    
+    // Final fallback: return coordinates
+    return `${accident.Latitude.toFixed(3)}, ${accident.Longitude.toFixed(3)}`;
+}
+
+// Projection for the maps: Transverse Mercator on the British National Grid's
+// central meridian (2°W) and true origin (49°N), fitted to the UK
+function createUKProjection(width, height) {
+    return d3.geoTransverseMercator()
+        .rotate([2, -49])
+        .fitExtent([[20, 20], [width - 20, height - 20]], {
+            type: 'MultiPoint',
+            coordinates: [ukBounds.southWest, ukBounds.northEast]
+        });
+}
+
+// Hot spots are coloured by average severity (1 = Fatal, 3 = Slight), so redder means more severe
+const hotSpotSeverityColor = d3.scaleSequential(d3.interpolateYlOrRd).domain([3, 2.5]).clamp(true);
+
+// Set up an empty SVG map in a container, projected onto the UK
+function createMapView(container) {
+    const width = container.clientWidth || 800;
+    const height = container.clientHeight || 500;
+    
+    d3.select(container).selectAll('*').remove();
+    
+    const svg = d3.select(container)
+        .append('svg')
+        .attr('viewBox', `0 0 ${width} ${height}`)
+        .attr('preserveAspectRatio', 'xMidYMid meet');
+    const layer = svg.append('g');
+    const tooltip = d3.select(container).append('div').attr('class', 'map-tooltip');
+    const projection = createUKProjection(width, height);
+    
+    return { container, svg, layer, tooltip, width, height, projection, path: d3.geoPath(projection) };
+}
+
+function showMapTooltip(view, event, html) {
+    const [x, y] = d3.pointer(event, view.container);
+    view.tooltip
+        .style('display', 'block')
+        .style('left', `${x + 12}px`)
+        .style('top', `${y + 12}px`)
+        .html(html);
+}
+
+function hideMapTooltip(view) {
+    view.tooltip.style('display', 'none');
+}
+
+// Add zoom/pan with +/−/reset buttons; onZoom receives every new transform
+function addMapZoom(view, initialTransform, onZoom) {
+    const { container, svg, width, height } = view;
+    
+    const zoom = d3.zoom()
+        .extent([[0, 0], [width, height]])
+        .scaleExtent([1, 64])
+        .translateExtent([[-width, -height], [2 * width, 2 * height]])
+        .on('zoom', event => onZoom(event.transform))
+        .on('end', event => {
+            if (event.sourceEvent) updateUrlState(true); // Panned or zoomed by the user
+        });
+    
+    svg.call(zoom);
+    svg.call(zoom.transform, initialTransform);
+    
+    const animate = (method, value) => svg.transition().call(zoom[method], value).on('end', () => updateUrlState(true));
+    const controls = d3.select(container).append('div').attr('class', 'map-controls');
+    controls.append('button').attr('type', 'button').attr('title', 'Zoom in').text('+')
+        .on('click', () => animate('scaleBy', 2));
+    controls.append('button').attr('type', 'button').attr('title', 'Zoom out').text('−')
+        .on('click', () => animate('scaleBy', 0.5));
+    controls.append('button').attr('type', 'button').attr('title', 'Reset view').text('⟲')
+        .on('click', () => animate('transform', d3.zoomIdentity));
+    
+    return zoom;
+}
+
+// Legend of colour swatches in the bottom-right corner of a map
+function renderMapLegend(container, title, entries, note) {
+    const legend = d3.select(container).append('div').attr('class', 'map-legend');
+    legend.append('div').text(title);
+    
+    entries.forEach(entry => {
+        const row = legend.append('div').attr('class', 'map-legend-row');
+        row.append('span')
+            .attr('class', 'map-legend-swatch')
+            .style('background', entry.color);
+        row.append('span').text(entry.label);
+    });
+    
+    if (note) {
+        legend.append('div').attr('class', 'map-legend-note').text(note);
+    }
+}
+
+function renderHotSpotMap(hotSpots) {
+    const container = document.getElementById('hotspot-map');
+    if (!container) return;
+    
+    const view = createMapView(container);
+    const { layer, projection, path } = view;
+    
+    if (ukBoundary) {
+        layer.append('path')
+            .datum(ukBoundary)
+            .attr('class', 'map-boundary')
+            .attr('d', path);
+    }
+    
+    // Marker area proportional to accident count
+    const radius = d3.scaleSqrt()
+        .domain([0, d3.max(hotSpots, s => s.count) || 1])
+        .range([0, 18]);
+    
+    const markers = layer.selectAll('circle')
+        .data(hotSpots)
+        .join('circle')
+        .attr('class', 'map-marker')
+        .classed('selected', spot => isSelected('hotspot', spot.key))
+        .classed('dimmed', spot => selections.hotspot.length > 0 && !isSelected('hotspot', spot.key))
+        .classed('cold-spot', spot => spot.type === 'cold')
+        .attr('cx', spot => projection([spot.lon, spot.lat])[0])
+        .attr('cy', spot => projection([spot.lon, spot.lat])[1])
+        .attr('fill', spot => spot.avgSeverity === null ? '#9ecae1' : hotSpotSeverityColor(spot.avgSeverity))
+        .on('mousemove', (event, spot) => showMapTooltip(view, event, `
+            <strong>Location:</strong> ${escapeHtml(spot.localAuthorityName)}<br>
+            <strong>Accidents:</strong> ${spot.count}<br>
+            <strong>Avg Severity:</strong> ${spot.avgSeverity === null ? 'N/A' : spot.avgSeverity.toFixed(2)}<br>
+            <strong>Coordinates:</strong> (${spot.lat.toFixed(4)}, ${spot.lon.toFixed(4)})<br>
+            <strong>Significance:</strong> ${describeHotSpotSignificance(spot)}
+        `))
+        .on('mouseleave', () => hideMapTooltip(view))
+        .on('click', (event, spot) => toggleSelection('hotspot', spot.key, event.shiftKey));
+    
+    // Keep markers and outlines the same on-screen size while zooming
+    const applyTransform = transform => {
+        layer.attr('transform', transform);
+        layer.select('.map-boundary').attr('stroke-width', 1 / transform.k);
+        markers
+            .attr('r', spot => Math.max(3, radius(spot.count)) / Math.sqrt(transform.k))
+            .attr('stroke-width', 1 / transform.k);
+    };
+    
+    addMapZoom(view, hotSpotMapTransform, transform => {
+        hotSpotMapTransform = transform;
+        applyTransform(transform);
+    });
+    applyTransform(hotSpotMapTransform);
+    
+    renderMapLegend(container, 'Avg Severity', [3, 2.9, 2.8, 2.7, 2.6, 2.5].map(value => ({
+        color: hotSpotSeverityColor(value),
+        label: value === 2.5 ? '≤ 2.5' : value.toFixed(1)
+    })), 'Size = accident count');
+}
+
+// Algorithm selector and parameter inputs for the hot-spot analysis
+function renderHotSpotControls() {
+    const container = document.getElementById('hotspot-controls');
+    if (!container || container.children.length > 0) return;
+    
+    let html = `<label>Algorithm <select data-param="algorithm">
+        ${Object.entries(hotSpotAlgorithms).map(([key, a]) => `<option value="${key}">${a.label}</option>`).join('')}
+    </select></label>`;
+    
+    for (const [param, def] of Object.entries(hotSpotParameters)) {
+        if (def.options) {
+            html += `<label data-for="${param}">${def.label} <select data-param="${param}">
+                ${def.options.map(o => `<option value="${o}">${o}</option>`).join('')}
+            </select></label>`;
+        } else {
+            html += `<label data-for="${param}">${def.label} <input type="number" data-param="${param}" min="${def.min}" step="${def.step}"></label>`;
+        }
+    }
+    
+    container.innerHTML = html;
+    
+    container.querySelectorAll('[data-param]').forEach(control => {
+        control.value = hotSpotSettings[control.dataset.param];
+        control.addEventListener('change', () => {
+            const param = control.dataset.param;
+            if (param === 'algorithm') {
+                hotSpotSettings.algorithm = control.value;
+            } else {
+                const value = parseFloat(control.value);
+                const min = hotSpotParameters[param].min;
+                hotSpotSettings[param] = isNaN(value) || (min !== undefined && value < min) ? hotSpotSettings[param] : value;
+                control.value = hotSpotSettings[param];
+            }
+            updateHotSpotControlVisibility();
+            renderHotSpotAnalysis();
+        });
+    });
+    
+    updateHotSpotControlVisibility();
+}
+
+// Only show the parameters used by the selected algorithm
+function updateHotSpotControlVisibility() {
+    const used = hotSpotAlgorithms[hotSpotSettings.algorithm].params.concat(['alpha', 'maxSpots']);
+    document.querySelectorAll('#hotspot-controls [data-for]').forEach(label => {
+        label.style.display = used.includes(label.dataset.for) ? '' : 'none';
+    });
+}
+
+function renderHotSpotAnalysis() {
+    renderHotSpotControls();
+    
+    const { hotSpots, clusterCount, accidentCount } = getRollup('hotSpots',
+        () => identifyHotSpots(getSectionData('hotspot')),
+        cached => JSON.stringify(cached.settings) === JSON.stringify(hotSpotSettings));
+    
+    currentHotSpots = hotSpots;
+    recordExportTable('hotspots', hotSpots);
+    renderHotSpotMap(hotSpots);
+    
+    // Display hot spot details
+    const detailsContainer = document.getElementById('hotspot-details');
+    const parametersHtml = `<p class="details-note"><strong>Method:</strong> ${describeHotSpotSettings()}. 
+        ${clusterCount.toLocaleString()} ${hotSpotSettings.algorithm === 'getisOrd' ? 'cells tested' : 'clusters found'} 
+        among ${accidentCount.toLocaleString()} located accidents; ${hotSpots.length} shown.</p>`;
+    
+    if (hotSpots.length === 0) {
+        detailsContainer.innerHTML = `<h3>Top 10 Hot Spot Details</h3>${parametersHtml}<p>No hot spots match the active filters and parameters.</p>`;
+        return;
+    }
+    const topSpots = hotSpots.slice(0, 10);
+    let detailsHtml = `<h3>Top 10 Hot Spot Details</h3>${parametersHtml}<ul>`;
+    
+    topSpots.forEach((spot, i) => {
+        detailsHtml += `
+            <li>
+                <strong>${escapeHtml(spot.localAuthorityName)}:</strong> 
+                ${spot.count} accidents, 
+                Avg Vehicles: ${spot.avgVehicles.toFixed(2)}, 
+                Avg Casualty Rate: ${spot.avgCasualties.toFixed(2)}
+                <br>
+                <small>Significance: ${describeHotSpotSignificance(spot)}</small>
+                <br>
+                <small>Coordinates: (${spot.lat.toFixed(4)}, ${spot.lon.toFixed(4)})${spot.radiusMetres ? `, radius ${spot.radiusMetres} m` : ''}</small>
+            </li>
+        `;
+    });
+    
+    detailsHtml += '</ul>';
+    detailsHtml += `<div class="insight">
+        <strong>Key Insight:</strong> The ${hotSpotSettings.algorithm === 'getisOrd' ? 'strongest' : 'most active'} ${hotSpots[0].type} spot is in ${escapeHtml(hotSpots[0].localAuthorityName)} 
+        with ${hotSpots[0].count} accidents (${describeHotSpotSignificance(hotSpots[0])}).
+    </div>`;
+    
+    detailsContainer.innerHTML = detailsHtml;
+}
+
+// Region key of the intervention area, or null until one is chosen
+function getInterventionAreaKey() {
+    const settings = interventionSettings;
+    if (settings.area === 'hotspot') return settings.hotSpotKey;
+    if (settings.lat === null || settings.lon === null || !(settings.radiusMetres > 0)) return null;
+    return `circle:${settings.lat}_${settings.lon}_${settings.radiusMetres}`;
+}
+
+// Area of a hot-spot region in square metres
+function getRegionArea(key) {
+    const region = parseHotSpotRegion(key);
+    switch (region.type) {
+        case 'grid': {
+            const side = region.size * 111320; // Metres per degree of latitude
+            return side * side * Math.cos((region.latGrid + 0.5) * region.size * Math.PI / 180);
+        }
+        case 'hex':
+            return 3 * Math.sqrt(3) / 2 * region.radius * region.radius;
+        default:
+            return Math.PI * region.radius * region.radius;
+    }
+}
+
+// Before/after comparison for an area around an intervention date, from ukFolderData under
+// the active filters (except the year: the periods set the dates). The comparison group is
+// the rest of the area's local authorities, whose after/before ratio stands in for the
+// general trend; the empirical Bayes reference population is every hexagon of the same area
+// across those authorities with an accident in either period. Returns { error } when the
+// periods fall outside the data.
+function analyzeIntervention(key, date, years) {
+    const [first, last] = d3.extent(ukFolderData, d => d.Date);
+    const beforeStart = d3.max([d3.timeYear.offset(date, -years), first]);
+    const afterEnd = d3.min([d3.timeYear.offset(date, years), d3.timeDay.offset(last, 1)]);
+    if (!(date > first) || !(date <= last)) {
+        return { error: `The intervention date must fall within the data (${formatDateKey(first)} to ${formatDateKey(last)}).` };
+    }
+    
+    const rows = ukFolderData.filter(d => d.Date >= beforeStart && d.Date < afterEnd &&
+        !isNaN(d.Latitude) && !isNaN(d.Longitude) && matchesFilters(d, true));
+    const inArea = new Set(rows.filter(d => hotSpotRegionContains(key, d)));
+    const siteRows = rows.filter(d => inArea.has(d));
+    const authorities = new Set(siteRows.map(d => d.Local_Authority_Highway).filter(code => code));
+    const poolRows = authorities.size > 0 ? rows.filter(d => authorities.has(d.Local_Authority_Highway)) : rows;
+    const comparisonRows = poolRows.filter(d => !inArea.has(d));
+    
+    const isBefore = d => d.Date < date;
+    const summarise = (periodRows, start, end) => {
+        const days = d3.timeDay.count(start, end);
+        const ksi = countRateOutcomes(periodRows, 'ksiRate');
+        return {
+            start,
+            end,
+            days,
+            count: periodRows.length,
+            perYear: periodRows.length * 365.25 / days,
+            ksi,
+            ksiRate: periodRows.length > 0 ? ksi / periodRows.length * 100 : null
+        };
+    };
+    const before = summarise(siteRows.filter(isBefore), beforeStart, date);
+    const after = summarise(siteRows.filter(d => !isBefore(d)), date, afterEnd);
+    const comparisonBefore = summarise(comparisonRows.filter(isBefore), beforeStart, date);
+    const comparisonAfter = summarise(comparisonRows.filter(d => !isBefore(d)), date, afterEnd);
+    
+    // Before-period counts of same-sized hexagons
+    const hexRadius = Math.sqrt(2 * getRegionArea(key) / (3 * Math.sqrt(3)));
+    const referenceCounts = Array.from(d3.rollup(poolRows, cell => cell.filter(isBefore).length, d => getHexKey(d, hexRadius)).values());
+    const comparisonRatio = comparisonBefore.count > 0 ? comparisonAfter.count / comparisonBefore.count : NaN;
+    
+    const months = d3.timeMonth.range(d3.timeMonth.floor(beforeStart), afterEnd);
+    const siteByMonth = d3.rollup(siteRows, v => v.length, d => d3.timeMonth.floor(d.Date).getTime());
+    const comparisonByMonth = d3.rollup(comparisonRows, v => v.length, d => d3.timeMonth.floor(d.Date).getTime());
+    
+    return {
+        before,
+        after,
+        comparisonBefore,
+        comparisonAfter,
+        authorities: Array.from(authorities),
+        countTest: poissonRateTest(before.count, before.days, after.count, after.days),
+        ksiTest: twoProportionTest(before.ksi, before.count, after.ksi, after.count),
+        comparisonEffect: comparisonGroupEffect(after.count, before.count, comparisonAfter.count, comparisonBefore.count),
+        empiricalBayes: empiricalBayesEffect(after.count, before.count, referenceCounts, comparisonRatio),
+        referenceSites: referenceCounts.length,
+        hexRadius,
+        months: months.map(month => ({
+            start: month,
+            count: siteByMonth.get(month.getTime()) || 0,
+            comparison: comparisonByMonth.get(month.getTime()) || 0
+        }))
+    };
+}
+
+// Area, date and period pickers of the intervention analysis. Listeners are attached after
+// each render, as the pickers change with the area type.
+function renderInterventionControls() {
+    const container = document.getElementById('intervention-controls');
+    if (!container) return;
+    
+    const settings = interventionSettings;
+    const spotLabel = spot => `${spot.localAuthorityName}: ${spot.count} accidents (${spot.lat.toFixed(4)}, ${spot.lon.toFixed(4)})`;
+    if (settings.hotSpotKey === null && currentHotSpots.length > 0) {
+        const spot = currentHotSpots.find(s => isSelected('hotspot', s.key)) || currentHotSpots[0];
+        settings.hotSpotKey = spot.key;
+        settings.hotSpotLabel = spotLabel(spot);
+    }
+    if (settings.date === null && ukFolderData.length > 0) {
+        const [first, last] = d3.extent(ukFolderData, d => d.Date);
+        settings.date = formatDateKey(d3.timeMonth.floor(new Date((first.getTime() + last.getTime()) / 2)));
+    }
+    
+    // Keep the chosen hot spot listed when the filters no longer show it
+    const spotOptions = currentHotSpots.map(spot => ({ key: spot.key, label: spotLabel(spot) }));
+    if (settings.hotSpotKey !== null && !spotOptions.some(option => option.key === settings.hotSpotKey)) {
+        spotOptions.unshift({ key: settings.hotSpotKey, label: settings.hotSpotLabel });
+    }
+    
+    container.innerHTML = `
+        <label>Area <select data-setting="area">
+            <option value="hotspot"${settings.area === 'hotspot' ? ' selected' : ''}>Hot spot</option>
+            <option value="point"${settings.area === 'point' ? ' selected' : ''}>Circle around a point</option>
+        </select></label>
+        ${settings.area === 'hotspot' ? `<label>Hot spot <select data-setting="hotSpotKey">
+            ${spotOptions.map(option => `<option value="${escapeHtml(option.key)}"${option.key === settings.hotSpotKey ? ' selected' : ''}>${escapeHtml(option.label)}</option>`).join('')}
+        </select></label>` : `
+            <label>Latitude <input type="number" data-setting="lat" step="0.0001" value="${settings.lat === null ? '' : settings.lat}"></label>
+            <label>Longitude <input type="number" data-setting="lon" step="0.0001" value="${settings.lon === null ? '' : settings.lon}"></label>
+            <label>Radius (m) <input type="number" data-setting="radiusMetres" min="10" step="10" value="${settings.radiusMetres}"></label>
+        `}
+        <label>Scheme in use from <input type="date" data-setting="date" value="${settings.date || ''}"></label>
+        <label>Years before and after <select data-setting="years">
+            ${[1, 2, 3, 4, 5].map(years => `<option value="${years}"${years === settings.years ? ' selected' : ''}>${years}</option>`).join('')}
+        </select></label>
+    `;
+    
+    container.querySelectorAll('[data-setting]').forEach(control => {
+        control.addEventListener('change', () => {
+            const setting = control.dataset.setting;
+            if (setting === 'area') {
+                settings.area = control.value;
+                // Start the circle on the chosen hot spot
+                const spot = currentHotSpots.find(s => s.key === settings.hotSpotKey);
+                if (settings.area === 'point' && settings.lat === null && spot) {
+                    settings.lat = parseFloat(spot.lat.toFixed(5));
+                    settings.lon = parseFloat(spot.lon.toFixed(5));
+                }
+            } else if (setting === 'hotSpotKey') {
+                settings.hotSpotKey = control.value;
+                settings.hotSpotLabel = control.options[control.selectedIndex].text;
+            } else if (setting === 'date') {
+                settings.date = control.value || settings.date;
+            } else {
+                const value = parseFloat(control.value);
+                settings[setting] = isNaN(value) ? (setting === 'lat' || setting === 'lon' ? null : settings[setting]) : value;
+            }
+            renderInterventionAnalysis();
+        });
+    });
+}
+
+function renderInterventionAnalysis() {
+    renderInterventionControls();
+    
+    const container = document.getElementById('intervention-analysis');
+    if (!container) return;
+    
+    const key = getInterventionAreaKey();
+    const date = interventionSettings.date ? parseDateKey(interventionSettings.date) : null;
+    let message = null;
+    if (key === null) {
+        message = interventionSettings.area === 'hotspot' ?
+            'No hot spots to choose from yet: they appear once the cleaned dataset has loaded. A circle around a point can be used instead.' :
+            'Enter the latitude and longitude of the scheme and a radius.';
+    } else if (!date) {
+        message = 'Enter the date the scheme came into use.';
+    }
+    const result = message === null ? analyzeIntervention(key, date, interventionSettings.years) : { error: message };
+    recordExportTable('intervention', result.error ? [] : result.months.map(month => ({
+        month: d3.timeFormat('%Y-%m')(month.start),
+        period: month.start < result.before.end ? 'before' : 'after',
+        accidents: month.count,
+        comparisonGroup: month.comparison
+    })));
+    if (result.error) {
+        destroyChart('intervention-chart');
+        container.innerHTML = `<p class="info-text">${result.error}</p>`;
+        return;
+    }
+    
+    const { before, after, comparisonBefore, comparisonAfter, comparisonEffect, empiricalBayes: eb } = result;
+    const formatDay = d3.timeFormat('%d %b %Y');
+    const formatPeriod = period => `${formatDay(period.start)} – ${formatDay(d3.timeDay.offset(period.end, -1))}`;
+    const formatChange = (a, b) => a > 0 ? `${b >= a ? '+' : ''}${((b / a - 1) * 100).toFixed(1)}%` : '–';
+    const formatEffect = effect => `θ = ${effect.theta.toFixed(2)} (95% CI ${effect.low.toFixed(2)}–${effect.high.toFixed(2)}), 
+        ${effect.theta <= 1 ? `${((1 - effect.theta) * 100).toFixed(0)}% fewer` : `${((effect.theta - 1) * 100).toFixed(0)}% more`} accidents than expected`;
+    const comparisonName = result.authorities.length > 0 ?
+        `the rest of ${result.authorities.map(code => decode('Local_Authority_Highway', code)).join(', ')}` :
+        'all other accidents';
+    
+    // Expected accidents per month without the scheme, spread evenly over each period's days
+    const expectedPerDay = month => {
+        if (!eb) return null;
+        return month.start < before.end ? eb.expectedBefore / before.days : eb.expected / after.days;
+    };
+    const comparisonScale = comparisonBefore.count > 0 ? before.count / comparisonBefore.count : 0;
+    const labels = result.months.map(month => d3.timeFormat('%b %Y')(month.start));
+    
+    renderChart('intervention-chart', {
+        type: 'bar',
+        data: {
+            labels,
+            datasets: [
+                {
+                    label: 'Accidents in the area',
+                    data: result.months.map(month => month.count),
+                    backgroundColor: result.months.map(month => month.start < d3.timeMonth.floor(before.end) ? colors.primary : colors.success),
+                    order: 2
+                },
+                {
+                    label: 'Comparison group (scaled to the area\'s before count)',
+                    type: 'line',
+                    data: result.months.map(month => month.comparison * comparisonScale),
+                    borderColor: colors.secondary,
+                    pointRadius: 0,
+                    borderWidth: 1.5,
+                    tension: 0.2,
+                    order: 1
+                },
+                {
+                    label: 'Expected without the scheme (empirical Bayes)',
+                    type: 'line',
+                    data: result.months.map(month => {
+                        const perDay = expectedPerDay(month);
+                        return perDay === null ? null : perDay * d3.timeDay.count(month.start, d3.timeMonth.offset(month.start, 1));
+                    }),
+                    borderColor: colors.danger,
+                    borderDash: [6, 4],
+                    pointRadius: 0,
+                    stepped: true,
+                    order: 0
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                title: {
+                    display: true,
+                    text: `Monthly accidents around ${formatDay(before.end)}`
+                },
+                subtitle: {
+                    display: true,
+                    text: 'Before in blue, from the scheme\'s month on in light blue'
+                }
+            },
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    title: {
+                        display: true,
+                        text: 'Accidents per month'
+                    }
+                }
+            }
+        }
+    });
+    
+    const periodRow = (label, period) => `<tr>
+        <td>${label}</td>
+        <td>${formatPeriod(period)}</td>
+        <td>${period.count.toLocaleString()}</td>
+        <td>${period.perYear.toFixed(1)}</td>
+        <td>${period.ksi.toLocaleString()}</td>
+        <td>${period.ksiRate === null ? '–' : `${period.ksiRate.toFixed(1)}%`}</td>
+    </tr>`;
+    
+    let estimatesHtml = `<li><strong>Naive before/after:</strong> ${formatChange(before.perYear, after.perYear)} accidents per year
+        (${formatPValue(result.countTest.pValue)}); KSI rate ${before.ksiRate === null || after.ksiRate === null ? 'not comparable' :
+        `${before.ksiRate.toFixed(1)}% → ${after.ksiRate.toFixed(1)}% (${formatPValue(result.ksiTest.pValue)})`}.
+        This ignores the general trend and regression to the mean.</li>`;
+    estimatesHtml += comparisonEffect ?
+        `<li><strong>Comparison group:</strong> ${formatEffect(comparisonEffect)} from the trend in ${escapeHtml(comparisonName)}
+            (${formatChange(comparisonBefore.perYear, comparisonAfter.perYear)} per year there).</li>` :
+        '<li><strong>Comparison group:</strong> not estimable, as a period has no accidents in the area or the comparison group.</li>';
+    estimatesHtml += eb ?
+        `<li><strong>Empirical Bayes:</strong> ${formatEffect(eb)}. The ${before.count} before accidents are shrunk towards the mean of
+            ${result.referenceSites.toLocaleString()} reference hexagons of the same area (weight ${eb.weight.toFixed(2)}),
+            giving ${eb.expectedBefore.toFixed(1)} expected before${before.count > 0 ?
+                ` (${((before.count - eb.expectedBefore) / before.count * 100).toFixed(0)}% of the before count attributed to regression to the mean)` : ''}
+            and ${eb.expected.toFixed(1)} expected after without the scheme, against ${after.count} observed.</li>` :
+        '<li><strong>Empirical Bayes:</strong> not estimable without accidents in the comparison group or reference hexagons.</li>';
+    
+    const preferred = eb || comparisonEffect;
+    let verdict = 'Too few accidents to estimate an effect.';
+    if (preferred) {
+        const method = eb ? 'empirical Bayes' : 'comparison-group';
+        if (preferred.high < 1) verdict = `The ${method} estimate shows a significant reduction: ${formatEffect(preferred)}.`;
+        else if (preferred.low > 1) verdict = `The ${method} estimate shows a significant increase: ${formatEffect(preferred)}.`;
+        else verdict = `The ${method} interval includes no change (θ = 1), so the data cannot show the scheme had an effect.`;
+    }
+    
+    container.innerHTML = `
+        <div class="quality-table"><table>
+            <thead><tr><th>Period</th><th>Dates</th><th>Accidents</th><th>Per year</th><th>KSI</th><th>KSI rate</th></tr></thead>
+            <tbody>
+                ${periodRow('Before', before)}
+                ${periodRow('After', after)}
+                ${periodRow('Comparison group before', comparisonBefore)}
+                ${periodRow('Comparison group after', comparisonAfter)}
+            </tbody>
+        </table></div>
+        <ul>${estimatesHtml}</ul>
+        ${before.count + after.count < 20 ? `<p class="info-text">Only ${before.count + after.count} accidents in the area:
+            intervals are wide and a single crash moves the estimates.</p>` : ''}
+        <div class="insight"><strong>Key Insight:</strong> ${verdict}</div>
+        <p class="details-note">θ is the index of effectiveness: after accidents over those expected without the scheme (below 1 is a
+            reduction). Active filters apply, except the year filter and chart selections. Reference hexagons have a
+            ${Math.round(result.hexRadius)} m radius.</p>
+    `;
+}
+
+// Metrics available for the local authority choropleth and ranking table
+const authorityMetrics = {
+    count: { label: 'Accidents', format: v => v.toLocaleString() },
+    casualties: { label: 'Casualties', format: v => v.toLocaleString() },
+    fatalShare: { label: 'Fatal %', format: v => `${(v * 100).toFixed(1)}%` },
+    seriousShare: { label: 'Serious %', format: v => `${(v * 100).toFixed(1)}%` },
+    ksiShare: { label: 'Fatal/Serious %', format: v => `${(v * 100).toFixed(1)}%` },
+    avgSeverity: { label: 'Avg Severity', format: v => v.toFixed(2), lowerIsWorse: true },
+    perPopulation: { label: 'Per 100k Population', format: v => v.toFixed(1), context: 'population' },
+    perRoadLength: { label: 'Per 100 km Road', format: v => v.toFixed(1), context: 'roadLengthKm' }
+};
+
+// Aggregate accidents per highway authority (uses the raw data, which carries the authority code)
+function aggregateByLocalAuthority(data = filteredFolderData) {
+    const rollup = d3.rollup(
+        data.filter(d => d.Local_Authority_Highway),
+        v => {
+            const fatal = v.filter(d => d.Accident_Severity === 1).length;
+            const serious = v.filter(d => d.Accident_Severity === 2).length;
+            return {
+                count: v.length,
+                casualties: d3.sum(v, d => d.NumberOfCasualties),
+                fatalShare: fatal / v.length,
+                seriousShare: serious / v.length,
+                ksiShare: (fatal + serious) / v.length,
+                avgSeverity: d3.mean(v.filter(d => d.Accident_Severity > 0), d => d.Accident_Severity) || 0
+            };
+        },
+        d => d.Local_Authority_Highway
+    );
+    
+    return Array.from(rollup.entries()).map(([code, stats]) => {
+        const context = localAuthorityContext.get(code) || {};
+        return {
+            code,
+            name: decode('Local_Authority_Highway', code),
+            ...stats,
+            perPopulation: context.population ? stats.count / context.population * 100000 : null,
+            perRoadLength: context.roadLengthKm ? stats.count / context.roadLengthKm * 100 : null
+        };
+    });
+}
+
+function getFeatureAuthorityCode(feature) {
+    const properties = feature.properties || {};
+    const key = localAuthorityBoundaryKeys.find(k => properties[k] !== undefined);
+    return key ? properties[key] : feature.id;
+}
+
+function renderLocalAuthorityAnalysis(authorities = aggregateByLocalAuthority()) {
+    recordExportTable('local-authorities', authorities);
+    
+    renderAuthorityMetricControl();
+    renderAuthorityMap(authorities);
+    renderAuthorityTable(authorities);
+}
+
+function renderAuthorityMetricControl() {
+    const select = document.getElementById('authority-metric');
+    if (!select || select.options.length > 0) return;
+    
+    const hasContext = key => Array.from(localAuthorityContext.values()).some(c => c[key]);
+    
+    select.innerHTML = Object.entries(authorityMetrics).map(([key, metric]) => {
+        const disabled = metric.context && !hasContext(metric.context);
+        return `<option value="${key}"${disabled ? ' disabled' : ''}>${metric.label}${disabled ? ' (no context data)' : ''}</option>`;
+    }).join('');
+    select.value = authorityMetric;
+    
+    select.addEventListener('change', () => {
+        authorityMetric = select.value;
+        authoritySort = { key: authorityMetric, descending: !authorityMetrics[authorityMetric].lowerIsWorse };
+        renderLocalAuthorityAnalysis();
+    });
+}
+
+function renderAuthorityMap(authorities) {
+    const container = document.getElementById('authority-map');
+    if (!container) return;
+    
+    const view = createMapView(container);
+    const { svg, layer, height, path } = view;
+    
+    if (!localAuthorityBoundaries) {
+        svg.append('text')
+            .attr('class', 'map-note')
+            .attr('x', 10)
+            .attr('y', height - 10)
+            .text(`Boundary data not found at ${localAuthorityBoundaryUrl}`);
+        return;
+    }
+    
+    const metric = authorityMetrics[authorityMetric];
+    const byCode = new Map(authorities.map(a => [a.code, a]));
+    const values = authorities.map(a => a[authorityMetric]).filter(v => v !== null);
+    const extent = d3.extent(values);
+    const color = d3.scaleSequential(d3.interpolateYlOrRd)
+        .domain(metric.lowerIsWorse ? [extent[1], extent[0]] : extent);
+    
+    const regions = layer.selectAll('path')
+        .data(localAuthorityBoundaries.features)
+        .join('path')
+        .attr('class', 'map-region')
+        .attr('d', path)
+        .attr('fill', feature => {
+            const authority = byCode.get(getFeatureAuthorityCode(feature));
+            return authority && authority[authorityMetric] !== null ? color(authority[authorityMetric]) : '#e0e0e0';
+        })
+        .on('mousemove', (event, feature) => {
+            const code = getFeatureAuthorityCode(feature);
+            const authority = byCode.get(code);
+            showMapTooltip(view, event, authority ? `
+                <strong>${escapeHtml(authority.name)}</strong><br>
+                Accidents: ${authority.count.toLocaleString()}<br>
+                Casualties: ${authority.casualties.toLocaleString()}<br>
+                Fatal/Serious: ${(authority.ksiShare * 100).toFixed(1)}%<br>
+                Avg Severity: ${authority.avgSeverity.toFixed(2)}
+                ${authority[authorityMetric] !== null ? `<br>${metric.label}: ${metric.format(authority[authorityMetric])}` : ''}
+            ` : `<strong>${escapeHtml(decode('Local_Authority_Highway', code))}</strong><br>No accidents match the active filters`);
+        })
+        .on('mouseleave', () => hideMapTooltip(view));
+    
+    addMapZoom(view, authorityMapTransform, transform => {
+        authorityMapTransform = transform;
+        layer.attr('transform', transform);
+        regions.attr('stroke-width', 0.5 / transform.k);
+    });
+    
+    if (values.length > 0) {
+        const ticks = d3.ticks(extent[0], extent[1], 5);
+        renderMapLegend(container, metric.label, ticks.map(value => ({
+            color: color(value),
+            label: metric.format(value)
+        })), 'Grey = no data');
+    }
+}
+
+function renderAuthorityTable(authorities) {
+    const container = document.getElementById('authority-table');
+    if (!container) return;
+    
+    if (authorities.length === 0) {
+        container.innerHTML = '<p class="info-text">No accidents with a highway authority match the active filters.</p>';
+        return;
+    }
+    
+    const columns = Object.entries(authorityMetrics)
+        .filter(([key, metric]) => !metric.context || authorities.some(a => a[key] !== null));
+    const { key, descending } = authoritySort;
+    const sorted = [...authorities].sort((a, b) => {
+        // Authorities without a value (e.g. no population data) always sort last; ties go by name
+        if (a[key] === null && b[key] === null) return d3.ascending(a.name, b.name);
+        if (a[key] === null) return 1;
+        if (b[key] === null) return -1;
+        return (descending ? d3.descending(a[key], b[key]) : d3.ascending(a[key], b[key])) || d3.ascending(a.name, b.name);
+    });
+    
+    let html = '<table><thead><tr><th>#</th><th data-sort="name">Authority</th>';
+    columns.forEach(([columnKey, metric]) => {
+        const arrow = columnKey === key ? (descending ? ' ▼' : ' ▲') : '';
+        html += `<th data-sort="${columnKey}"${columnKey === authorityMetric ? ' class="active"' : ''}>${metric.label}${arrow}</th>`;
+    });
+    html += '</tr></thead><tbody>';
+    
+    sorted.forEach((authority, i) => {
+        html += `<tr><td>${i + 1}</td><td>${escapeHtml(authority.name)}</td>`;
+        columns.forEach(([columnKey, metric]) => {
+            const value = authority[columnKey];
+            html += `<td>${value === null ? '–' : metric.format(value)}</td>`;
+        });
+        html += '</tr>';
+    });
+    html += '</tbody></table>';
+    
+    container.innerHTML = html;
+    
+    container.querySelectorAll('th[data-sort]').forEach(th => {
+        th.addEventListener('click', () => {
+            const sortKey = th.dataset.sort;
+            authoritySort = sortKey === authoritySort.key ?
+                { key: sortKey, descending: !authoritySort.descending } :
+                { key: sortKey, descending: sortKey !== 'name' };
+            renderAuthorityTable(authorities);
+        });
+    });
+}
+
+// Time Trend Analysis
+function analyzeTimeTrends(data = filteredData) {
+    // Monthly trends
+    const monthlyData = d3.rollup(
+        data,
+        v => ({
+            count: v.length,
+            killedOrSerious: v.filter(d => d.SeverityNumeric === 1 || d.SeverityNumeric === 2).length,
+            totalCasualties: d3.sum(v.map(d => d.NumberOfCasualties))
+        }),
+        d => d.Month
+    );
+    
+    const monthlyTrend = monthNames.map((month, idx) => {
+        const monthNum = idx + 1;
+        const data = monthlyData.get(monthNum) || { count: 0, killedOrSerious: 0, totalCasualties: 0 };
+        return {
+            month: month,
+            monthNum: monthNum,
+            ...data
+        };
+    });
+    
+    // Yearly trend (if multiple years exist)
+    const yearlyData = d3.rollup(
+        data,
+        v => v.length,
+        d => d.Year
+    );
+    
+    const yearlyTrend = Array.from(yearlyData.entries())
+        .map(([year, count]) => ({ year, count }))
+        .sort((a, b) => a.year - b.year);
+    
+    return { monthlyTrend, yearlyTrend };
+}
+
+function renderTrendAnalysis() {
+    const trends = getRollup('timeTrends', () => analyzeTimeTrends(getSectionData('month')));
+    const ksiRates = trends.monthlyTrend.map(t => {
+        const interval = wilsonInterval(t.killedOrSerious, t.count);
+        return { value: t.count > 0 ? interval.estimate * 100 : null, low: interval.low * 100, high: interval.high * 100 };
+    });
+    recordExportTable('monthly-trend', trends.monthlyTrend.map((t, i) => ({
+        ...t,
+        ksiRate: ksiRates[i].value,
+        ksiRateLow: t.count > 0 ? ksiRates[i].low : null,
+        ksiRateHigh: t.count > 0 ? ksiRates[i].high : null
+    })));
+    
+    renderChart('trend-chart', {
+        type: 'line',
+        data: {
+            labels: trends.monthlyTrend.map(t => t.month),
+            datasets: [
+                {
+                    label: 'Number of Accidents',
+                    data: trends.monthlyTrend.map(t => t.count),
+                    borderColor: colors.primary,
+                    backgroundColor: colors.primary + '20',
+                    tension: 0.4,
+                    fill: true
+                },
+                {
+                    label: 'KSI Rate (%)',
+                    data: ksiRates.map(r => r.value),
+                    errorBars: ksiRates,
+                    errorBarColor: colors.danger,
+                    borderColor: colors.danger,
+                    backgroundColor: colors.danger + '20',
+                    tension: 0.4,
+                    yAxisID: 'y1'
+                }
+            ]
+        },
+        plugins: [errorBarsPlugin],
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                title: {
+                    display: true,
+                    text: 'Accident Trends Over Time'
+                },
+                subtitle: {
+                    display: true,
+                    text: 'KSI rate: share of accidents killing or seriously injuring someone, with 95% Wilson intervals'
+                }
+            },
+            scales: {
+                y: {
+                    title: {
+                        display: true,
+                        text: 'Number of Accidents'
+                    }
+                },
+                y1: {
+                    type: 'linear',
+                    display: true,
+                    position: 'right',
+                    beginAtZero: true,
+                    suggestedMax: d3.max(ksiRates, r => r.high),
+                    title: {
+                        display: true,
+                        text: 'KSI Rate (%)'
+                    },
+                    grid: {
+                        drawOnChartArea: false
+                    }
+                }
+            }
+        }
+    });
+    
+    // Calculate trend analysis
+    const analysisContainer = document.getElementById('trend-analysis');
+    const counts = trends.monthlyTrend.map(t => t.count);
+    const firstHalf = counts.slice(0, 6);
+    const secondHalf = counts.slice(6);
+    const firstHalfAvg = d3.mean(firstHalf);
+    const secondHalfAvg = d3.mean(secondHalf);
+    const change = firstHalfAvg > 0 ? ((secondHalfAvg - firstHalfAvg) / firstHalfAvg) * 100 : 0;
+    
+    let analysisHtml = '<h3>Trend Analysis</h3>';
+    analysisHtml += `<div class="insight">`;
+    
+    if (trends.yearlyTrend.length > 1) {
+        const yearChange = ((trends.yearlyTrend[trends.yearlyTrend.length - 1].count - 
+                           trends.yearlyTrend[0].count) / trends.yearlyTrend[0].count) * 100;
+        analysisHtml += `<strong>Year-over-Year Change:</strong> ${yearChange > 0 ? '+' : ''}${yearChange.toFixed(2)}%`;
+    } else if (trends.yearlyTrend.length === 1) {
+        analysisHtml += `<strong>Note:</strong> This trend is only ${trends.yearlyTrend[0].year}. `;
+    } else {
+        analysisHtml += `<strong>Note:</strong> No accidents match the active filters. `;
+    }
+    
+    analysisHtml += `<br><strong>First Half vs Second Half of Year:</strong> `;
+    analysisHtml += `First 6 months average: ${firstHalfAvg.toFixed(0)} accidents/month, `;
+    analysisHtml += `Last 6 months average: ${secondHalfAvg.toFixed(0)} accidents/month. `;
+    analysisHtml += `Change: ${change > 0 ? '+' : ''}${change.toFixed(1)}%`;
+    analysisHtml += `</div>`;
+    
+    analysisContainer.innerHTML = analysisHtml;
+}
+
+// Yearly totals for the 5-year trend - Uses UK folder data
+function aggregateYearlyTotals(data = filteredFolderData) {
+    const yearlyData = d3.rollup(
+        data,
+        v => ({
+            count: v.length,
+            avgSeverity: d3.mean(v.map(d => d.Accident_Severity)),
+            totalCasualties: d3.sum(v.map(d => d.NumberOfCasualties))
+        }),
+        d => d.Year
+    );
+    
+    const years = Array.from(yearlyData.entries())
+        .map(([year, data]) => ({ year, ...data }))
+        .sort((a, b) => a.year - b.year);
+    
+    // Get years from 2010 onwards (last 5 years from 2010-2015)
+    return years.filter(y => y.year >= 2010).slice(0, 6);
+}
+
+// 5-Year Trend Analysis - Uses UK folder data
+function renderFiveYearTrend() {
+    const displayYears = getRollup('yearlyTotals', () => aggregateYearlyTotals());
+    
+    renderChart('five-year-trend-chart', {
+        type: 'line',
+        data: {
+            labels: displayYears.map(y => y.year),
+            datasets: [
+                {
+                    label: 'Number of Accidents',
+                    data: displayYears.map(y => y.count),
+                    borderColor: colors.primary,
+                    backgroundColor: colors.primary + '20',
+                    tension: 0.4,
+                    fill: true,
+                    yAxisID: 'y'
+                },
+                {
+                    label: 'Total Casualties',
+                    data: displayYears.map(y => y.totalCasualties),
+                    borderColor: colors.danger,
+                    backgroundColor: colors.danger + '20',
+                    tension: 0.4,
+                    fill: true,
+                    yAxisID: 'y1'
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                title: {
+                    display: true,
+                    text: `5-Year Accident Trend Analysis (${displayYears.length > 0 ? displayYears[0].year : ''} - ${displayYears.length > 0 ? displayYears[displayYears.length - 1].year : ''})`
+                },
+                legend: {
+                    display: true
+                }
+            },
+            scales: {
+                y: {
+                    type: 'linear',
+                    display: true,
+                    position: 'left',
+                    title: {
+                        display: true,
+                        text: 'Number of Accidents'
+                    }
+                },
+                y1: {
+                    type: 'linear',
+                    display: true,
+                    position: 'right',
+                    title: {
+                        display: true,
+                        text: 'Total Casualties'
+                    },
+                    grid: {
+                        drawOnChartArea: false
+                    }
+                }
+            }
+        }
+    });
+}
+
+function renderMonthlyChart() {
+    if (isComparing()) {
+        renderComparisonChart('monthly-chart', 'Monthly Accident Distribution', 'month',
+            monthNames.map((month, i) => ({ key: i + 1, label: month })), d => d.Month);
+        return;
+    }
+    
+    let months;
+    if (groupMetric === 'count' || !datasetReady.cleaned) {
+        // Counts can come from the cached rollup
+        const trends = getRollup('timeTrends', () => analyzeTimeTrends(getSectionData('month')));
+        months = trends.monthlyTrend.map(t => ({ ...t, ...measureGroupCount(t.count) }));
+    } else {
+        const byMonth = d3.group(getSectionData('month'), d => d.Month);
+        months = monthNames.map((month, i) => ({ month, monthNum: i + 1, ...measureGroup(byMonth.get(i + 1) || []) }));
+    }
+    
+    renderChart('monthly-chart', {
+        type: 'bar',
+        data: {
+            labels: months.map(t => t.month),
+            datasets: [{
+                ...metricDataset(months, (t, i) => 
+                    highlightSelection(`hsl(${220 + i * 10}, 70%, ${60 + (i % 3) * 5}%)`, 'month', t.monthNum)
+                ),
+                label: groupMetric === 'count' ? 'Accidents per Month' : groupMetrics[groupMetric].label
+            }]
+        },
+        plugins: [errorBarsPlugin],
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            ...selectableChartOptions('month', index => months[index].monthNum),
+            ...metricChartOptions('Monthly Accident Distribution', months)
+        }
+    });
+}
+
+// Correlation Matrix
+// Value of a correlation variable, or null when the row doesn't record it (flags count as 0/1).
+// Missing-value sentinels, and values outside the column's schema range or codes, don't count
+// as recorded: e.g. severity 0 (unmatched) or a speed limit of 0 (blank).
+function getCorrelationValue(d, variable) {
+    const value = d[variable];
+    if (correlationVariables[variable].type === 'flag') return typeof value === 'boolean' ? Number(value) : null;
+    if (typeof value !== 'number' || !isFinite(value)) return null;
+    
+    const schema = dataSchemas.cleaned.columns[variable];
+    if (!schema) return value;
+    if (schema.sentinels && schema.sentinels.includes(String(value))) return null;
+    if (schema.range && (value < schema.range[0] || value > schema.range[1])) return null;
+    if (schema.codes && !schema.codes.includes(value)) return null;
+    return value;
+}
+
+// Paired values of two variables from the rows recording both, so the columns stay aligned
+function getCorrelationPairs(data, a, b) {
+    const x = [];
+    const y = [];
+    data.forEach(d => {
+        const valueX = getCorrelationValue(d, a);
+        const valueY = getCorrelationValue(d, b);
+        if (valueX !== null && valueY !== null) {
+            x.push(valueX);
+            y.push(valueY);
+        }
+    });
+    return { x, y };
+}
+
+// Coefficient and p-value of one pair: { measure, coefficient, pValue, n, sampled }.
+// Two numeric columns use the selected method, a flag and a numeric column the point-biserial
+// correlation and two flags Cramér's V.
+function correlatePair(data, a, b, method = correlationSettings.method) {
+    let { x, y } = getCorrelationPairs(data, a, b);
+    const n = x.length;
+    const flags = [a, b].filter(variable => correlationVariables[variable].type === 'flag').length;
+    const measure = flags === 2 ? 'cramersV' : flags === 1 ? 'pointBiserial' : method;
+    
+    if (measure === 'cramersV') return { measure, n, sampled: n, ...cramersV(x, y) };
+    if (measure === 'kendall') {
+        if (n > maxKendallRows) {
+            const step = n / maxKendallRows;
+            const indices = d3.range(maxKendallRows).map(k => Math.floor(k * step));
+            x = indices.map(k => x[k]);
+            y = indices.map(k => y[k]);
+        }
+        return { measure, n, sampled: x.length, ...kendallTau(x, y) };
+    }
+    
+    const coefficient = measure === 'spearman' ? spearmanCorrelation(x, y) : pearsonCorrelation(x, y);
+    return { measure, n, sampled: n, coefficient, pValue: correlationPValue(coefficient, n) };
+}
+
+// Correlation of every pair of variables: { labels, matrix } with matrix[i][j] from correlatePair
+// plus adjustedPValue, Benjamini-Hochberg adjusted across all pairs of the matrix
+function calculateCorrelationMatrix(data = filteredData, variables = correlationSettings.variables, method = correlationSettings.method) {
+    const matrix = variables.map(() => []);
+    const tests = [];
+    
+    variables.forEach((a, i) => {
+        matrix[i][i] = null;
+        for (let j = i + 1; j < variables.length; j++) {
+            const cell = { ...correlatePair(data, a, variables[j], method), adjustedPValue: NaN };
+            matrix[i][j] = cell;
+            matrix[j][i] = cell;
+            if (!isNaN(cell.pValue)) tests.push(cell);
+        }
+    });
+    
+    benjaminiHochberg(tests.map(cell => cell.pValue)).forEach((p, k) => {
+        tests[k].adjustedPValue = p;
+    });
+    return { labels: variables, matrix };
+}
+
+// Method selector and variable checkboxes, set up once
+function renderCorrelationControls() {
+    const select = document.getElementById('correlation-method');
+    if (select && select.options.length === 0) {
+        select.innerHTML = Object.entries(correlationMethods).map(([key, label]) => `<option value="${key}">${label}</option>`).join('');
+        select.value = correlationSettings.method;
+        select.addEventListener('change', () => {
+            correlationSettings.method = select.value;
+            renderCorrelationMatrix();
+        });
+    }
+    
+    const picker = document.getElementById('correlation-variables');
+    if (picker && picker.children.length === 0) {
+        picker.innerHTML = Object.entries(correlationVariables).map(([variable, spec]) => `
+            <label><input type="checkbox" value="${variable}"${correlationSettings.variables.includes(variable) ? ' checked' : ''}>
+                ${variable}${spec.type === 'flag' ? ' (flag)' : ''}</label>
+        `).join('');
+        picker.addEventListener('change', () => {
+            correlationSettings.variables = Array.from(picker.querySelectorAll('input:checked')).map(input => input.value);
+            renderCorrelationMatrix();
+        });
+    }
+}
+
+function describeCorrelationStrength(coefficient) {
+    const size = Math.abs(coefficient);
+    return size > 0.7 ? 'Strong' : size > 0.5 ? 'Moderate' : size > 0.3 ? 'Weak' : 'Very weak';
+}
+
+// N×N heatmap of the selected variables; clicking a cell opens the pair below the table
+function renderCorrelationMatrix() {
+    renderCorrelationControls();
+    
+    const container = document.getElementById('correlation-heatmap');
+    const insightsContainer = document.getElementById('correlation-insights');
+    if (!container) return;
+    
+    const { labels, matrix } = calculateCorrelationMatrix();
+    recordExportTable('correlation', labels.flatMap((a, i) => labels.slice(i + 1).map((b, k) => ({
+        variableA: a,
+        variableB: b,
+        ...matrix[i][i + k + 1]
+    }))));
+    if (labels.length < 2) {
+        container.innerHTML = '<p class="info-text">Choose at least two variables.</p>';
+        insightsContainer.innerHTML = '';
+        renderCorrelationDrilldown();
+        return;
+    }
     
-    container.innerHTML = html;
-}
-
-// Hot Spot Analysis: Identify geographic clusters and calculate average severity
-function identifyHotSpots() {
-    // Use grid-based clustering for hot spots
-    const gridSize = 0.01; // Approximately 1km grid
-    const hotSpots = new Map();
-    
-    ukData.forEach(accident => {
-        const latGrid = Math.floor(accident.Latitude / gridSize);
-        const lonGrid = Math.floor(accident.Longitude / gridSize);
-        const key = `${latGrid}_${lonGrid}`;
-        
-        if (!hotSpots.has(key)) {
-            hotSpots.set(key, {
-                lat: accident.Latitude,
-                lon: accident.Longitude,
-                accidents: [],
-                count: 0,
-                totalSeverity: 0
-            });
-        }
-        
-        const spot = hotSpots.get(key);
-        spot.accidents.push(accident);
-        spot.count++;
-        spot.totalSeverity += accident.SeverityNumeric;
-    });
-    
-    // Convert to array and calculate averages
-    const hotSpotArray = Array.from(hotSpots.values())
-        .filter(spot => spot.count >= 5) // Minimum 5 accidents to be a hot spot
-        .map(spot => {
-            const avgLat = d3.mean(spot.accidents.map(a => a.Latitude));
-            const avgLon = d3.mean(spot.accidents.map(a => a.Longitude));
-            // Get Local Authority name from the first accident in the cluster
-            const sampleAccident = spot.accidents[0];
-            const localAuthorityName = getLocalAuthorityName(sampleAccident);
+    const color = d3.scaleDiverging(d3.interpolateRdBu).domain([-1, 0, 1]);
+    const cells = [];
+    const [pairA, pairB] = correlationSettings.pair || [];
+    
+    let html = `<table><thead><tr><th></th>${labels.map(label => `<th>${label}</th>`).join('')}</tr></thead><tbody>`;
+    labels.forEach((a, i) => {
+        html += `<tr><th>${a}</th>`;
+        labels.forEach((b, j) => {
+            const cell = matrix[i][j];
+            if (i === j) {
+                html += '<td class="heatmap-empty">1</td>';
+                return;
+            }
+            if (isNaN(cell.coefficient)) {
+                html += `<td class="heatmap-empty" title="Not defined: ${cell.n.toLocaleString()} rows record both and at least one has a single value">–</td>`;
+                return;
+            }
+            if (i < j) cells.push({ a, b, cell });
             
-            return {
-                ...spot,
-                avgSeverity: spot.totalSeverity / spot.count,
-                avgVehicles: d3.mean(spot.accidents.map(a => a.NumberOfVehicles)),
-                avgCasualties: d3.mean(spot.accidents.map(a => a.NumberOfCasualties)),
-                lat: avgLat,
-                lon: avgLon,
-                localAuthorityName: localAuthorityName
-            };
-        })
-        .sort((a, b) => b.count - a.count)
-        .slice(0, 50); // Top 50 hot spots for heat map
+            const background = color(cell.coefficient);
+            const text = d3.hsl(background).l < 0.55 ? 'white' : '#333';
+            const selected = (a === pairA && b === pairB) || (a === pairB && b === pairA);
+            html += `<td class="correlation-cell${selected ? ' selected' : ''}" data-a="${a}" data-b="${b}" style="background: ${background}; color: ${text}"
+                title="${correlationMeasureNames[cell.measure]} = ${cell.coefficient.toFixed(3)}, n = ${cell.n.toLocaleString()}, ${formatPValue(cell.adjustedPValue)} (adjusted)">${cell.coefficient.toFixed(2)}${cell.adjustedPValue < 0.05 ? '*' : ''}</td>`;
+        });
+        html += '</tr>';
+    });
+    html += '</tbody></table>';
+    
+    const sampledKendall = cells.some(({ cell }) => cell.measure === 'kendall' && cell.sampled < cell.n);
+    container.innerHTML = `<div class="heatmap-table">${html}</div>
+        <p class="details-note">Numeric pairs: ${correlationMethods[correlationSettings.method]}. A flag against a numeric column: point-biserial r; two flags: Cramér's V (0 to 1, no direction).
+        Each pair uses the rows recording both values. * p &lt; 0.05 after Benjamini-Hochberg adjustment across the ${cells.length} pairs.
+        ${sampledKendall ? `Kendall's τ-b is estimated from ${maxKendallRows.toLocaleString()} evenly spaced rows. ` : ''}Click a cell to see the pair.</p>`;
+    
+    container.querySelectorAll('td.correlation-cell').forEach(td => {
+        td.addEventListener('click', () => {
+            correlationSettings.pair = [td.dataset.a, td.dataset.b];
+            container.querySelectorAll('td.correlation-cell').forEach(other => {
+                const { a, b } = other.dataset;
+                other.classList.toggle('selected', (a === td.dataset.a && b === td.dataset.b) || (a === td.dataset.b && b === td.dataset.a));
+            });
+            renderCorrelationDrilldown();
+        });
+    });
+    
+    // Strongest significant pairs
+    const significant = cells
+        .filter(({ cell }) => cell.adjustedPValue < 0.05 && Math.abs(cell.coefficient) >= 0.1)
+        .sort((x, y) => Math.abs(y.cell.coefficient) - Math.abs(x.cell.coefficient))
+        .slice(0, 8);
+    let insightsHtml = '<h3>Key Correlations</h3>';
+    if (significant.length === 0) {
+        insightsHtml += '<p>No pair has a significant correlation of at least 0.1 in size.</p>';
+    } else {
+        insightsHtml += `<ul>${significant.map(({ a, b, cell }) => `<li><strong>${a} vs ${b}:</strong>
+            ${correlationMeasureNames[cell.measure]} = ${cell.coefficient.toFixed(3)} (${describeCorrelationStrength(cell.coefficient)}
+            ${cell.measure === 'cramersV' ? 'association' : `${cell.coefficient > 0 ? 'positive' : 'negative'} correlation`}, ${formatPValue(cell.adjustedPValue)} adjusted)</li>`).join('')}</ul>`;
+    }
+    insightsContainer.innerHTML = insightsHtml;
     
-    return hotSpotArray;
+    renderCorrelationDrilldown();
 }
 
-// Function to get Local Authority Highway name from accident data
-function getLocalAuthorityName(accident) {
-    // Try to get from ukFolderData if available (has Local_Authority_Highway field)
-    if (accident.Local_Authority_Highway) {
-        const code = accident.Local_Authority_Highway;
-        const name = localAuthorityMap.get(code);
-        if (name) return name;
+// Categories of one side of a contingency table: flags as No/Yes, numeric columns by value or,
+// with many distinct values, by quintile. Returns { keys, getKey, getLabel }.
+function getContingencyCategories(variable, values) {
+    if (correlationVariables[variable].type === 'flag') {
+        return { keys: [0, 1], getKey: value => value, getLabel: key => key ? 'Yes' : 'No' };
     }
     
-    // Fallback: try to find matching accident in ukFolderData by coordinates
-    const matchingAccident = ukFolderData.find(d => 
-        Math.abs(d.Latitude - accident.Latitude) < 0.001 && 
-        Math.abs(d.Longitude - accident.Longitude) < 0.001
-    );
-    
-    if (matchingAccident && matchingAccident.Local_Authority_Highway) {
-        const code = matchingAccident.Local_Authority_Highway;
-        const name = localAuthorityMap.get(code);
-        if (name) return name;
+    const distinct = Array.from(new Set(values)).sort((x, y) => x - y);
+    if (distinct.length <= 12) {
+        return { keys: distinct, getKey: value => value, getLabel: key => String(key) };
     }
     
-    // Final fallback: return coordinates
-    return `${accident.Latitude.toFixed(3)}, ${accident.Longitude.toFixed(3)}`;
+    const sorted = values.slice().sort((x, y) => x - y);
+    const cuts = [0.2, 0.4, 0.6, 0.8].map(q => d3.quantileSorted(sorted, q));
+    const bounds = [sorted[0], ...cuts, sorted[sorted.length - 1]];
+    const format = value => Number.isInteger(value) ? String(value) : value.toFixed(2);
+    return {
+        keys: d3.range(5),
+        getKey: value => d3.bisectLeft(cuts, value),
+        getLabel: key => `${format(bounds[key])}–${format(bounds[key + 1])}`
+    };
 }
 
-function renderHotSpotAnalysis() {
-    const hotSpots = identifyHotSpots();
-    
-    const ctx = document.getElementById('hotspot-chart').getContext('2d');
-    
-    // Find min/max for normalization
-    const maxCount = d3.max(hotSpots.map(s => s.count));
-    const minCount = d3.min(hotSpots.map(s => s.count));
-    const countRange = maxCount - minCount;
-    
-    // Create heat map data - use bubble chart to show intensity
-    const heatMapData = hotSpots.map(spot => ({
-        x: spot.lon,
-        y: spot.lat,
-        r: 5 + (15 * (spot.count - minCount) / countRange), // Bubble size based on count
-        count: spot.count,
-        name: spot.localAuthorityName,
-        avgSeverity: spot.avgSeverity
-    }));
+// Selected pair: a scatter (bubble) chart for two numeric columns, otherwise a contingency table
+function renderCorrelationDrilldown() {
+    const box = document.getElementById('correlation-drilldown');
+    if (!box) return;
+    
+    const [a, b] = correlationSettings.pair || [];
+    if (!a || !correlationSettings.variables.includes(a) || !correlationSettings.variables.includes(b)) {
+        box.hidden = true;
+        destroyChart('correlation-pair-chart');
+        return;
+    }
+    box.hidden = false;
+    
+    const cell = correlatePair(filteredData, a, b);
+    const { x, y } = getCorrelationPairs(filteredData, a, b);
+    const chartContainer = document.getElementById('correlation-pair-chart-container');
+    const table = document.getElementById('correlation-pair-table');
+    document.getElementById('correlation-pair-summary').innerHTML = `<h3>${a} vs ${b}</h3>
+        <p class="details-note">${correlationMeasureNames[cell.measure]} = ${isNaN(cell.coefficient) ? 'not defined' : cell.coefficient.toFixed(3)},
+        n = ${cell.n.toLocaleString()}${isNaN(cell.pValue) ? '' : `, ${formatPValue(cell.pValue)} (unadjusted)`}</p>`;
+    
+    if (cell.measure === 'pointBiserial' || cell.measure === 'cramersV') {
+        destroyChart('correlation-pair-chart');
+        chartContainer.hidden = true;
+        
+        // The flag goes across; a numeric column (or the first flag) down the side
+        const [rowVariable, rowValues, columnVariable, columnValues] = correlationVariables[a].type === 'flag' && correlationVariables[b].type !== 'flag'
+            ? [b, y, a, x] : [a, x, b, y];
+        const rows = getContingencyCategories(rowVariable, rowValues);
+        const columns = getContingencyCategories(columnVariable, columnValues);
+        const counts = d3.rollup(d3.range(rowValues.length), v => v.length,
+            i => rows.getKey(rowValues[i]), i => columns.getKey(columnValues[i]));
+        const columnTotals = new Map(columns.keys.map(key => [key, d3.sum(rows.keys, row => (counts.get(row) || new Map()).get(key) || 0)]));
+        
+        let html = `<table><thead><tr><th>${rowVariable} by ${columnVariable}</th>
+            ${columns.keys.map(key => `<th>${columns.getLabel(key)}</th>`).join('')}</tr></thead><tbody>`;
+        rows.keys.filter(row => counts.has(row)).forEach(row => {
+            html += `<tr><th>${rows.getLabel(row)}</th>`;
+            columns.keys.forEach(key => {
+                const count = counts.get(row).get(key) || 0;
+                const share = columnTotals.get(key) > 0 ? count / columnTotals.get(key) * 100 : 0;
+                html += `<td>${count.toLocaleString()} <span class="details-note">(${share.toFixed(1)}%)</span></td>`;
+            });
+            html += '</tr>';
+        });
+        html += '</tbody></table>';
+        table.innerHTML = `<div class="heatmap-table">${html}</div><p class="details-note">Percentages are shares of each ${columnVariable} column.</p>`;
+        return;
+    }
+    
+    table.innerHTML = '';
+    chartContainer.hidden = false;
+    
+    // Bubbles sized by the number of accidents at each pair of values; with too many distinct
+    // pairs, evenly spaced rows are plotted as points instead
+    const pairCounts = d3.rollup(d3.range(x.length), v => v.length, i => `${x[i]}|${y[i]}`);
+    let points;
+    if (pairCounts.size <= 400) {
+        const maxCount = d3.max(pairCounts.values()) || 1;
+        points = Array.from(pairCounts, ([key, count]) => {
+            const [valueX, valueY] = key.split('|').map(Number);
+            return { x: valueX, y: valueY, r: 3 + 17 * Math.sqrt(count / maxCount), count };
+        });
+    } else {
+        const step = Math.max(1, x.length / 2000);
+        points = d3.range(0, x.length, step).map(i => ({ x: x[Math.floor(i)], y: y[Math.floor(i)], r: 2, count: 1 }));
+    }
     
-    new Chart(ctx, {
+    renderChart('correlation-pair-chart', {
         type: 'bubble',
         data: {
             datasets: [{
-                label: 'Accident Hot Spots',
-                data: heatMapData,
-                backgroundColor: (ctx) => {
-                    const point = ctx.raw;
-                    const intensity = (point.count - minCount) / countRange;
-                    // Bigger bubbles are more transparent - use lighter pink color for better overlap visibility
-                    const alpha = 0.2 + ((1 - intensity) * 0.25); // Range from 0.2 to 0.45 (more transparent for bigger)
-                    return `rgba(255, 150, 180, ${alpha})`; // Lighter pink color
-                },
-                borderColor: (ctx) => {
-                    const point = ctx.raw;
-                    const intensity = (point.count - minCount) / countRange;
-                    // Bigger bubbles have more transparent borders too - lighter color
-                    const alpha = 0.4 + ((1 - intensity) * 0.25); // Range from 0.4 to 0.65
-                    return `rgba(255, 150, 180, ${alpha})`; // Lighter pink color
-                },
-                borderWidth: 2
+                label: `${a} vs ${b}`,
+                data: points,
+                backgroundColor: colors.primary + '80',
+                borderColor: colors.primary
             }]
         },
         options: {
             responsive: true,
             maintainAspectRatio: false,
             plugins: {
-                title: {
-                    display: true,
-                    text: 'Accident Hot Spots Heat Map (Bubble size = Accident count)'
-                },
-                legend: {
-                    display: true
-                },
+                legend: { display: false },
                 tooltip: {
                     callbacks: {
-                        label: function(context) {
-                            const point = context.raw;
-                            return [
-                                `Location: ${point.name}`,
-                                `Accidents: ${point.count}`,
-                                `Avg Severity: ${point.avgSeverity.toFixed(2)}`,
-                                `Coordinates: (${point.y.toFixed(4)}, ${point.x.toFixed(4)})`
-                            ];
-                        }
+                        label: context => `${a} ${context.raw.x}, ${b} ${context.raw.y}: ${context.raw.count.toLocaleString()} accident${context.raw.count === 1 ? '' : 's'}`
                     }
                 }
             },
             scales: {
-                x: {
-                    type: 'linear',
-                    position: 'bottom',
-                    title: {
-                        display: true,
-                        text: 'Longitude'
-                    }
-                },
-                y: {
-                    type: 'linear',
-                    title: {
-                        display: true,
-                        text: 'Latitude'
-                    }
-                }
+                x: { title: { display: true, text: a } },
+                y: { title: { display: true, text: b } }
             }
         }
     });
+}
+
+function getTimeOfDay(hour) {
+    if (hour < 6 || hour >= 22) return 'night';
+    if (hour < 10) return 'morning';
+    return hour < 16 ? 'day' : 'evening';
+}
+
+function describeRiskValue(key, value) {
+    const spec = riskPredictors[key];
+    if (spec.type === 'flag') return value ? 'yes' : 'no';
+    if (spec.type === 'category') return value === riskOtherLevel ? 'Other' : spec.name(value);
+    return value;
+}
+
+// Fit the risk models on a seeded shuffle of the complete accidents, so a view always gets the
+// same split. Returns null when there are too few accidents, or only one outcome, to fit.
+function fitRiskModel(rows = filteredFolderData, settings = riskModelSettings) {
+    const predictors = Object.entries(riskPredictors);
+    const severities = riskOutcomes[settings.outcome].severities;
+    const complete = rows
+        .filter(d => d.Accident_Severity > 0)
+        .map(d => ({ values: predictors.map(([, spec]) => spec.value(d)), severe: severities.includes(d.Accident_Severity) }))
+        .filter(row => row.values.every(value => value !== null));
     
-    // Display hot spot details
-    const detailsContainer = document.getElementById('hotspot-details');
-    const topSpots = hotSpots.slice(0, 10);
-    let detailsHtml = '<h3>Top 10 Hot Spot Details</h3><ul>';
+    const random = seededRandom(complete.length);
+    for (let i = complete.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [complete[i], complete[j]] = [complete[j], complete[i]];
+    }
+    const sample = complete.slice(0, maxRiskModelRows);
+    const testSize = Math.round(sample.length * riskTestShare);
+    const test = sample.slice(0, testSize);
+    const train = sample.slice(testSize);
+    const trainPositives = train.filter(row => row.severe).length;
+    if (train.length < minRiskModelRows || trainPositives === 0 || trainPositives === train.length) return null;
     
-    topSpots.forEach((spot, i) => {
-        detailsHtml += `
-            <li>
-                <strong>${spot.localAuthorityName}:</strong> 
-                ${spot.count} accidents, 
-                Avg Vehicles: ${spot.avgVehicles.toFixed(2)}, 
-                Avg Casualty Rate: ${spot.avgCasualties.toFixed(2)}
-                <br>
-                <small>Coordinates: (${spot.lat.toFixed(4)}, ${spot.lon.toFixed(4)})</small>
-            </li>
-        `;
+    // One column per numeric or flag predictor, and per category other than the most common
+    // (the reference). Categories with fewer than minGroupAccidents training rows are pooled.
+    const levels = {};
+    const typical = {};
+    const terms = [];
+    predictors.forEach(([key, spec], p) => {
+        const values = train.map(row => row.values[p]);
+        if (spec.type === 'numeric') {
+            typical[key] = d3.median(values);
+            terms.push({ key, index: p });
+            return;
+        }
+        const counts = Array.from(d3.rollup(values, v => v.length, value => value)).sort((a, b) => b[1] - a[1]);
+        typical[key] = counts[0][0];
+        if (spec.type === 'flag') {
+            terms.push({ key, index: p });
+            return;
+        }
+        const common = counts.filter(([, n]) => n >= minGroupAccidents).map(([level]) => level);
+        levels[key] = common.length === 0 ? [riskOtherLevel] : [...common, ...(common.length < counts.length ? [riskOtherLevel] : [])];
+        typical[key] = levels[key][0];
+        levels[key].slice(1).forEach(level => terms.push({ key, index: p, level }));
     });
     
-    detailsHtml += '</ul>';
-    detailsHtml += `<div class="insight">
-        <strong>Key Insight:</strong> The most active hot spot is in ${hotSpots[0].localAuthorityName} 
-        with ${hotSpots[0].count} accidents.
-    </div>`;
+    const getLevel = (key, value) => levels[key].includes(value) ? value : riskOtherLevel;
+    const encode = values => [1, ...terms.map(term => {
+        const spec = riskPredictors[term.key];
+        const value = values[term.index];
+        if (term.level !== undefined) return getLevel(term.key, value) === term.level ? 1 : 0;
+        return spec.type === 'flag' ? (value ? 1 : 0) : value / spec.scale;
+    })];
+    const fit = fitLogisticRegression(train.map(row => encode(row.values)), train.map(row => row.severe ? 1 : 0));
+    if (!fit) return null;
     
-    detailsContainer.innerHTML = detailsHtml;
+    const oddsRatios = terms.map((term, i) => {
+        const spec = riskPredictors[term.key];
+        const coefficient = fit.coefficients[i + 1];
+        const se = Math.sqrt(fit.covariance[i + 1][i + 1]);
+        return {
+            predictor: term.level === undefined ?
+                `${spec.label}${spec.unit ? ` (${spec.unit})` : ''}` :
+                `${spec.label}: ${describeRiskValue(term.key, term.level)} (vs ${describeRiskValue(term.key, levels[term.key][0])})`,
+            oddsRatio: Math.exp(coefficient),
+            low: Math.exp(coefficient - 1.959964 * se),
+            high: Math.exp(coefficient + 1.959964 * se),
+            pValue: twoSidedPValue(coefficient / se)
+        };
+    });
+    
+    const outcomes = test.map(row => row.severe);
+    const predictions = test.map(row => sigmoid(dotProduct(encode(row.values), fit.coefficients)));
+    const model = {
+        outcome: settings.outcome,
+        complete: complete.length,
+        train: train.length,
+        test: test.length,
+        baseRate: trainPositives / train.length,
+        levels,
+        typical,
+        encode,
+        fit,
+        oddsRatios,
+        auc: rocAuc(predictions, outcomes),
+        calibration: calibrationBins(predictions, outcomes),
+        tree: null
+    };
+    
+    if (settings.tree) {
+        const columns = predictors.map(([, spec], p) => ({
+            type: spec.type === 'numeric' ? 'numeric' : 'category',
+            values: train.map(row => row.values[p])
+        }));
+        model.tree = fitDecisionTree(columns, train.map(row => row.severe), {
+            maxDepth: 3,
+            minLeaf: Math.max(minGroupAccidents, Math.round(train.length * 0.02))
+        });
+        model.treeAuc = rocAuc(test.map(row => findTreeLeaf(model.tree, row.values).rate), outcomes);
+    }
+    return model;
 }
 
-// Time Trend Analysis
-function analyzeTimeTrends() {
-    // Monthly trends
-    const monthlyData = d3.rollup(
-        ukData,
-        v => ({
-            count: v.length,
-            avgSeverity: d3.mean(v.map(d => d.SeverityNumeric)),
-            totalCasualties: d3.sum(v.map(d => d.NumberOfCasualties))
-        }),
-        d => d.Month
-    );
+// Predicted probability of a severe outcome for predictor values (keyed by predictor), with a
+// 95% interval from the coefficients' covariance
+function predictRisk(model, scenario) {
+    const values = Object.keys(riskPredictors).map(key => scenario[key]);
+    const x = model.encode(values);
+    const logit = dotProduct(x, model.fit.coefficients);
+    const se = Math.sqrt(dotProduct(x, model.fit.covariance.map(row => dotProduct(row, x))));
+    return {
+        probability: sigmoid(logit),
+        low: sigmoid(logit - 1.959964 * se),
+        high: sigmoid(logit + 1.959964 * se),
+        leaf: model.tree ? findTreeLeaf(model.tree, values) : null
+    };
+}
+
+function renderRiskModelControls() {
+    const select = document.getElementById('risk-outcome');
+    if (!select || select.options.length > 0) return;
     
-    const months = ['January', 'February', 'March', 'April', 'May', 'June',
-                   'July', 'August', 'September', 'October', 'November', 'December'];
+    select.innerHTML = Object.entries(riskOutcomes).map(([key, outcome]) => `<option value="${key}">${outcome.label}</option>`).join('');
+    select.value = riskModelSettings.outcome;
+    select.addEventListener('change', () => {
+        riskModelSettings.outcome = select.value;
+        renderRiskModel();
+    });
     
-    const monthlyTrend = months.map((month, idx) => {
-        const monthNum = idx + 1;
-        const data = monthlyData.get(monthNum) || { count: 0, avgSeverity: 0, totalCasualties: 0 };
-        return {
-            month: month,
-            monthNum: monthNum,
-            ...data
-        };
+    const toggle = document.getElementById('risk-tree-toggle');
+    toggle.checked = riskModelSettings.tree;
+    toggle.addEventListener('change', () => {
+        riskModelSettings.tree = toggle.checked;
+        renderRiskModel();
     });
+}
+
+// Odds ratios, held-out AUC and calibration, the tree and the what-if form - Uses UK folder data
+function renderRiskModel(model = fitRiskModel()) {
+    renderRiskModelControls();
+    const summary = document.getElementById('risk-model-summary');
+    const treeBox = document.getElementById('risk-tree');
+    const whatIf = document.getElementById('risk-what-if');
     
-    // Yearly trend (if multiple years exist)
-    const yearlyData = d3.rollup(
-        ukData,
-        v => v.length,
-        d => d.Year
-    );
+    riskModel = model;
+    if (!riskModel) {
+        recordExportTable('risk-model', []);
+        destroyChart('risk-calibration-chart');
+        summary.innerHTML = `<p class="info-text">Too few accidents with every predictor recorded, or only one outcome, to fit the model
+            (at least ${minRiskModelRows} training accidents are needed).</p>`;
+        treeBox.hidden = true;
+        whatIf.innerHTML = '';
+        return;
+    }
+    recordExportTable('risk-model', riskModel.oddsRatios);
     
-    const yearlyTrend = Array.from(yearlyData.entries())
-        .map(([year, count]) => ({ year, count }))
-        .sort((a, b) => a.year - b.year);
+    const outcome = riskOutcomes[riskModel.outcome].label.toLowerCase();
+    const formatAuc = auc => isNaN(auc.auc) ? 'not defined (one outcome only)' : `${auc.auc.toFixed(3)} (95% CI ${auc.low.toFixed(3)}–${auc.high.toFixed(3)})`;
+    summary.innerHTML = `
+        <h3>Logistic regression: odds of a ${outcome} outcome</h3>
+        <p class="details-note">Fitted on ${riskModel.train.toLocaleString()} accidents and checked on ${riskModel.test.toLocaleString()} held out${riskModel.complete > maxRiskModelRows ?
+            ` (a sample of the ${riskModel.complete.toLocaleString()} accidents with every predictor recorded)` : ''}.
+            ${(riskModel.baseRate * 100).toFixed(1)}% of the training accidents were ${outcome}. Odds ratios above 1 mean higher odds with
+            the other predictors held fixed; categories are compared with their most common value. Bold: p &lt; 0.05.</p>
+        <div class="heatmap-table"><table>
+            <thead><tr><th>Predictor</th><th>Odds ratio</th><th>95% CI</th><th>p</th></tr></thead>
+            <tbody>${riskModel.oddsRatios.map(row => `<tr>
+                <th>${escapeHtml(row.predictor)}</th>
+                <td>${row.pValue < 0.05 ? `<strong>${row.oddsRatio.toFixed(2)}</strong>` : row.oddsRatio.toFixed(2)}</td>
+                <td>${row.low.toFixed(2)}–${row.high.toFixed(2)}</td>
+                <td>${formatPValue(row.pValue)}</td>
+            </tr>`).join('')}</tbody>
+        </table></div>
+        <div class="insight"><strong>Held-out AUC:</strong> ${formatAuc(riskModel.auc)}${riskModel.tree ? `; decision tree ${formatAuc(riskModel.treeAuc)}` : ''}.
+            0.5 is no better than chance. These are associations among recorded accidents, not causes, and the probabilities
+            are of a ${outcome} outcome given that an accident happened.</div>
+    `;
     
-    return { monthlyTrend, yearlyTrend };
+    renderRiskCalibrationChart(riskModel);
+    treeBox.hidden = !riskModel.tree;
+    treeBox.innerHTML = riskModel.tree ? `<h3>Decision tree</h3>
+        <p class="details-note">Share of ${outcome} accidents in each group of the training accidents (at most three splits deep).</p>
+        <ul class="risk-tree">${renderRiskTreeNode(riskModel.tree, 'All accidents')}</ul>` : '';
+    renderRiskWhatIf(riskModel);
 }
 
-function renderTrendAnalysis() {
-    const trends = analyzeTimeTrends();
-    
-    const ctx = document.getElementById('trend-chart').getContext('2d');
+// Observed rate (with its 95% Wilson interval) against the mean prediction, per decile of the
+// held-out predictions; a well-calibrated model follows the diagonal
+function renderRiskCalibrationChart(model) {
+    const points = model.calibration.map(bin => {
+        const interval = wilsonInterval(bin.positives, bin.n);
+        return { x: bin.predicted * 100, y: interval.estimate * 100, low: interval.low * 100, high: interval.high * 100, n: bin.n };
+    });
+    const max = Math.min(100, Math.ceil(d3.max(points, point => Math.max(point.x, point.high)) / 5) * 5 || 100);
     
-    new Chart(ctx, {
-        type: 'line',
+    renderChart('risk-calibration-chart', {
+        type: 'scatter',
         data: {
-            labels: trends.monthlyTrend.map(t => t.month),
             datasets: [
                 {
-                    label: 'Number of Accidents',
-                    data: trends.monthlyTrend.map(t => t.count),
+                    label: 'Held-out accidents (deciles of prediction)',
+                    data: points,
+                    errorBars: points,
+                    errorBarColor: colors.primary,
+                    backgroundColor: colors.primary,
                     borderColor: colors.primary,
-                    backgroundColor: colors.primary + '20',
-                    tension: 0.4,
-                    fill: true
+                    showLine: true
                 },
                 {
-                    label: 'Average Severity',
-                    data: trends.monthlyTrend.map(t => t.avgSeverity),
-                    borderColor: colors.danger,
-                    backgroundColor: colors.danger + '20',
-                    tension: 0.4,
-                    yAxisID: 'y1'
+                    label: 'Perfect calibration',
+                    data: [{ x: 0, y: 0 }, { x: max, y: max }],
+                    borderColor: '#999',
+                    borderDash: [5, 5],
+                    pointRadius: 0,
+                    showLine: true
                 }
             ]
         },
+        plugins: [errorBarsPlugin],
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                title: { display: true, text: 'Calibration on the held-out accidents' },
+                tooltip: {
+                    callbacks: {
+                        label: context => context.datasetIndex === 0 ?
+                            `Predicted ${context.raw.x.toFixed(1)}%, observed ${context.raw.y.toFixed(1)}% of ${context.raw.n.toLocaleString()} accidents` :
+                            'Perfect calibration'
+                    }
+                }
+            },
+            scales: {
+                x: { min: 0, max, title: { display: true, text: 'Predicted probability (%)' } },
+                y: { min: 0, max, title: { display: true, text: 'Observed rate (%)' } }
+            }
+        }
+    });
+}
+
+function renderRiskTreeNode(node, condition) {
+    let html = `<li>${escapeHtml(condition)}: <strong>${(node.rate * 100).toFixed(1)}%</strong> of ${node.n.toLocaleString()}`;
+    if (node.split) {
+        const key = Object.keys(riskPredictors)[node.split.column];
+        const spec = riskPredictors[key];
+        const { threshold, categories } = node.split;
+        let [left, right] = [`${spec.label} ≤ ${threshold}`, `${spec.label} > ${threshold}`];
+        if (threshold === undefined) {
+            left = `${spec.label}: ${categories.map(value => describeRiskValue(key, value)).join(', ')}`;
+            right = `${spec.label}: ${spec.type === 'flag' ? describeRiskValue(key, !categories[0]) : 'other'}`;
+        }
+        html += `<ul>${renderRiskTreeNode(node.left, left)}${renderRiskTreeNode(node.right, right)}</ul>`;
+    }
+    return `${html}</li>`;
+}
+
+// A scenario's predicted probability; the form keeps its values across refits
+function renderRiskWhatIf(model) {
+    const container = document.getElementById('risk-what-if');
+    Object.keys(riskPredictors).forEach(key => {
+        const value = riskScenario[key];
+        if (value === undefined || (model.levels[key] && !model.levels[key].includes(value))) riskScenario[key] = model.typical[key];
+    });
+    
+    const fields = Object.entries(riskPredictors).map(([key, spec]) => {
+        let input;
+        if (spec.type === 'numeric') {
+            input = `<input type="number" data-predictor="${key}" min="${spec.scale === 10 ? 10 : 1}" step="${spec.scale}" value="${riskScenario[key]}">`;
+        } else {
+            const options = spec.type === 'flag' ? [false, true] : model.levels[key];
+            input = `<select data-predictor="${key}">${options.map(value =>
+                `<option value="${escapeHtml(value)}"${value === riskScenario[key] ? ' selected' : ''}>${escapeHtml(describeRiskValue(key, value))}</option>`).join('')}</select>`;
+        }
+        return `<label class="filter-control"><span>${spec.label}</span>${input}</label>`;
+    });
+    container.innerHTML = `<h3>What if?</h3>
+        <div class="filter-grid">${fields.join('')}</div>
+        <div id="risk-what-if-result" class="insight"></div>`;
+    
+    container.querySelectorAll('[data-predictor]').forEach(input => {
+        input.addEventListener('change', () => {
+            const key = input.dataset.predictor;
+            const spec = riskPredictors[key];
+            if (spec.type === 'numeric') {
+                const number = parseFloat(input.value);
+                riskScenario[key] = number > 0 ? number : model.typical[key];
+            } else {
+                riskScenario[key] = spec.type === 'flag' ? input.value === 'true' : input.value;
+            }
+            renderRiskPrediction(model);
+        });
+    });
+    renderRiskPrediction(model);
+}
+
+function renderRiskPrediction(model) {
+    const prediction = predictRisk(model, riskScenario);
+    const outcome = riskOutcomes[model.outcome].label.toLowerCase();
+    const format = p => `${(p * 100).toFixed(1)}%`;
+    document.getElementById('risk-what-if-result').innerHTML = `
+        <strong>Predicted probability of a ${outcome} outcome:</strong> ${format(prediction.probability)}
+        (95% CI ${format(prediction.low)}–${format(prediction.high)}), ${(prediction.probability / model.baseRate).toFixed(2)}×
+        the ${format(model.baseRate)} of all training accidents.
+        ${prediction.leaf ? `<br><strong>Decision tree:</strong> ${format(prediction.leaf.rate)} of the ${prediction.leaf.n.toLocaleString()} training accidents in the same group.` : ''}
+    `;
+}
+
+function renderHourChart() {
+    if (isComparing()) {
+        renderComparisonChart('hour-chart', 'Accidents by Hour of Day', 'hour',
+            d3.range(24).map(hour => ({ key: hour, label: `${hour}:00` })), d => d.Hour);
+        return;
+    }
+    
+    // Group accidents by hour
+    const hours = d3.groups(getSectionData('hour').filter(d => d.Hour !== null && !isNaN(d.Hour)), d => d.Hour)
+        .map(([hour, rows]) => ({ hour: parseInt(hour), ...measureGroup(rows) }))
+        .sort((a, b) => a.hour - b.hour);
+    
+    renderChart('hour-chart', {
+        type: 'bar',
+        data: {
+            labels: hours.map(h => `${h.hour}:00`),
+            datasets: [{
+                ...metricDataset(hours, h => highlightSelection(colors.primary, 'hour', h.hour)),
+                label: groupMetrics[groupMetric].label
+            }]
+        },
+        plugins: [errorBarsPlugin],
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            ...selectableChartOptions('hour', index => hours[index].hour),
+            ...metricChartOptions('Accidents by Hour of Day', hours)
+        }
+    });
+}
+
+// Value and 95% interval of the selected metric for a group of accidents (rates in %)
+function measureGroup(rows, metric = groupMetric) {
+    if (metric === 'count') return measureGroupCount(rows.length);
+    const n = metric === 'casualtiesPerAccident' ? rows.length : countKnownSeverity(rows);
+    if (n === 0) return { n, value: null, low: null, high: null };
+    
+    let interval;
+    if (metric === 'casualtiesPerAccident') {
+        interval = bootstrapMeanInterval(rows.map(d => d.NumberOfCasualties));
+    } else {
+        interval = wilsonInterval(countRateOutcomes(rows, metric), n);
+        interval = { estimate: interval.estimate * 100, low: interval.low * 100, high: interval.high * 100 };
+    }
+    return { n, value: interval.estimate, low: interval.low, high: interval.high };
+}
+
+// Accidents counted by a rate metric: fatal, or fatal and serious
+function countRateOutcomes(rows, metric) {
+    const severities = metric === 'fatalRate' ? [1] : [1, 2];
+    return rows.filter(d => severities.includes(getSeverityCode(d))).length;
+}
+
+// Accidents with a known severity, the denominator of the rate metrics: cleaned rows that could
+// not be matched to a raw record keep severity 0
+function countKnownSeverity(rows) {
+    return rows.filter(d => getSeverityCode(d) > 0).length;
+}
+
+// Counts are plotted without an interval
+function measureGroupCount(n) {
+    return { n, value: n, low: null, high: null };
+}
+
+function isSmallSample(group) {
+    return group.n < minGroupAccidents;
+}
+
+// Values, intervals and colours of a metric chart; small-sample groups are drawn faded
+function metricDataset(groups, getColor) {
+    return {
+        data: groups.map(g => g.value),
+        errorBars: groups,
+        backgroundColor: groups.map((g, i) => {
+            const color = getColor(g, i);
+            return isSmallSample(g) && groupMetric !== 'count' ? d3.color(color).copy({ opacity: 0.35 }).formatRgb() : color;
+        })
+    };
+}
+
+// Title, interval note, per-group tooltip and value axis of a metric chart
+function metricChartOptions(title, groups) {
+    const metric = groupMetrics[groupMetric];
+    const notes = [];
+    if (metric.interval) notes.push(`Error bars: 95% ${metric.interval} intervals`);
+    if (metric.interval && groups.some(isSmallSample)) notes.push(`faded bars: fewer than ${minGroupAccidents} accidents`);
+    
+    return {
+        plugins: {
+            title: {
+                display: true,
+                text: groupMetric === 'count' ? title : `${title}: ${metric.label}`
+            },
+            subtitle: {
+                display: notes.length > 0,
+                text: notes.join('; ')
+            },
+            tooltip: {
+                callbacks: {
+                    footer: items => {
+                        const group = groups[items[0].dataIndex];
+                        if (!metric.interval) return '';
+                        const format = value => value.toFixed(groupMetric === 'casualtiesPerAccident' ? 2 : 1);
+                        return `95% CI ${group.value === null ? 'N/A' : `${format(group.low)}–${format(group.high)}`}, ` +
+                            `n = ${group.n.toLocaleString()}${isSmallSample(group) ? ' (small sample)' : ''}`;
+                    }
+                }
+            }
+        },
+        scales: {
+            y: {
+                beginAtZero: true,
+                suggestedMax: metric.interval ? d3.max(groups, g => g.high) : undefined,
+                title: {
+                    display: true,
+                    text: metric.axis
+                }
+            }
+        }
+    };
+}
+
+function isComparing() {
+    return comparison.enabled && datasetReady.cleaned && getComparisonPeriods().length >= 2;
+}
+
+// While comparing, tell the data sections that aren't split by period which ones are
+function renderComparisonNotices() {
+    const compared = dashboardSections.filter(section => section.comparable && section.id !== 'comparison');
+    const text = isComparing() ?
+        `Not split by period: this section shows the filtered data as a whole. Periods are compared in ${compared.map(section => section.title).join(', ')}.` :
+        null;
+    dashboardSections
+        .filter(section => !section.comparable && section.datasets.length > 0)
+        .forEach(section => showSectionNotice(section, text));
+}
+
+// Comparison periods as date bounds: [{ label, start, end (exclusive), days }]. Ranges with a
+// missing or reversed date are left out.
+function getComparisonPeriods() {
+    const formatDay = d3.timeFormat('%d %b %Y');
+    return comparison.periods.map(period => {
+        if (period.type === 'year') {
+            return { label: String(period.year), start: new Date(period.year, 0, 1), end: new Date(period.year + 1, 0, 1) };
+        }
+        
+        const start = period.from ? parseDateKey(period.from) : null;
+        const last = period.to ? parseDateKey(period.to) : null;
+        if (!start || !last || last < start) return null;
+        return { label: `${formatDay(start)} – ${formatDay(last)}`, start, end: d3.timeDay.offset(last, 1) };
+    })
+        .filter(period => period !== null)
+        .map(period => ({ ...period, days: d3.timeDay.count(period.start, period.end) }));
+}
+
+// Cleaned rows of each period. Every filter applies except the year (the periods set the
+// dates), and every selection except the chart's own.
+function getComparisonRows(periods, dimension = null) {
+    const rows = ukData.filter(d => matchesFilters(d, true) && matchesSelections(d, dimension));
+    return periods.map(period => rows.filter(d => d.Date >= period.start && d.Date < period.end));
+}
+
+// Periods of different lengths compare accident counts per 365 days
+function hasUnequalPeriods(periods) {
+    const days = periods.map(period => period.days);
+    return d3.max(days) - d3.min(days) > 1; // Leap years count as equal
+}
+
+// Change of the selected metric from the baseline period's rows to another period's, with the
+// test matching the metric: { delta, change (%), pValue }
+function compareGroupMetric(baselineRows, baseline, rows, period, baselineMeasure, measure) {
+    let test;
+    if (groupMetric === 'count') {
+        test = poissonRateTest(baselineRows.length, baseline.days, rows.length, period.days);
+    } else if (groupMetric === 'casualtiesPerAccident') {
+        test = welchTTest(baselineRows.map(d => d.NumberOfCasualties), rows.map(d => d.NumberOfCasualties));
+    } else {
+        test = twoProportionTest(countRateOutcomes(baselineRows, groupMetric), countKnownSeverity(baselineRows),
+            countRateOutcomes(rows, groupMetric), countKnownSeverity(rows));
+    }
+    
+    const delta = baselineMeasure.value === null || measure.value === null ? null : measure.value - baselineMeasure.value;
+    return {
+        delta,
+        change: delta !== null && baselineMeasure.value ? delta / baselineMeasure.value * 100 : null,
+        pValue: test.pValue,
+        adjustedPValue: NaN
+    };
+}
+
+function formatSignedChange(delta, change, format) {
+    const sign = delta > 0 ? '+' : '';
+    return `${sign}${format(delta)}${change !== null ? ` (${sign}${change.toFixed(1)}%)` : ''}`;
+}
+
+// The selected metric per category as grouped bars, one dataset per comparison period.
+// categories is a list of { key, label } or a function building it from all the periods' rows;
+// getKey gives a row's category key.
+function renderComparisonChart(canvasId, title, dimension, categories, getKey, scales = {}) {
+    const periods = getComparisonPeriods();
+    const periodRows = getComparisonRows(periods, dimension);
+    const categoryList = typeof categories === 'function' ? categories(periodRows.flat()) : categories;
+    const perCountYear = groupMetric === 'count' && hasUnequalPeriods(periods);
+    
+    const groups = periodRows.map(rows => d3.group(rows, getKey));
+    const measures = groups.map((byCategory, p) => categoryList.map(category => {
+        const measure = measureGroup(byCategory.get(category.key) || []);
+        return perCountYear ? { ...measure, value: measure.value * 365 / periods[p].days } : measure;
+    }));
+    const comparisons = measures.slice(1).map((periodMeasures, q) => categoryList.map((category, i) => compareGroupMetric(
+        groups[0].get(category.key) || [], periods[0], groups[q + 1].get(category.key) || [], periods[q + 1], measures[0][i], periodMeasures[i]
+    )));
+    
+    const tested = comparisons.flat().filter(result => !isNaN(result.pValue));
+    benjaminiHochberg(tested.map(result => result.pValue)).forEach((p, k) => {
+        tested[k].adjustedPValue = p;
+    });
+    const significant = tested.filter(result => result.adjustedPValue < 0.05).length;
+    
+    const metric = groupMetrics[groupMetric];
+    const format = value => groupMetric === 'count' ? Math.round(value).toLocaleString() : value.toFixed(groupMetric === 'casualtiesPerAccident' ? 2 : 1);
+    const notes = [`${significant} of ${tested.length} differences from ${periods[0].label} significant (Benjamini-Hochberg adjusted p < 0.05)`];
+    if (perCountYear) notes.push('counts scaled to 365 days');
+    if (metric.interval) notes.push(`error bars: 95% ${metric.interval} intervals`);
+    
+    renderChart(canvasId, {
+        type: 'bar',
+        data: {
+            labels: categoryList.map(category => category.label),
+            datasets: periods.map((period, p) => ({
+                label: period.label,
+                data: measures[p].map(measure => measure.value),
+                errorBars: metric.interval ? measures[p] : null,
+                backgroundColor: categoryList.map(category => highlightSelection(comparisonColors[p], dimension, category.key))
+            }))
+        },
+        plugins: [errorBarsPlugin],
         options: {
             responsive: true,
             maintainAspectRatio: false,
+            ...selectableChartOptions(dimension, index => categoryList[index].key),
             plugins: {
                 title: {
                     display: true,
-                    text: 'Accident Trends Over Time'
+                    text: `${title}: ${groupMetric === 'count' ? '' : `${metric.label}, `}${periods.map(period => period.label).join(' vs ')}`
+                },
+                subtitle: {
+                    display: true,
+                    text: notes.join('; ')
+                },
+                tooltip: {
+                    callbacks: {
+                        footer: items => items.map(item => {
+                            const n = measures[item.datasetIndex][item.dataIndex].n;
+                            if (item.datasetIndex === 0) return `n = ${n.toLocaleString()} (baseline)`;
+                            
+                            const result = comparisons[item.datasetIndex - 1][item.dataIndex];
+                            if (result.delta === null) return `n = ${n.toLocaleString()}`;
+                            return `n = ${n.toLocaleString()}; vs ${periods[0].label}: ${formatSignedChange(result.delta, result.change, format)}, ` +
+                                (isNaN(result.adjustedPValue) ? 'not tested' : `${formatPValue(result.adjustedPValue)} adjusted`);
+                        }).join('\n')
+                    }
                 }
             },
             scales: {
                 y: {
+                    beginAtZero: true,
                     title: {
                         display: true,
-                        text: 'Number of Accidents'
+                        text: perCountYear ? 'Accidents per 365 days' : metric.axis
                     }
                 },
-                y1: {
-                    type: 'linear',
-                    display: true,
-                    position: 'right',
-                    title: {
-                        display: true,
-                        text: 'Average Severity'
-                    },
-                    grid: {
-                        drawOnChartArea: false
-                    }
-                }
+                ...scales
             }
         }
     });
+}
+
+// Period pickers: a year or a date range per period, two to four periods
+function renderComparisonControls() {
+    const container = document.getElementById('comparison-controls');
+    if (!container) return;
     
-    // Calculate trend analysis
-    const analysisContainer = document.getElementById('trend-analysis');
-    const counts = trends.monthlyTrend.map(t => t.count);
-    const firstHalf = counts.slice(0, 6);
-    const secondHalf = counts.slice(6);
-    const firstHalfAvg = d3.mean(firstHalf);
-    const secondHalfAvg = d3.mean(secondHalf);
-    const change = ((secondHalfAvg - firstHalfAvg) / firstHalfAvg) * 100;
+    const years = Array.from(new Set(ukData.map(d => d.Year).filter(year => !isNaN(year)))).sort((a, b) => a - b);
+    if (comparison.periods.length === 0 && years.length > 0) {
+        comparison.periods = [{ type: 'year', year: years[0] }, { type: 'year', year: years[years.length - 1] }];
+    }
     
-    let analysisHtml = '<h3>Trend Analysis</h3>';
-    analysisHtml += `<div class="insight">`;
+    container.innerHTML = `
+        <label><input type="checkbox" class="comparison-toggle"${comparison.enabled ? ' checked' : ''}> Compare periods</label>
+        ${comparison.periods.map((period, i) => `
+            <span class="comparison-period" data-index="${i}">
+                <span class="comparison-swatch" style="background: ${comparisonColors[i]}"></span>
+                <select data-field="type">
+                    <option value="year"${period.type === 'year' ? ' selected' : ''}>Year</option>
+                    <option value="range"${period.type === 'range' ? ' selected' : ''}>Date range</option>
+                </select>
+                ${period.type === 'year'
+                    ? `<select data-field="year">${years.map(year => `<option value="${year}"${year === period.year ? ' selected' : ''}>${year}</option>`).join('')}</select>`
+                    : `<input type="date" data-field="from" value="${period.from || ''}"> to <input type="date" data-field="to" value="${period.to || ''}">`}
+                ${comparison.periods.length > 2 ? '<button type="button" class="comparison-remove" title="Remove period">&times;</button>' : ''}
+            </span>
+        `).join('')}
+        ${comparison.periods.length < maxComparisonPeriods ? '<button type="button" class="filter-clear comparison-add">Add period</button>' : ''}
+    `;
     
-    if (trends.yearlyTrend.length > 1) {
-        const yearChange = ((trends.yearlyTrend[trends.yearlyTrend.length - 1].count - 
-                           trends.yearlyTrend[0].count) / trends.yearlyTrend[0].count) * 100;
-        analysisHtml += `<strong>Year-over-Year Change:</strong> ${yearChange > 0 ? '+' : ''}${yearChange.toFixed(2)}%`;
-    } else {
-        analysisHtml += `<strong>Note:</strong> This trend is only ${trends.yearlyTrend[0].year}. `;
+    container.querySelector('.comparison-toggle').addEventListener('change', event => {
+        comparison.enabled = event.target.checked;
+        updateComparison();
+    });
+    container.querySelectorAll('.comparison-period').forEach(row => {
+        const period = comparison.periods[row.dataset.index];
+        row.querySelectorAll('[data-field]').forEach(control => {
+            control.addEventListener('change', () => {
+                const field = control.dataset.field;
+                if (field === 'type') {
+                    const year = period.year || (period.from ? parseInt(period.from) : years[years.length - 1]);
+                    comparison.periods[row.dataset.index] = control.value === 'year'
+                        ? { type: 'year', year }
+                        : { type: 'range', from: `${year}-01-01`, to: `${year}-12-31` };
+                } else {
+                    period[field] = field === 'year' ? parseInt(control.value) : control.value;
+                }
+                updateComparison();
+            });
+        });
+        const remove = row.querySelector('.comparison-remove');
+        if (remove) {
+            remove.addEventListener('click', () => {
+                comparison.periods.splice(row.dataset.index, 1);
+                updateComparison();
+            });
+        }
+    });
+    const add = container.querySelector('.comparison-add');
+    if (add) {
+        add.addEventListener('click', () => {
+            const used = comparison.periods.map(period => period.year);
+            comparison.periods.push({ type: 'year', year: years.find(year => !used.includes(year)) || years[years.length - 1] });
+            updateComparison();
+        });
     }
+}
+
+function updateComparison() {
+    renderComparisonControls();
+    renderComparisonSummary();
+    renderComparisonNotices();
+    renderMonthlyChart();
+    if (datasetReady.cleaned) {
+        renderHourChart();
+        renderWeatherChart();
+    }
+}
+
+// Headline measures of each period with their change from the first period
+function renderComparisonSummary() {
+    const container = document.getElementById('comparison-summary');
+    if (!container) return;
     
-    analysisHtml += `<br><strong>First Half vs Second Half of Year:</strong> `;
-    analysisHtml += `First 6 months average: ${firstHalfAvg.toFixed(0)} accidents/month, `;
-    analysisHtml += `Last 6 months average: ${secondHalfAvg.toFixed(0)} accidents/month. `;
-    analysisHtml += `Change: ${change > 0 ? '+' : ''}${change.toFixed(1)}%`;
-    analysisHtml += `</div>`;
+    if (!comparison.enabled) {
+        container.innerHTML = `<p class="details-note">Compare two to four years or date ranges: the month, hour and weather charts then show
+            one series per period, with each difference from the first period tested for significance.</p>`;
+        return;
+    }
+    const periods = getComparisonPeriods();
+    if (periods.length < 2) {
+        container.innerHTML = '<p class="info-text">Choose at least two periods with both dates set.</p>';
+        return;
+    }
     
-    analysisContainer.innerHTML = analysisHtml;
+    const periodRows = getComparisonRows(periods);
+    const [baseline, ...others] = periodRows;
+    const rows = [
+        {
+            label: 'Accidents per day',
+            value: (rows, p) => rows.length / periods[p].days,
+            format: value => value.toFixed(1),
+            test: (rows, p) => poissonRateTest(baseline.length, periods[0].days, rows.length, periods[p].days)
+        },
+        ...['ksiRate', 'fatalRate'].map(metric => ({
+            label: `${groupMetrics[metric].label} (%)`,
+            value: rows => countKnownSeverity(rows) > 0 ? countRateOutcomes(rows, metric) / countKnownSeverity(rows) * 100 : null,
+            format: value => value.toFixed(1),
+            test: rows => twoProportionTest(countRateOutcomes(baseline, metric), countKnownSeverity(baseline),
+                countRateOutcomes(rows, metric), countKnownSeverity(rows))
+        })),
+        {
+            label: 'Casualties per accident',
+            value: rows => rows.length > 0 ? d3.mean(rows, d => d.NumberOfCasualties) : null,
+            format: value => value.toFixed(2),
+            test: rows => welchTTest(baseline.map(d => d.NumberOfCasualties), rows.map(d => d.NumberOfCasualties))
+        }
+    ];
+    
+    // Every difference shown is adjusted together
+    const results = rows.map(row => others.map((periodRows, q) => {
+        const base = row.value(baseline, 0);
+        const value = row.value(periodRows, q + 1);
+        const delta = base === null || value === null ? null : value - base;
+        return { delta, change: delta !== null && base ? delta / base * 100 : null, pValue: row.test(periodRows, q + 1).pValue, adjustedPValue: NaN };
+    }));
+    const tested = results.flat().filter(result => !isNaN(result.pValue));
+    benjaminiHochberg(tested.map(result => result.pValue)).forEach((p, k) => {
+        tested[k].adjustedPValue = p;
+    });
+    
+    let html = `<table><thead><tr><th></th>${periods.map((period, p) => `<th><span class="comparison-swatch" style="background: ${comparisonColors[p]}"></span>
+        ${period.label}<br><span class="details-note">${periodRows[p].length.toLocaleString()} accidents, ${period.days} days</span></th>`).join('')}</tr></thead><tbody>`;
+    rows.forEach((row, r) => {
+        const base = row.value(baseline, 0);
+        html += `<tr><th>${row.label}</th><td>${base === null ? '–' : row.format(base)}</td>`;
+        others.forEach((periodRows, q) => {
+            const value = row.value(periodRows, q + 1);
+            const result = results[r][q];
+            html += `<td>${value === null ? '–' : row.format(value)}${result.delta === null ? '' : `<br>
+                <span class="${result.adjustedPValue < 0.05 ? 'comparison-significant' : 'details-note'}">${formatSignedChange(result.delta, result.change, row.format)},
+                ${isNaN(result.adjustedPValue) ? 'not tested' : formatPValue(result.adjustedPValue)}</span>`}</td>`;
+        });
+        html += '</tr>';
+    });
+    html += '</tbody></table>';
+    
+    container.innerHTML = `<div class="heatmap-table">${html}</div>
+        <p class="details-note">Changes are from ${periods[0].label}; p-values are Benjamini-Hochberg adjusted across the table.
+        ${filters.year !== '' ? 'The year filter is ignored while comparing. ' : ''}Other filters and chart selections apply.
+        The month, hour and weather charts show the periods side by side.</p>`;
 }
 
-// 5-Year Trend Analysis - Uses UK folder data
-function renderFiveYearTrend() {
-    // Use UK folder data for 5-year analysis
-    const yearlyData = d3.rollup(
-        ukFolderData,
-        v => ({
-            count: v.length,
-            avgSeverity: d3.mean(v.map(d => d.Accident_Severity)),
-            totalCasualties: d3.sum(v.map(d => d.NumberOfCasualties))
-        }),
-        d => d.Year
-    );
+// Metric selectors in the hour, month and weather sections share one setting
+function renderMetricControls() {
+    document.querySelectorAll('.metric-select').forEach(select => {
+        if (select.options.length > 0) return;
+        
+        select.innerHTML = Object.entries(groupMetrics)
+            .map(([key, metric]) => `<option value="${key}">${metric.label}</option>`)
+            .join('');
+        select.value = groupMetric;
+        select.addEventListener('change', () => {
+            groupMetric = select.value;
+            document.querySelectorAll('.metric-select').forEach(other => {
+                other.value = groupMetric;
+            });
+            renderMonthlyChart();
+            if (datasetReady.cleaned) {
+                renderHourChart();
+                renderWeatherChart();
+            }
+        });
+    });
+}
+
+// Check if weather should be excluded
+function shouldExcludeWeather(weatherCode) {
+    const code = String(weatherCode).trim();
+    // Exclude: Other (8), Fog/Mist (7), Snowing (3), Snowing + Wind (6)
+    return code === '8' || code === '7' || code === '3' || code === '6';
+}
+
+function renderWeatherChart() {
+    const isShownWeather = d => {
+        const weatherCode = String(d.Weather).trim();
+        return weatherCode !== '9' && weatherCode !== 'Unknown' && weatherCode !== '' && !shouldExcludeWeather(weatherCode);
+    };
+    const weatherAxis = {
+        ticks: {
+            maxRotation: 45,
+            minRotation: 45
+        }
+    };
     
-    const years = Array.from(yearlyData.entries())
-        .map(([year, data]) => ({ year, ...data }))
-        .sort((a, b) => a.year - b.year);
+    if (isComparing()) {
+        // Top 10 conditions over all the periods together
+        const getCategories = rows => d3.groups(rows.filter(isShownWeather), getWeatherCode)
+            .sort((a, b) => b[1].length - a[1].length)
+            .slice(0, 10)
+            .map(([weatherCode]) => ({ key: weatherCode, label: decode('Weather', weatherCode) }));
+        renderComparisonChart('weather-chart', 'Accidents by Weather Condition (Top 10)', 'weather', getCategories,
+            getWeatherCode, { x: weatherAxis });
+        return;
+    }
     
-    // Get years from 2010 onwards (last 5 years from 2010-2015)
-    const displayYears = years.filter(y => y.year >= 2010).slice(0, 6);
+    // Filter out unknown weather conditions, excluded types, and map codes to names
+    const weatherGroups = d3.groups(getSectionData('weather').filter(isShownWeather), d => d.Weather);
     
-    const ctx = document.getElementById('five-year-trend-chart');
-    if (!ctx) return; // Chart container might not exist
+    const weather = weatherGroups
+        .sort((a, b) => b[1].length - a[1].length)
+        .slice(0, 10) // Top 10 weather conditions
+        .map(([weatherCode, rows]) => ({ 
+            weatherCode: String(weatherCode).trim(), 
+            weatherName: decode('Weather', weatherCode),
+            ...measureGroup(rows)
+        }));
     
-    new Chart(ctx.getContext('2d'), {
-        type: 'line',
+    const metricOptions = metricChartOptions('Accidents by Weather Condition (Top 10)', weather);
+    renderChart('weather-chart', {
+        type: 'bar',
         data: {
-            labels: displayYears.map(y => y.year),
-            datasets: [
-                {
-                    label: 'Number of Accidents',
-                    data: displayYears.map(y => y.count),
-                    borderColor: colors.primary,
-                    backgroundColor: colors.primary + '20',
-                    tension: 0.4,
-                    fill: true,
-                    yAxisID: 'y'
-                },
-                {
-                    label: 'Total Casualties',
-                    data: displayYears.map(y => y.totalCasualties),
-                    borderColor: colors.danger,
-                    backgroundColor: colors.danger + '20',
-                    tension: 0.4,
-                    fill: true,
-                    yAxisID: 'y1'
-                }
-            ]
+            labels: weather.map(w => w.weatherName),
+            datasets: [{
+                ...metricDataset(weather, (w, i) => 
+                    highlightSelection(`hsl(${200 + i * 20}, 70%, ${50 + (i % 3) * 10}%)`, 'weather', w.weatherCode)
+                ),
+                label: groupMetrics[groupMetric].label
+            }]
         },
+        plugins: [errorBarsPlugin],
         options: {
             responsive: true,
             maintainAspectRatio: false,
-            plugins: {
-                title: {
-                    display: true,
-                    text: `5-Year Accident Trend Analysis (${displayYears.length > 0 ? displayYears[0].year : ''} - ${displayYears.length > 0 ? displayYears[displayYears.length - 1].year : ''})`
-                },
-                legend: {
-                    display: true
-                }
-            },
+            ...selectableChartOptions('weather', index => weather[index].weatherCode),
+            plugins: metricOptions.plugins,
             scales: {
-                y: {
-                    type: 'linear',
-                    display: true,
-                    position: 'left',
-                    title: {
-                        display: true,
-                        text: 'Number of Accidents'
-                    }
-                },
-                y1: {
-                    type: 'linear',
-                    display: true,
-                    position: 'right',
-                    title: {
-                        display: true,
-                        text: 'Total Casualties'
-                    },
-                    grid: {
-                        drawOnChartArea: false
-                    }
-                }
+                y: metricOptions.scales.y,
+                x: weatherAxis
             }
         }
     });
 }
 
-function renderMonthlyChart() {
-    const trends = analyzeTimeTrends();
+// Accidents per year for the main weather conditions - Uses UK folder data
+function aggregateYearlyWeather(data = filteredFolderData) {
+    // Filter out unknown weather conditions and excluded weather types
+    const weatherData = data.filter(d => {
+        const weatherCode = String(d.Weather_Conditions).trim();
+        return weatherCode !== '9' && weatherCode !== 'Unknown' && weatherCode !== '' && weatherCode !== '-1' && !shouldExcludeWeather(weatherCode);
+    });
+    
+    // Group by year and weather condition
+    const yearWeatherData = d3.rollup(
+        weatherData,
+        v => v.length,
+        d => d.Year,
+        d => d.Weather_Conditions
+    );
     
-    const ctx = document.getElementById('monthly-chart').getContext('2d');
+    const years = Array.from(yearWeatherData.keys()).sort();
     
-    new Chart(ctx, {
-        type: 'bar',
+    // Get top weather conditions overall
+    const weatherCounts = d3.rollup(
+        weatherData,
+        v => v.length,
+        d => d.Weather_Conditions
+    );
+    
+    // Get specific weather conditions: Fine, Raining, Fine + Wind, Raining + Wind
+    const selectedWeatherCodes = ['1', '2', '4', '5']; // Fine, Raining, Fine + Wind, Raining + Wind
+    const topWeather = Array.from(weatherCounts.entries())
+        .map(([code, count]) => ({ code, count, name: decode('Weather_Conditions', code) }))
+        .filter(w => selectedWeatherCodes.includes(w.code))
+        .sort((a, b) => {
+            // Custom sort: Fine, Raining, Fine + Wind, Raining + Wind
+            const order = { '1': 1, '2': 2, '4': 3, '5': 4 };
+            return (order[a.code] || 999) - (order[b.code] || 999);
+        });
+    
+    // Get years from 2010 onwards (last 5 years from 2010-2015)
+    const displayYears = years.filter(y => y >= 2010).slice(0, 6);
+    
+    const series = topWeather.map(weather => ({
+        name: weather.name,
+        counts: displayYears.map(year => {
+            const yearData = yearWeatherData.get(year);
+            return yearData ? (yearData.get(weather.code) || 0) : 0;
+        })
+    }));
+    
+    return { displayYears, series };
+}
+
+// 5-Year Weather Trend Analysis - Uses UK folder data
+function renderFiveYearWeather() {
+    const { displayYears, series } = getRollup('yearlyWeather', () => aggregateYearlyWeather());
+    
+    const datasets = series.map((weather, i) => ({
+        label: weather.name,
+        data: weather.counts,
+        borderColor: `hsl(${200 + i * 40}, 70%, 50%)`,
+        backgroundColor: `hsla(${200 + i * 40}, 70%, 50%, 0.2)`,
+        tension: 0.4,
+        fill: false
+    }));
+    
+    renderChart('five-year-weather-chart', {
+        type: 'line',
         data: {
-            labels: trends.monthlyTrend.map(t => t.month),
-            datasets: [{
-                label: 'Accidents per Month',
-                data: trends.monthlyTrend.map(t => t.count),
-                backgroundColor: trends.monthlyTrend.map((t, i) => 
-                    `hsl(${220 + i * 10}, 70%, ${60 + (i % 3) * 5}%)`
-                )
-            }]
+            labels: displayYears.map(y => y),
+            datasets: datasets
         },
         options: {
             responsive: true,
@@ -698,7 +4223,11 @@ function renderMonthlyChart() {
             plugins: {
                 title: {
                     display: true,
-                    text: 'Monthly Accident Distribution'
+                    text: `5-Year Weather Trend Analysis (${displayYears.length > 0 ? displayYears[0] : ''} - ${displayYears.length > 0 ? displayYears[displayYears.length - 1] : ''})`
+                },
+                legend: {
+                    display: true,
+                    position: 'right'
                 }
             },
             scales: {
@@ -714,411 +4243,656 @@ function renderMonthlyChart() {
     });
 }
 
-// Correlation Matrix
-function calculateCorrelationMatrix() {
-    const numericFields = [
-        'SeverityNumeric',
-        'NumberOfVehicles',
-        'NumberOfCasualties',
-        'SpeedLimit',
-        'Hour',
-        'CasualtyRate'
-    ];
-    
-    const matrix = [];
-    const labels = [];
-    
-    numericFields.forEach(field1 => {
-        const row = [];
-        const values1 = ukData.map(d => d[field1]).filter(v => !isNaN(v) && v !== null);
-        
-        if (values1.length === 0) return;
-        
-        labels.push(field1);
-        
-        numericFields.forEach(field2 => {
-            const values2 = ukData.map(d => d[field2]).filter(v => !isNaN(v) && v !== null);
-            
-            if (values2.length === 0 || values1.length !== values2.length) {
-                row.push(0);
-                return;
-            }
-            
-            // Calculate correlation
-            const correlation = calculatePearsonCorrelation(values1, values2);
-            row.push(correlation);
-        });
-        
-        matrix.push(row);
-    });
-    
-    return { matrix, labels };
+// Category of a raw accident for a condition column, or null when not recorded
+function getConditionCode(d, dimension) {
+    const code = d[dimension] === undefined || d[dimension] === null ? '' : String(d[dimension]).trim();
+    return code === '' || code === '-1' ? null : code;
 }
 
-function calculatePearsonCorrelation(x, y) {
-    const n = Math.min(x.length, y.length);
-    if (n === 0) return 0;
-    
-    const meanX = d3.mean(x);
-    const meanY = d3.mean(y);
-    
-    let numerator = 0;
-    let sumSqX = 0;
-    let sumSqY = 0;
-    
-    for (let i = 0; i < n; i++) {
-        const diffX = x[i] - meanX;
-        const diffY = y[i] - meanY;
-        numerator += diffX * diffY;
-        sumSqX += diffX * diffX;
-        sumSqY += diffY * diffY;
-    }
+function getConditionName(dimension, code) {
+    const spec = conditionDimensions[dimension];
+    return spec.name ? spec.name(code) : decode(dimension, code);
+}
+
+// Value of a conditions measure for a category from countBySeverity (rates in %)
+function getConditionMeasure(category, measure) {
+    if (measure === 'count') return category.total;
+    if (measure === 'fatalRate') return (category.counts[1] || 0) / category.total * 100;
+    return getKsiShare(category) * 100;
+}
+
+// Accidents per category of a condition column with their severity mix, in code order
+function aggregateByCondition(dimension, data = filteredFolderData) {
+    return countBySeverity(data, d => getConditionCode(d, dimension), d => d.Accident_Severity)
+        .sort((a, b) => a.key - b.key);
+}
+
+// Add the options of a conditions control once; changes update conditionSettings and re-render
+function setupConditionControl(id, setting, options, render) {
+    const select = document.getElementById(id);
+    if (!select || select.options.length > 0) return;
     
-    const denominator = Math.sqrt(sumSqX * sumSqY);
-    return denominator === 0 ? 0 : numerator / denominator;
+    select.innerHTML = Object.entries(options).map(([key, option]) => `<option value="${key}">${option.label}</option>`).join('');
+    select.value = conditionSettings[setting];
+    select.addEventListener('change', () => {
+        conditionSettings[setting] = select.value;
+        render();
+        renderCodeLabelReport();
+    });
 }
 
-function renderCorrelationMatrix() {
-    const { matrix, labels } = calculateCorrelationMatrix();
-    
-    const ctx = document.getElementById('correlation-chart').getContext('2d');
-    
-    // Create a better correlation visualization using scatter/bubble chart approach
-    // We'll show correlations as a matrix visualization
-    const datasets = [];
-    
-    labels.forEach((label1, i) => {
-        labels.forEach((label2, j) => {
-            if (i <= j) { // Only show upper triangle to avoid duplication
-                const corr = matrix[i][j];
-                datasets.push({
-                    label: `${label1} vs ${label2}`,
-                    data: [{
-                        x: j,
-                        y: i,
-                        v: corr
-                    }],
-                    backgroundColor: corr > 0 ? 
-                        `rgba(102, 126, 234, ${Math.abs(corr)})` : 
-                        `rgba(250, 112, 154, ${Math.abs(corr)})`,
-                    pointRadius: Math.abs(corr) * 15 + 5
-                });
-            }
+// Decomposition and forecast of the accident count series (timeSeries.js) - Uses UK folder data
+function renderTimeSeriesAnalysis() {
+    const select = document.getElementById('time-series-resolution');
+    if (select && select.options.length === 0) {
+        select.innerHTML = Object.entries(timeSeriesResolutions).map(([key, spec]) => `<option value="${key}">${spec.label}</option>`).join('');
+        select.value = timeSeriesSettings.resolution;
+        select.addEventListener('change', () => {
+            timeSeriesSettings.resolution = select.value;
+            renderTimeSeriesAnalysis();
         });
-    });
+    }
     
-    // Alternative: Create a table-like visualization using bar chart
-    const correlationPairs = [];
-    const correlationValues = [];
-    const correlationColors = [];
+    const container = document.getElementById('time-series-analysis');
+    if (!container) return;
     
-    for (let i = 0; i < labels.length; i++) {
-        for (let j = i + 1; j < labels.length; j++) {
-            correlationPairs.push(`${labels[i]} ↔ ${labels[j]}`);
-            const corr = matrix[i][j];
-            correlationValues.push(corr);
-            correlationColors.push(corr > 0 ? 
-                `rgba(102, 126, 234, ${0.6 + Math.abs(corr) * 0.4})` : 
-                `rgba(250, 112, 154, ${0.6 + Math.abs(corr) * 0.4})`);
-        }
+    const { resolution } = timeSeriesSettings;
+    const { period, horizon } = timeSeriesResolutions[resolution];
+    const series = buildCountSeries(filteredFolderData, d => d.Date, resolution);
+    const model = holtWintersForecast(series.map(p => p.value), period, horizon);
+    if (!model) {
+        renderChart('time-series-chart', { type: 'line', data: { labels: [], datasets: [] } });
+        renderChart('time-series-components-chart', { type: 'line', data: { labels: [], datasets: [] } });
+        container.innerHTML = `<p class="info-text">At least two full seasonal cycles are needed (${2 * period + 1} ${resolution} periods);
+            the active filters leave ${series.length}. Widen the date range or choose a finer resolution.</p>`;
+        return;
     }
     
-    new Chart(ctx, {
-        type: 'bar',
+    const values = series.map(p => p.value);
+    const { trend, seasonal, residual } = stlDecompose(values, period);
+    const anomalies = findResidualAnomalies(residual);
+    const anomalyIndices = new Set(anomalies.map(a => a.index));
+    
+    const formatPeriod = d3.timeFormat(resolution === 'monthly' ? '%b %Y' : resolution === 'weekly' ? 'w/c %d %b %Y' : '%d %b %Y');
+    const last = series[series.length - 1].start;
+    const labels = [...series.map(p => p.start), ...d3.range(1, horizon + 1).map(h => offsetPeriod(last, resolution, h))].map(formatPeriod);
+    const padding = new Array(series.length).fill(null);
+    const forecastLine = [...padding.slice(1), values[values.length - 1], ...model.forecast.map(f => f.value)];
+    const lineStyle = { pointRadius: 0, borderWidth: 1.5, tension: 0.2 };
+    
+    renderChart('time-series-chart', {
+        type: 'line',
         data: {
-            labels: correlationPairs,
-            datasets: [{
-                label: 'Correlation Coefficient',
-                data: correlationValues,
-                backgroundColor: correlationColors,
-                borderColor: correlationColors.map(c => c.replace('0.', '1.')),
-                borderWidth: 1
-            }]
+            labels,
+            datasets: [
+                {
+                    label: 'Accidents',
+                    data: values,
+                    borderColor: colors.primary,
+                    ...lineStyle
+                },
+                {
+                    label: 'Trend',
+                    data: trend,
+                    borderColor: colors.secondary,
+                    ...lineStyle,
+                    borderWidth: 3
+                },
+                {
+                    label: 'Forecast',
+                    data: forecastLine,
+                    borderColor: colors.danger,
+                    borderDash: [6, 4],
+                    ...lineStyle
+                },
+                {
+                    label: '95% prediction interval',
+                    data: [...padding, ...model.forecast.map(f => f.high)],
+                    borderColor: 'transparent',
+                    backgroundColor: colors.danger + '30',
+                    pointRadius: 0,
+                    fill: '+1'
+                },
+                {
+                    label: 'Interval low',
+                    data: [...padding, ...model.forecast.map(f => f.low)],
+                    borderColor: 'transparent',
+                    pointRadius: 0
+                },
+                {
+                    label: 'Anomaly',
+                    type: 'scatter',
+                    data: values.map((v, i) => anomalyIndices.has(i) ? v : null),
+                    backgroundColor: '#c0392b',
+                    pointRadius: 5
+                }
+            ]
         },
         options: {
             responsive: true,
             maintainAspectRatio: false,
+            interaction: { mode: 'index', intersect: false },
             plugins: {
                 title: {
                     display: true,
-                    text: 'Correlation Matrix Between Key Variables'
+                    text: `${timeSeriesResolutions[resolution].label} Accidents: Trend and 12-Month Forecast`
                 },
                 legend: {
-                    display: false
+                    labels: { filter: item => item.text !== 'Interval low' }
+                },
+                tooltip: {
+                    filter: item => item.raw !== null && item.dataset.label !== 'Interval low'
                 }
             },
             scales: {
+                x: { ticks: { maxTicksLimit: 16 } },
                 y: {
-                    min: -1,
-                    max: 1,
+                    beginAtZero: true,
                     title: {
                         display: true,
-                        text: 'Correlation Coefficient (-1 to 1)'
-                    },
-                    grid: {
-                        color: (context) => {
-                            if (context.tick.value === 0) return 'rgba(0, 0, 0, 0.3)';
-                            return 'rgba(0, 0, 0, 0.1)';
-                        }
-                    }
-                },
-                x: {
-                    ticks: {
-                        maxRotation: 0,
-                        minRotation: 0,
-                        font: {
-                            size: 10
-                        }
+                        text: 'Number of Accidents'
                     }
                 }
             }
         }
     });
     
-    // Display correlation insights
-    const insightsContainer = document.getElementById('correlation-insights');
-    let insightsHtml = '<h3>Key Correlations</h3><ul>';
-    
-    for (let i = 0; i < labels.length; i++) {
-        for (let j = i + 1; j < labels.length; j++) {
-            const corr = matrix[i][j];
-            if (Math.abs(corr) > 0.3) {
-                const strength = Math.abs(corr) > 0.7 ? 'Strong' : 
-                               Math.abs(corr) > 0.5 ? 'Moderate' : 'Weak';
-                insightsHtml += `<li><strong>${labels[i]} vs ${labels[j]}:</strong> 
-                    ${corr.toFixed(3)} (${strength} ${corr > 0 ? 'positive' : 'negative'} correlation)</li>`;
-            }
-        }
-    }
-    
-    insightsHtml += '</ul>';
-    insightsContainer.innerHTML = insightsHtml;
-}
-
-function renderRegionChart() {
-    // Group accidents by hour
-    const hourCounts = d3.rollup(
-        ukData.filter(d => d.Hour !== null && !isNaN(d.Hour)),
-        v => ({
-            count: v.length,
-            avgSeverity: d3.mean(v.map(d => d.SeverityNumeric))
-        }),
-        d => d.Hour
-    );
-    
-    const hours = Array.from(hourCounts.entries())
-        .map(([hour, data]) => ({ hour: parseInt(hour), ...data }))
-        .sort((a, b) => a.hour - b.hour);
-    
-    const ctx = document.getElementById('region-chart').getContext('2d');
-    
-    new Chart(ctx, {
-        type: 'bar',
+    renderChart('time-series-components-chart', {
+        type: 'line',
         data: {
-            labels: hours.map(h => `${h.hour}:00`),
+            labels: labels.slice(0, series.length),
             datasets: [
                 {
-                    label: 'Number of Accidents',
-                    data: hours.map(h => h.count),
-                    backgroundColor: colors.primary
+                    label: 'Seasonal',
+                    data: seasonal,
+                    borderColor: colors.success,
+                    ...lineStyle
                 },
                 {
-                    label: 'Average Severity',
-                    data: hours.map(h => h.avgSeverity),
-                    backgroundColor: colors.danger,
-                    type: 'line',
-                    yAxisID: 'y1'
+                    label: 'Residual',
+                    data: residual,
+                    borderColor: '#999',
+                    ...lineStyle,
+                    pointRadius: residual.map((r, i) => anomalyIndices.has(i) ? 4 : 0),
+                    pointBackgroundColor: '#c0392b'
                 }
             ]
         },
         options: {
             responsive: true,
             maintainAspectRatio: false,
+            interaction: { mode: 'index', intersect: false },
             plugins: {
                 title: {
                     display: true,
-                    text: 'Accidents by Hour of Day'
+                    text: 'Seasonal and Residual Components'
                 }
             },
             scales: {
+                x: { ticks: { maxTicksLimit: 16 } },
                 y: {
-                    beginAtZero: true,
-                    title: {
-                        display: true,
-                        text: 'Number of Accidents'
-                    }
-                },
-                y1: {
-                    type: 'linear',
-                    display: true,
-                    position: 'right',
                     title: {
                         display: true,
-                        text: 'Average Severity'
-                    },
-                    grid: {
-                        drawOnChartArea: false
+                        text: 'Accidents above or below trend'
                     }
                 }
             }
         }
     });
+    
+    // Structural change: the trend over the first 12 months against the last 12
+    const trendStart = d3.mean(trend.slice(0, horizon));
+    const trendEnd = d3.mean(trend.slice(-horizon));
+    const trendChange = trendStart > 0 ? (trendEnd - trendStart) / trendStart * 100 : 0;
+    const trendStrength = componentStrength(trend, residual);
+    const seasonalStrength = componentStrength(seasonal, residual);
+    const structural = trendStrength >= 0.6 && Math.abs(trendChange) >= 5;
+    const forecastTotal = d3.sum(model.forecast, f => f.value);
+    const lastYearTotal = d3.sum(values.slice(-horizon));
+    const forecastChange = lastYearTotal > 0 ? (forecastTotal - lastYearTotal) / lastYearTotal * 100 : 0;
+    const formatChange = change => `${change > 0 ? '+' : ''}${change.toFixed(1)}%`;
+    
+    const largest = anomalies.slice().sort((a, b) => Math.abs(b.score) - Math.abs(a.score)).slice(0, 5);
+    container.innerHTML = `
+        <h3>Decomposition and Forecast</h3>
+        <div class="insight">
+            <strong>Trend:</strong> ${formatChange(trendChange)} from the first to the last 12 months of the series
+            (${trendStart.toFixed(1)} to ${trendEnd.toFixed(1)} accidents per ${resolution === 'daily' ? 'day' : resolution === 'weekly' ? 'week' : 'month'}).
+            Trend strength ${trendStrength.toFixed(2)}, seasonal strength ${seasonalStrength.toFixed(2)} (0 = none, 1 = all of the variation).<br>
+            <strong>Assessment:</strong> ${structural
+                ? `The ${trendChange < 0 ? 'decline' : 'rise'} is structural: the trend moves steadily rather than being seasonal swings or noise.`
+                : 'The change is small next to the seasonal swings and noise; there is no clear structural shift.'}
+        </div>
+        <div class="insight">
+            <strong>Next 12 months:</strong> about ${Math.round(forecastTotal).toLocaleString()} accidents
+            (${formatChange(forecastChange)} on the last 12 months). Additive Holt-Winters with a damped trend, α = ${model.alpha}, β = ${model.beta}, γ = ${model.gamma}, φ = ${model.phi};
+            the shaded band is each period's 95% prediction interval.
+        </div>
+        <div class="insight">
+            <strong>Anomalous periods:</strong> ${anomalies.length === 0 ? 'none' : `${anomalies.length} with a residual beyond 3 robust standard deviations${largest.length < anomalies.length ? ', largest' : ''}:
+                ${largest.map(a => `${labels[a.index]} (${values[a.index].toLocaleString()} accidents, ${Math.round(trend[a.index] + seasonal[a.index]).toLocaleString()} expected)`).join('; ')}`}
+        </div>
+        <p class="details-note">STL-style decomposition with a ${period}-period seasonal cycle${resolution === 'daily' ? ' (day of week; yearly seasonality shows in the trend at this resolution)' : ''}.
+            Partial first and last periods can appear as anomalies.</p>`;
 }
 
-// Map weather codes to actual weather names
-function getWeatherName(weatherCode) {
-    const weatherMap = {
-        '1': 'Fine',
-        '2': 'Raining',
-        '3': 'Snowing',
-        '4': 'Fine + Wind',
-        '5': 'Raining + Wind',
-        '6': 'Snowing + Wind',
-        '7': 'Fog/Mist',
-        '8': 'Other',
-        '9': 'Unknown'
-    };
+// Calendar of daily accident counts for one year, with bank holidays and clock changes
+// (calendarEvents.js) outlined; clicking a day lists its accidents - Uses UK folder data
+function renderCalendarHeatmap() {
+    const container = document.getElementById('calendar-heatmap');
+    const select = document.getElementById('calendar-year');
+    if (!container || !select) return;
     
-    const code = String(weatherCode).trim();
-    return weatherMap[code] || `Weather ${code}`;
+    const byDay = d3.group(filteredFolderData.filter(d => d.Date instanceof Date && !isNaN(d.Date)), d => formatDateKey(d.Date));
+    const years = Array.from(new Set(Array.from(byDay.keys(), key => parseInt(key.slice(0, 4))))).sort((a, b) => a - b);
+    if (years.length === 0) {
+        recordExportTable('calendar', []);
+        container.innerHTML = '<p class="info-text">No dated accidents match the active filters.</p>';
+        renderCalendarDay();
+        return;
+    }
+    
+    if (!years.includes(calendarSettings.year)) calendarSettings.year = years[years.length - 1];
+    const firstRender = select.options.length === 0;
+    select.innerHTML = years.map(year => `<option value="${year}">${year}</option>`).join('');
+    select.value = calendarSettings.year;
+    if (firstRender) {
+        select.addEventListener('change', () => {
+            calendarSettings.year = parseInt(select.value);
+            renderCalendarHeatmap();
+        });
+    }
+    
+    const year = calendarSettings.year;
+    if (calendarSettings.day && parseInt(calendarSettings.day.slice(0, 4)) !== year) calendarSettings.day = null;
+    const days = d3.timeDays(new Date(year, 0, 1), new Date(year + 1, 0, 1));
+    const counts = days.map(date => (byDay.get(formatDateKey(date)) || []).length);
+    const color = d3.scaleSequential(d3.interpolateYlOrRd).domain([0, d3.max(counts) || 1]);
+    const formatDay = d3.timeFormat('%a %d %b %Y');
+    const getWeek = date => d3.timeMonday.count(d3.timeYear(date), date);
+    const getWeekday = date => (date.getDay() + 6) % 7; // Monday first
+    const getEvents = date => calendarEventsByDate.get(formatDateKey(date)) || [];
+    recordExportTable('calendar', days.map((date, i) => ({
+        date,
+        accidents: counts[i],
+        events: getEvents(date).map(event => event.name).join('; ')
+    })));
+    const cell = 14;
+    const left = 30;
+    const top = 18;
+    
+    d3.select(container).selectAll('*').remove();
+    const svg = d3.select(container)
+        .append('svg')
+        .attr('class', 'calendar-svg')
+        .attr('viewBox', `0 0 ${left + 54 * cell} ${top + 7 * cell}`);
+    
+    svg.selectAll('text.calendar-weekday')
+        .data(['Mon', 'Wed', 'Fri'])
+        .join('text')
+        .attr('class', 'calendar-label')
+        .attr('x', 0)
+        .attr('y', (label, i) => top + i * 2 * cell + cell - 4)
+        .text(label => label);
+    svg.selectAll('text.calendar-month')
+        .data(d3.timeMonths(new Date(year, 0, 1), new Date(year + 1, 0, 1)))
+        .join('text')
+        .attr('class', 'calendar-label')
+        .attr('x', month => left + getWeek(month) * cell)
+        .attr('y', top - 6)
+        .text(d3.timeFormat('%b'));
+    
+    svg.selectAll('rect.calendar-day')
+        .data(days)
+        .join('rect')
+        .attr('class', date => {
+            const types = getEvents(date).map(e => e.type);
+            return ['calendar-day',
+                types.includes('bankHoliday') ? 'bank-holiday' : '',
+                types.includes('clockChange') ? 'clock-change' : '',
+                formatDateKey(date) === calendarSettings.day ? 'selected' : ''].join(' ').trim();
+        })
+        .attr('x', date => left + getWeek(date) * cell)
+        .attr('y', date => top + getWeekday(date) * cell)
+        .attr('width', cell - 2)
+        .attr('height', cell - 2)
+        .attr('fill', (date, i) => counts[i] > 0 ? color(counts[i]) : '#ebedf0')
+        .on('click', (event, date) => {
+            calendarSettings.day = formatDateKey(date);
+            svg.selectAll('rect.calendar-day').classed('selected', d => formatDateKey(d) === calendarSettings.day);
+            renderCalendarDay();
+        })
+        .append('title')
+        .text((date, i) => `${formatDay(date)}: ${counts[i].toLocaleString()} accident${counts[i] === 1 ? '' : 's'}` +
+            getEvents(date).map(e => `\n${e.name}`).join(''));
+    
+    // Worst days, and bank holidays against the year's other days
+    const dayCounts = days.map((date, i) => ({ date, count: counts[i], holiday: getEvents(date).some(e => e.type === 'bankHoliday') }));
+    const worst = dayCounts.slice().sort((a, b) => b.count - a.count).slice(0, 5);
+    const holidayAverage = d3.mean(dayCounts.filter(d => d.holiday), d => d.count);
+    const otherAverage = d3.mean(dayCounts.filter(d => !d.holiday), d => d.count);
+    d3.select(container)
+        .append('p')
+        .attr('class', 'details-note')
+        .html(`<span class="calendar-key bank-holiday"></span> Bank holiday (England and Wales)
+            <span class="calendar-key clock-change"></span> Clock change<br>
+            <strong>Worst days of ${year}:</strong> ${worst.map(d => `${formatDay(d.date)} (${d.count})`).join(', ')}.
+            ${holidayAverage !== undefined ? `Bank holidays average ${holidayAverage.toFixed(1)} accidents against ${otherAverage.toFixed(1)} on other days.` : ''}`);
+    
+    renderCalendarDay();
 }
 
-// Check if weather should be excluded
-function shouldExcludeWeather(weatherCode) {
-    const code = String(weatherCode).trim();
-    // Exclude: Other (8), Fog/Mist (7), Snowing (3), Snowing + Wind (6)
-    return code === '8' || code === '7' || code === '3' || code === '6';
+// Accidents of the day picked on the calendar
+function renderCalendarDay() {
+    const container = document.getElementById('calendar-day-details');
+    if (!container) return;
+    
+    const key = calendarSettings.day;
+    if (!key) {
+        container.innerHTML = '<p class="info-text">Click a day on the calendar to list its accidents.</p>';
+        return;
+    }
+    
+    const accidents = filteredFolderData
+        .filter(d => d.Date instanceof Date && formatDateKey(d.Date) === key)
+        .sort((a, b) => String(a.Time).localeCompare(String(b.Time)));
+    const events = calendarEventsByDate.get(key) || [];
+    const [yearPart, monthPart, dayPart] = key.split('-').map(Number);
+    const severityCounts = d3.rollup(accidents, v => v.length, d => d.Accident_Severity);
+    
+    const rows = accidents.slice(0, maxListedDayAccidents).map(d => `
+        <tr>
+            <td>${escapeHtml(d.Time || '')}</td>
+            <td>${escapeHtml(decode('Accident_Severity', d.Accident_Severity))}</td>
+            <td>${escapeHtml(decode('Local_Authority_Highway', d.Local_Authority_Highway))}</td>
+            <td>${escapeHtml(decode('Road_Type', d.Road_Type))}</td>
+            <td>${d.SpeedLimit || ''}</td>
+            <td>${escapeHtml(decode('Light_Conditions', d.Light_Conditions))}</td>
+            <td>${escapeHtml(decode('Weather_Conditions', d.Weather_Conditions))}</td>
+            <td>${d.NumberOfVehicles}</td>
+            <td>${d.NumberOfCasualties}</td>
+        </tr>
+    `).join('');
+    
+    container.innerHTML = `
+        <h3>${d3.timeFormat('%A %d %B %Y')(new Date(yearPart, monthPart - 1, dayPart))}</h3>
+        ${events.length > 0 ? `<p><strong>${events.map(e => e.name).join('; ')}</strong></p>` : ''}
+        <p>${accidents.length.toLocaleString()} accident${accidents.length === 1 ? '' : 's'}${accidents.length > 0 ? `:
+            ${Object.keys(severityNames).map(code => `${(severityCounts.get(+code) || 0).toLocaleString()} ${severityNames[code].toLowerCase()}`).join(', ')}` : ''}</p>
+        ${accidents.length > 0 ? `<div class="quality-table"><table>
+            <thead><tr><th>Time</th><th>Severity</th><th>Local authority</th><th>Road type</th><th>Speed limit</th>
+                <th>Light</th><th>Weather</th><th>Vehicles</th><th>Casualties</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table></div>` : ''}
+        ${accidents.length > maxListedDayAccidents ? `<p class="details-note">Showing the first ${maxListedDayAccidents} of ${accidents.length.toLocaleString()} accidents.</p>` : ''}`;
 }
 
-function renderWeatherChart() {
-    // Filter out unknown weather conditions, excluded types, and map codes to names
-    const weatherCounts = d3.rollup(
-        ukData.filter(d => {
-            const weatherCode = String(d.Weather).trim();
-            return weatherCode !== '9' && weatherCode !== 'Unknown' && weatherCode !== '' && !shouldExcludeWeather(weatherCode);
-        }),
-        v => ({
-            count: v.length,
-            avgSeverity: d3.mean(v.map(d => d.SeverityNumeric))
-        }),
-        d => d.Weather
+// Heatmap table of countBySeverity cells, one per row and column key (getCell returns undefined
+// where there are no accidents). Rates need minHeatmapCellAccidents accidents per cell, so smaller
+// cells are left blank. Labels and titles are plain text. Returns the table's HTML, the note on
+// blank cells and the shown() check, for the section's own summary.
+function buildHeatmapTable({ corner, rowKeys, columnKeys, getRowLabel, getColumnLabel, getCell, getValue, isRate, format, getTitle }) {
+    const shown = cell => Boolean(cell) && (!isRate || cell.total >= minHeatmapCellAccidents);
+    const grid = rowKeys.map(row => columnKeys.map(column => getCell(row, column)));
+    const color = d3.scaleSequential(d3.interpolateYlOrRd).domain([0, d3.max(grid.flat().filter(shown), getValue) || 1]);
+    
+    let html = `<table><thead><tr><th>${escapeHtml(corner)}</th>${columnKeys.map(column => `<th>${escapeHtml(getColumnLabel(column))}</th>`).join('')}</tr></thead><tbody>`;
+    rowKeys.forEach((row, i) => {
+        html += `<tr><th>${escapeHtml(getRowLabel(row))}</th>`;
+        columnKeys.forEach((column, j) => {
+            const cell = grid[i][j];
+            if (!shown(cell)) {
+                html += `<td class="heatmap-empty" title="${cell ? `${cell.total} accidents (fewer than ${minHeatmapCellAccidents})` : 'No accidents'}">–</td>`;
+                return;
+            }
+            const value = getValue(cell);
+            const background = color(value);
+            const text = d3.hsl(background).l < 0.55 ? 'white' : '#333';
+            html += `<td style="background: ${background}; color: ${text}" title="${escapeHtml(getTitle(cell, row, column))}">${format(value)}</td>`;
+        });
+        html += '</tr>';
+    });
+    html += '</tbody></table>';
+    
+    return {
+        html: `<div class="heatmap-table">${html}</div>`,
+        note: isRate ? `Cells with fewer than ${minHeatmapCellAccidents} accidents are left blank. ` : '',
+        shown
+    };
+}
+
+// Day of week × hour of day matrix, coloured by accidents or fatal/serious rate - Uses UK folder data
+function renderWeekdayHourMatrix() {
+    const select = document.getElementById('weekday-hour-measure');
+    if (select && select.options.length === 0) {
+        select.innerHTML = Object.entries(weekdayHourMeasures).map(([key, measure]) => `<option value="${key}">${measure.label}</option>`).join('');
+        select.value = calendarSettings.matrixMeasure;
+        select.addEventListener('change', () => {
+            calendarSettings.matrixMeasure = select.value;
+            renderWeekdayHourMatrix();
+        });
+    }
+    
+    const container = document.getElementById('weekday-hour-matrix');
+    if (!container) return;
+    
+    const cells = countBySeverity(
+        filteredFolderData,
+        d => weekdayCodes.includes(String(d.Day_of_Week).trim()) && d.Hour !== null && !isNaN(d.Hour) ? `${String(d.Day_of_Week).trim()}|${d.Hour}` : null,
+        d => d.Accident_Severity
     );
+    recordExportTable('weekday-hour', severityCountRows(cells, ['dayOfWeek', 'hour']));
+    if (cells.length === 0) {
+        container.innerHTML = '<p class="info-text">No accidents with a day of week and time match the active filters.</p>';
+        return;
+    }
     
-    const weather = Array.from(weatherCounts.entries())
-        .map(([weatherCode, data]) => ({ 
-            weatherCode, 
-            weatherName: getWeatherName(weatherCode),
-            ...data 
-        }))
-        .sort((a, b) => b.count - a.count)
-        .slice(0, 10); // Top 10 weather conditions
+    const byKey = new Map(cells.map(cell => [cell.key, cell]));
+    const isRate = calendarSettings.matrixMeasure === 'ksiRate';
+    const getValue = cell => isRate ? getKsiShare(cell) * 100 : cell.total;
+    const getDayName = code => findCodeLabel('Day_of_Week', code) || weekdayNames[code];
+    const table = buildHeatmapTable({
+        corner: 'Day by hour',
+        rowKeys: weekdayCodes,
+        columnKeys: d3.range(24),
+        getRowLabel: getDayName,
+        getColumnLabel: String,
+        getCell: (code, hour) => byKey.get(`${code}|${hour}`),
+        getValue,
+        isRate,
+        format: value => isRate ? value.toFixed(0) : value.toLocaleString(),
+        getTitle: (cell, code, hour) => `${getDayName(code)} ${hour}:00-${hour}:59: ${cell.total.toLocaleString()} accidents, fatal/serious ${(getKsiShare(cell) * 100).toFixed(1)}%`
+    });
     
-    const ctx = document.getElementById('weather-chart').getContext('2d');
+    const peak = cells.filter(table.shown).sort((a, b) => getValue(b) - getValue(a))[0];
+    const describe = cell => {
+        const [code, hour] = cell.key.split('|');
+        return escapeHtml(`${getDayName(code)} ${hour}:00-${hour}:59`);
+    };
+    container.innerHTML = `${table.html}
+        <p class="details-note">${table.note}
+        ${peak ? `Highest: ${describe(peak)} (${isRate ? `${getValue(peak).toFixed(1)}% fatal/serious of ${peak.total.toLocaleString()} accidents` : `${peak.total.toLocaleString()} accidents`}).` : ''}</p>`;
+}
+
+// Road and Environment Conditions - accidents, severity mix or fatal rate per category of one column
+function renderConditionAnalysis() {
+    setupConditionControl('condition-dimension', 'dimension', conditionDimensions, renderConditionAnalysis);
+    setupConditionControl('condition-measure', 'measure', conditionMeasures, renderConditionAnalysis);
     
-    new Chart(ctx, {
-        type: 'bar',
-        data: {
-            labels: weather.map(w => w.weatherName),
-            datasets: [{
-                label: 'Number of Accidents',
-                data: weather.map(w => w.count),
-                backgroundColor: weather.map((w, i) => 
-                    `hsl(${200 + i * 20}, 70%, ${50 + (i % 3) * 10}%)`
-                )
-            }]
-        },
-        options: {
-            responsive: true,
-            maintainAspectRatio: false,
-            plugins: {
-                title: {
-                    display: true,
-                    text: 'Accidents by Weather Condition (Top 10)'
-                }
+    const { dimension, measure } = conditionSettings;
+    const spec = conditionDimensions[dimension];
+    const categories = aggregateByCondition(dimension);
+    const getLabel = c => getConditionName(dimension, c.key);
+    
+    if (measure === 'count' || measure === 'share') {
+        renderSeverityBreakdownChart('condition-chart', categories, getLabel,
+            `Accidents by ${spec.label}`, measure === 'count' ? 'Number of Accidents' : '% of Accidents', measure === 'share');
+    } else {
+        renderChart('condition-chart', {
+            type: 'bar',
+            data: {
+                labels: categories.map(getLabel),
+                datasets: [{
+                    label: conditionMeasures[measure].label,
+                    data: categories.map(c => getConditionMeasure(c, measure)),
+                    backgroundColor: severityColors[measure === 'fatalRate' ? 1 : 2]
+                }]
             },
-            scales: {
-                y: {
-                    beginAtZero: true,
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
                     title: {
                         display: true,
-                        text: 'Number of Accidents'
+                        text: `${conditionMeasures[measure].label} by ${spec.label}`
+                    },
+                    tooltip: {
+                        callbacks: {
+                            footer: items => `${categories[items[0].dataIndex].total.toLocaleString()} accidents`
+                        }
                     }
                 },
-                x: {
-                    ticks: {
-                        maxRotation: 45,
-                        minRotation: 45
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        title: {
+                            display: true,
+                            text: conditionMeasures[measure].label
+                        }
+                    },
+                    x: {
+                        ticks: {
+                            maxRotation: 45,
+                            minRotation: 45
+                        }
                     }
                 }
             }
-        }
+        });
+    }
+    
+    const container = document.getElementById('condition-analysis');
+    if (!container) return;
+    
+    const recorded = d3.sum(categories, c => c.total);
+    const overallFatal = recorded > 0 ? d3.sum(categories, c => c.counts[1] || 0) / recorded * 100 : 0;
+    let html = `<h3>${spec.label}</h3>
+        <p class="details-note">${recorded.toLocaleString()} of ${filteredFolderData.length.toLocaleString()} accidents have a recorded ${spec.label.toLowerCase()};
+        overall fatal rate ${overallFatal.toFixed(2)}%.</p><ul>`;
+    categories.forEach(category => {
+        html += `<li><strong>${escapeHtml(getLabel(category))}:</strong> ${category.total.toLocaleString()} accidents,
+            fatal rate ${getConditionMeasure(category, 'fatalRate').toFixed(2)}%, fatal/serious ${getConditionMeasure(category, 'ksiRate').toFixed(1)}%</li>`;
     });
+    html += '</ul>';
+    container.innerHTML = html;
 }
 
-// 5-Year Weather Trend Analysis - Uses UK folder data
-function renderFiveYearWeather() {
-    // Use UK folder data for 5-year weather analysis
-    // Filter out unknown weather conditions and excluded weather types
-    const filteredData = ukFolderData.filter(d => {
-        const weatherCode = String(d.Weather_Conditions).trim();
-        return weatherCode !== '9' && weatherCode !== 'Unknown' && weatherCode !== '' && weatherCode !== '-1' && !shouldExcludeWeather(weatherCode);
-    });
+// Two-way heatmap of one condition column against another, to spot compound risk
+function renderConditionHeatmap() {
+    // A cell has no single severity mix value, so the heatmap offers the other measures
+    const heatmapMeasures = Object.fromEntries(Object.entries(conditionMeasures).filter(([key]) => key !== 'share'));
+    setupConditionControl('heatmap-rows', 'heatmapRows', conditionDimensions, renderConditionHeatmap);
+    setupConditionControl('heatmap-columns', 'heatmapColumns', conditionDimensions, renderConditionHeatmap);
+    setupConditionControl('heatmap-measure', 'heatmapMeasure', heatmapMeasures, renderConditionHeatmap);
     
-    // Group by year and weather condition
-    const yearWeatherData = d3.rollup(
-        filteredData,
-        v => v.length,
-        d => d.Year,
-        d => d.Weather_Conditions
-    );
+    const container = document.getElementById('condition-heatmap');
+    if (!container) return;
     
-    const years = Array.from(yearWeatherData.keys()).sort();
+    const { heatmapRows, heatmapColumns, heatmapMeasure } = conditionSettings;
+    if (heatmapRows === heatmapColumns) {
+        container.innerHTML = '<p class="info-text">Choose two different columns.</p>';
+        return;
+    }
     
-    // Get top weather conditions overall
-    const weatherCounts = d3.rollup(
-        filteredData,
-        v => v.length,
-        d => d.Weather_Conditions
+    const cells = countBySeverity(
+        filteredFolderData,
+        d => {
+            const row = getConditionCode(d, heatmapRows);
+            const column = getConditionCode(d, heatmapColumns);
+            return row === null || column === null ? null : `${row}|${column}`;
+        },
+        d => d.Accident_Severity
     );
+    recordExportTable('condition-heatmap', severityCountRows(cells, [heatmapRows, heatmapColumns]));
+    const byKey = new Map(cells.map(cell => [cell.key, cell]));
+    const rowCodes = [...new Set(cells.map(cell => cell.key.split('|')[0]))].sort((a, b) => a - b);
+    const columnCodes = [...new Set(cells.map(cell => cell.key.split('|')[1]))].sort((a, b) => a - b);
     
-    // Get specific weather conditions: Fine, Raining, Fine + Wind, Raining + Wind
-    const selectedWeatherCodes = ['1', '2', '4', '5']; // Fine, Raining, Fine + Wind, Raining + Wind
-    const topWeather = Array.from(weatherCounts.entries())
-        .map(([code, count]) => ({ code, count, name: getWeatherName(code) }))
-        .filter(w => selectedWeatherCodes.includes(w.code))
-        .sort((a, b) => {
-            // Custom sort: Fine, Raining, Fine + Wind, Raining + Wind
-            const order = { '1': 1, '2': 2, '4': 3, '5': 4 };
-            return (order[a.code] || 999) - (order[b.code] || 999);
-        });
-    
-    // Get years from 2010 onwards (last 5 years from 2010-2015)
-    const displayYears = years.filter(y => y >= 2010).slice(0, 6);
+    const isRate = heatmapMeasure !== 'count';
+    const table = buildHeatmapTable({
+        corner: `${conditionDimensions[heatmapRows].label} by ${conditionDimensions[heatmapColumns].label.toLowerCase()}`,
+        rowKeys: rowCodes,
+        columnKeys: columnCodes,
+        getRowLabel: code => getConditionName(heatmapRows, code),
+        getColumnLabel: code => getConditionName(heatmapColumns, code),
+        getCell: (rowCode, columnCode) => byKey.get(`${rowCode}|${columnCode}`),
+        getValue: cell => getConditionMeasure(cell, heatmapMeasure),
+        isRate,
+        format: value => isRate ? `${value.toFixed(1)}%` : value.toLocaleString(),
+        getTitle: cell => `${cell.total.toLocaleString()} accidents, fatal ${getConditionMeasure(cell, 'fatalRate').toFixed(2)}%, fatal/serious ${getConditionMeasure(cell, 'ksiRate').toFixed(1)}%`
+    });
     
-    const ctx = document.getElementById('five-year-weather-chart');
-    if (!ctx) return; // Chart container might not exist
+    // Combinations whose fatal/serious rate most exceeds the overall rate
+    const overall = getKsiShare({ total: d3.sum(cells, c => c.total), counts: { 1: d3.sum(cells, c => c.counts[1] || 0), 2: d3.sum(cells, c => c.counts[2] || 0) } });
+    const risks = cells.filter(cell => cell.total >= minHeatmapCellAccidents && overall > 0)
+        .map(cell => ({ cell, ratio: getKsiShare(cell) / overall }))
+        .filter(risk => risk.ratio > 1)
+        .sort((a, b) => b.ratio - a.ratio)
+        .slice(0, 3);
+    const describe = cell => {
+        const [row, column] = cell.key.split('|');
+        return escapeHtml(`${getConditionName(heatmapRows, row)} × ${getConditionName(heatmapColumns, column)}`);
+    };
     
-    const datasets = topWeather.map((weather, i) => {
-        const data = displayYears.map(year => {
-            const yearData = yearWeatherData.get(year);
-            return yearData ? (yearData.get(weather.code) || 0) : 0;
+    container.innerHTML = `${table.html}
+        <p class="details-note">${table.note}Overall fatal/serious rate: ${(overall * 100).toFixed(1)}%.
+        ${risks.length > 0 ? `Highest compound risk: ${risks.map(risk => `${describe(risk.cell)} (${(getKsiShare(risk.cell) * 100).toFixed(1)}%, ${risk.ratio.toFixed(2)}× overall)`).join('; ')}.` : ''}</p>`;
+}
+
+function getRoadUserGroup(casualtyType) {
+    const group = Object.keys(roadUserGroups).find(name => roadUserGroups[name].includes(casualtyType));
+    return group || 'Other';
+}
+
+// Vehicle or casualty rows of the given accidents, through the Accident_Index join
+function getJoinedRows(dataset, accidents = filteredFolderData) {
+    const index = accidentJoins[dataset];
+    return accidents.flatMap(d => index.get(d.Accident_Index) || []);
+}
+
+// Counts per category and severity: [{ key, total, counts: { severity: count } }]. Rows with a
+// null category are left out; each row is counted once per category it returns.
+function countBySeverity(rows, getCategories, getSeverity) {
+    const categories = new Map();
+    rows.forEach(row => {
+        const severity = getSeverity(row);
+        [].concat(getCategories(row)).forEach(key => {
+            if (key === null) return;
+            if (!categories.has(key)) categories.set(key, { key, total: 0, counts: {} });
+            const category = categories.get(key);
+            category.total++;
+            category.counts[severity] = (category.counts[severity] || 0) + 1;
         });
-        
-        return {
-            label: weather.name,
-            data: data,
-            borderColor: `hsl(${200 + i * 40}, 70%, 50%)`,
-            backgroundColor: `hsla(${200 + i * 40}, 70%, 50%, 0.2)`,
-            tension: 0.4,
-            fill: false
-        };
     });
-    
-    new Chart(ctx.getContext('2d'), {
-        type: 'line',
+    return Array.from(categories.values());
+}
+
+// Share of a category that was fatal or serious
+function getKsiShare(category) {
+    return category.total > 0 ? ((category.counts[1] || 0) + (category.counts[2] || 0)) / category.total : 0;
+}
+
+// Bar chart of categories stacked by severity, as counts or (asShare) percentages of each category
+function renderSeverityBreakdownChart(canvasId, categories, getLabel, title, axisLabel, asShare = false) {
+    renderChart(canvasId, {
+        type: 'bar',
         data: {
-            labels: displayYears.map(y => y),
-            datasets: datasets
+            labels: categories.map(getLabel),
+            datasets: Object.keys(severityNames).map(severity => ({
+                label: decode('Accident_Severity', severity),
+                data: categories.map(c => asShare ? (c.counts[severity] || 0) / c.total * 100 : c.counts[severity] || 0),
+                backgroundColor: severityColors[severity]
+            }))
         },
         options: {
             responsive: true,
@@ -1126,19 +4900,29 @@ function renderFiveYearWeather() {
             plugins: {
                 title: {
                     display: true,
-                    text: `5-Year Weather Trend Analysis (${displayYears.length > 0 ? displayYears[0] : ''} - ${displayYears.length > 0 ? displayYears[displayYears.length - 1] : ''})`
+                    text: title
                 },
-                legend: {
-                    display: true,
-                    position: 'right'
+                tooltip: {
+                    callbacks: {
+                        footer: items => `Fatal/Serious: ${(getKsiShare(categories[items[0].dataIndex]) * 100).toFixed(1)}%`
+                    }
                 }
             },
             scales: {
+                x: {
+                    stacked: true,
+                    ticks: {
+                        maxRotation: 45,
+                        minRotation: 45
+                    }
+                },
                 y: {
+                    stacked: true,
                     beginAtZero: true,
+                    max: asShare ? 100 : undefined,
                     title: {
                         display: true,
-                        text: 'Number of Accidents'
+                        text: axisLabel
                     }
                 }
             }
@@ -1146,3 +4930,116 @@ function renderFiveYearWeather() {
     });
 }
 
+// Shown in place of a road user section when its companion file isn't loaded
+function renderMissingCompanion(canvasId, containerId, dataset) {
+    renderChart(canvasId, { type: 'bar', data: { labels: [], datasets: [] } });
+    const container = document.getElementById(containerId);
+    if (container) {
+        container.innerHTML = `<p class="info-text">No ${importKinds[dataset].label.toLowerCase()} data loaded${datasetNotes[dataset] ? ` (${escapeHtml(datasetNotes[dataset])})` : ''}.
+            Add ${dataFiles[dataset]} or drop a STATS19 ${dataset} CSV on the page to see this section.</p>`;
+    }
+}
+
+// Casualty breakdowns: by casualty class, grouped road user type or age band
+const casualtyBreakdowns = {
+    roadUser: {
+        label: 'Road user type',
+        category: d => getRoadUserGroup(d.Casualty_Type),
+        name: key => key,
+        order: (a, b) => b.total - a.total
+    },
+    casualtyClass: {
+        label: 'Casualty class',
+        category: d => d.Casualty_Class || null,
+        name: key => decode('Casualty_Class', key),
+        order: (a, b) => a.key - b.key
+    },
+    ageBand: {
+        label: 'Age band',
+        category: d => d.Age_Band_of_Casualty && d.Age_Band_of_Casualty !== '-1' ? d.Age_Band_of_Casualty : null,
+        name: key => decode('Age_Band_of_Casualty', key),
+        order: (a, b) => a.key - b.key
+    }
+};
+
+// Casualties by Road User - casualties of the filtered accidents, by their own severity
+function renderCasualtyAnalysis() {
+    renderCasualtyBreakdownControl();
+    if (ukCasualtyData.length === 0) {
+        renderMissingCompanion('casualty-chart', 'casualty-analysis', 'casualties');
+        return;
+    }
+
+    const breakdown = casualtyBreakdowns[casualtyBreakdown];
+    const casualties = getJoinedRows('casualties');
+    const categories = countBySeverity(casualties, breakdown.category, d => d.Casualty_Severity).sort(breakdown.order);
+
+    renderSeverityBreakdownChart('casualty-chart', categories, c => breakdown.name(c.key),
+        `Casualties by ${breakdown.label}`, 'Number of Casualties');
+
+    const container = document.getElementById('casualty-analysis');
+    if (!container) return;
+
+    const ranked = categories.filter(c => c.total >= 30).sort((a, b) => getKsiShare(b) - getKsiShare(a));
+    let html = `<h3>Casualties by ${breakdown.label}</h3>
+        <p class="details-note">${casualties.length.toLocaleString()} casualties in ${filteredFolderData.length.toLocaleString()} accidents,
+        counted by their own severity. Categories with fewer than 30 casualties are not ranked.</p><ul>`;
+    ranked.forEach(category => {
+        html += `<li><strong>${escapeHtml(breakdown.name(category.key))}:</strong> ${category.total.toLocaleString()} casualties,
+            ${(getKsiShare(category) * 100).toFixed(1)}% killed or seriously injured</li>`;
+    });
+    html += '</ul>';
+    container.innerHTML = html;
+}
+
+function renderCasualtyBreakdownControl() {
+    const select = document.getElementById('casualty-breakdown');
+    if (!select || select.options.length > 0) return;
+
+    select.innerHTML = Object.entries(casualtyBreakdowns)
+        .map(([key, breakdown]) => `<option value="${key}">${breakdown.label}</option>`)
+        .join('');
+    select.value = casualtyBreakdown;
+
+    select.addEventListener('change', () => {
+        casualtyBreakdown = select.value;
+        renderCasualtyAnalysis();
+        renderCodeLabelReport();
+    });
+}
+
+// Accidents by Vehicle Type - each filtered accident counts once per vehicle type involved
+function renderVehicleTypeAnalysis() {
+    if (ukVehicleData.length === 0) {
+        renderMissingCompanion('vehicle-type-chart', 'vehicle-type-analysis', 'vehicles');
+        return;
+    }
+
+    const index = accidentJoins.vehicles;
+    const types = countBySeverity(
+        filteredFolderData,
+        d => Array.from(new Set((index.get(d.Accident_Index) || [])
+            .map(v => v.Vehicle_Type)
+            .filter(type => type && type !== '-1'))),
+        d => d.Accident_Severity
+    ).sort((a, b) => b.total - a.total);
+    const shown = types.slice(0, 12);
+
+    renderSeverityBreakdownChart('vehicle-type-chart', shown, c => decode('Vehicle_Type', c.key),
+        `Accidents by Vehicle Type Involved (Top ${shown.length})`, 'Number of Accidents');
+
+    const container = document.getElementById('vehicle-type-analysis');
+    if (!container) return;
+
+    const withoutVehicles = filteredFolderData.filter(d => !index.has(d.Accident_Index)).length;
+    let html = `<h3>Vehicle Types</h3>
+        <p class="details-note">An accident counts once for each type of vehicle involved, by the accident's severity.
+        ${withoutVehicles > 0 ? `${withoutVehicles.toLocaleString()} accidents have no vehicle records.` : ''}</p><ul>`;
+    shown.filter(c => c.total >= 30).sort((a, b) => getKsiShare(b) - getKsiShare(a)).slice(0, 5).forEach(category => {
+        html += `<li><strong>${escapeHtml(decode('Vehicle_Type', category.key))}:</strong> ${category.total.toLocaleString()} accidents,
+            ${(getKsiShare(category) * 100).toFixed(1)}% fatal or serious</li>`;
+    });
+    html += '</ul>';
+    container.innerHTML = html;
+}
+
@@ -0,0 +1,178 @@
+// Rule-based insights: notable facts found in the filtered data, tested for significance and
+// ranked for the Insights panel. Each rule compares groups as a ratio of rates or shares, so
+// effects from different rules can be ranked together by the size of their log ratio.
+
+const insightAlpha = 0.05; // Benjamini-Hochberg false discovery rate within each rule
+const maxInsights = 8;
+
+// dataset is the one a rule needs loaded; target is the id of the element the insight links to
+const insightRules = {
+    monthlyChange: { label: 'Month-over-month change', dataset: 'folder', target: 'time-series-chart', find: findMonthlyChangeInsights },
+    ksiHours: { label: 'High KSI rate hours', dataset: 'cleaned', target: 'hour-chart', find: findKsiHourInsights },
+    weather: { label: 'Over-represented weather', dataset: 'cleaned', target: 'weather-chart', find: findWeatherInsights },
+    risingAuthorities: { label: 'Rising local authorities', dataset: 'folder', target: 'authority-map', find: findRisingAuthorityInsights }
+};
+
+function formatRatioChange(ratio) {
+    return `${ratio >= 1 ? '+' : ''}${((ratio - 1) * 100).toFixed(0)}%`;
+}
+
+function formatShare(share) {
+    return `${(share * 100).toFixed(1)}%`;
+}
+
+// Adjusted p-values for the tests, then the candidates significant in the expected direction
+function keepSignificant(candidates, isExpectedDirection = () => true) {
+    const adjusted = benjaminiHochberg(candidates.map(candidate => candidate.test.pValue));
+    return candidates
+        .map((candidate, i) => ({ ...candidate, pValue: adjusted[i] }))
+        .filter(candidate => candidate.pValue < insightAlpha && isExpectedDirection(candidate));
+}
+
+// The largest significant change in accidents per day between consecutive calendar months
+function findMonthlyChangeInsights(rows = filteredFolderData) {
+    const dated = rows.filter(d => d.Date instanceof Date && !isNaN(d.Date));
+    const counts = d3.rollup(dated, v => v.length, d => d3.timeMonth.floor(d.Date).getTime());
+    const [first, last] = d3.extent(counts.keys());
+    if (first === undefined) return [];
+
+    const months = d3.timeMonth.range(new Date(first), d3.timeMonth.offset(new Date(last), 1)).map(start => ({
+        start,
+        count: counts.get(start.getTime()) || 0,
+        days: d3.timeDay.count(start, d3.timeMonth.offset(start, 1))
+    }));
+    const changes = months.slice(1)
+        .map((month, i) => ({ month, previous: months[i], test: poissonRateTest(month.count, month.days, months[i].count, months[i].days) }))
+        .filter(change => change.month.count + change.previous.count >= minGroupAccidents && !isNaN(change.test.pValue));
+    const significant = keepSignificant(changes);
+    if (significant.length === 0) return [];
+
+    // Half an accident added to each month keeps the ratio finite after an empty month
+    const rateRatio = change => ((change.month.count + 0.5) / change.month.days) / ((change.previous.count + 0.5) / change.previous.days);
+    const largest = d3.greatest(significant, change => Math.abs(Math.log(rateRatio(change))));
+    const formatMonth = d3.timeFormat('%B %Y');
+    const ratio = rateRatio(largest);
+    return [{
+        title: `${formatMonth(largest.month.start)}: ${formatRatioChange(ratio)} accidents per day`,
+        text: `${largest.month.count} accidents after ${largest.previous.count} in ${formatMonth(largest.previous.start)}, ` +
+            `the largest significant change between consecutive months (${formatPValue(largest.pValue)}, adjusted across ${changes.length} month pairs).`,
+        ratio,
+        pValue: largest.pValue
+    }];
+}
+
+// Hours whose share of fatal or serious accidents is significantly above the other hours'
+function findKsiHourInsights(rows = getSectionData('hour')) {
+    const valid = rows.filter(d => Number.isInteger(d.Hour) && getSeverityCode(d) > 0);
+    const totalKsi = countRateOutcomes(valid, 'ksiRate');
+    const average = totalKsi / valid.length;
+
+    const hours = d3.groups(valid, d => d.Hour)
+        .filter(([, group]) => group.length >= minGroupAccidents && group.length < valid.length)
+        .map(([hour, group]) => {
+            const ksi = countRateOutcomes(group, 'ksiRate');
+            return { hour, ksi, n: group.length, test: twoProportionTest(totalKsi - ksi, valid.length - group.length, ksi, group.length) };
+        });
+
+    return keepSignificant(hours, hour => hour.test.statistic > 0).map(hour => {
+        const rate = hour.ksi / hour.n;
+        return {
+            title: `${hour.hour}:00–${hour.hour}:59: KSI rate ${formatShare(rate)}`,
+            text: `${hour.ksi} of ${hour.n} accidents killed or seriously injured someone, against ${formatShare(average)} across all hours ` +
+                `(${(rate / average).toFixed(2)}×, ${formatPValue(hour.pValue)} adjusted across ${hours.length} hours).`,
+            ratio: rate / average,
+            pValue: hour.pValue
+        };
+    });
+}
+
+// Weather conditions making up a significantly larger share of the filtered accidents than of the
+// rest of the data. With nothing filtered out, fatal and serious accidents are compared with slight ones.
+function findWeatherInsights(rows = getSectionData('weather')) {
+    if (filters.weather !== '') return [];
+
+    const isKnown = d => !['', '9', '-1', 'Unknown'].includes(getWeatherCode(d));
+    const shown = new Set(rows);
+    let view = rows.filter(isKnown);
+    let baseline = ukData.filter(d => !shown.has(d) && isKnown(d));
+    let baselineName = 'the rest of the data';
+    if (baseline.length === 0) {
+        const isKsi = d => [1, 2].includes(getSeverityCode(d));
+        baseline = view.filter(d => getSeverityCode(d) === 3);
+        view = view.filter(isKsi);
+        baselineName = 'slight accidents';
+    }
+    if (view.length === 0 || baseline.length === 0) return [];
+
+    const viewCounts = d3.rollup(view, v => v.length, getWeatherCode);
+    const baselineCounts = d3.rollup(baseline, v => v.length, getWeatherCode);
+    const conditions = Array.from(viewCounts, ([code, count]) => {
+        const baselineCount = baselineCounts.get(code) || 0;
+        return { code, count, baselineCount, test: twoProportionTest(baselineCount, baseline.length, count, view.length) };
+    }).filter(condition => condition.count + condition.baselineCount >= minGroupAccidents);
+
+    const subject = baselineName === 'slight accidents' ? 'fatal and serious accidents' : 'the filtered accidents';
+    return keepSignificant(conditions, condition => condition.test.statistic > 0).map(condition => {
+        const share = condition.count / view.length;
+        const baselineShare = condition.baselineCount / baseline.length;
+        const ratio = (condition.count + 0.5) / view.length / ((condition.baselineCount + 0.5) / baseline.length);
+        return {
+            title: `${decode('Weather', condition.code)}: ${formatShare(share)} of ${subject}`,
+            text: `against ${formatShare(baselineShare)} of ${baselineName} (${ratio.toFixed(2)}×, ${formatPValue(condition.pValue)} ` +
+                `adjusted across ${conditions.length} conditions).`,
+            ratio,
+            pValue: condition.pValue
+        };
+    });
+}
+
+// Local authorities whose share of accidents grew significantly in the last two years of the view,
+// so a rise is measured against the trend of all the authorities together
+function findRisingAuthorityInsights(rows = filteredFolderData) {
+    const years = Array.from(new Set(rows.map(d => d.Year).filter(year => year !== null))).sort((a, b) => a - b);
+    if (years.length < 3) return [];
+
+    const firstRecent = years[years.length - 2];
+    const isRecent = d => d.Year >= firstRecent;
+    const located = rows.filter(d => d.Local_Authority_Highway && d.Year !== null);
+    const allRecent = located.filter(isRecent).length;
+    const allEarlier = located.length - allRecent;
+
+    const authorities = d3.groups(located, d => d.Local_Authority_Highway)
+        .filter(([, group]) => group.length >= minGroupAccidents && group.length < located.length)
+        .map(([code, group]) => {
+            const recent = group.filter(isRecent).length;
+            const earlier = group.length - recent;
+            return { code, recent, earlier, test: poissonRateTest(recent, allRecent, earlier, allEarlier) };
+        });
+
+    const recentYears = `${firstRecent}–${years[years.length - 1]}`;
+    const earlierYears = `${years[0]}–${years[years.length - 3]}`;
+    return keepSignificant(authorities, authority => authority.test.statistic > 0).map(authority => {
+        const recentShare = authority.recent / allRecent;
+        const earlierShare = authority.earlier / allEarlier;
+        const ratio = (authority.recent + 0.5) / allRecent / ((authority.earlier + 0.5) / allEarlier);
+        return {
+            title: `${decode('Local_Authority_Highway', authority.code)}: rising faster than other authorities`,
+            text: `${authority.recent} accidents in ${recentYears} after ${authority.earlier} in ${earlierYears}; its share of all accidents ` +
+                `went from ${formatShare(earlierShare)} to ${formatShare(recentShare)} (${ratio.toFixed(2)}×, ${formatPValue(authority.pValue)} ` +
+                `adjusted across ${authorities.length} authorities).`,
+            ratio,
+            pValue: authority.pValue
+        };
+    });
+}
+
+// Insights from every rule whose dataset has loaded, largest effect first (smaller p-value on ties)
+function findInsights() {
+    return Object.entries(insightRules)
+        .filter(([, rule]) => datasetReady[rule.dataset])
+        .flatMap(([key, rule]) => rule.find().map(insight => ({
+            ...insight,
+            rule: key,
+            target: rule.target,
+            effect: Math.abs(Math.log(insight.ratio))
+        })))
+        .sort((a, b) => b.effect - a.effect || a.pValue - b.pValue)
+        .slice(0, maxInsights);
+}
@@ -0,0 +1,256 @@
+// Briefing report: chosen sections of the current view assembled into one self-contained HTML
+// file with print styles. Charts are inlined as images, maps as SVG and the tables behind them
+// as JSON, so the file opens and prints without network access.
+
+// Report sections in order. chart is a Chart.js canvas id, svg a map container id and html the
+// ids of elements whose content is copied; build() returns HTML for sections drawn here.
+const reportSections = [
+    { key: 'stats', label: 'Descriptive statistics', html: ['descriptive-stats'], exportTable: 'descriptive-stats' },
+    { key: 'insights', label: 'Insights', html: ['insights-list'], exportTable: 'insights' },
+    { key: 'hotspots', label: 'Top 10 hot spots', build: buildHotSpotReport, exportTable: 'hotspots' },
+    { key: 'hotspot-map', label: 'Hot-spot map', svg: 'hotspot-map', optional: true },
+    { key: 'trend', label: 'Accident trends', chart: 'trend-chart', html: ['trend-analysis'], exportTable: 'monthly-trend' },
+    { key: 'monthly', label: 'Accidents by month', chart: 'monthly-chart', optional: true },
+    { key: 'hourly', label: 'Accidents by hour', chart: 'hour-chart' },
+    { key: 'weather', label: 'Weather conditions', chart: 'weather-chart', optional: true },
+    { key: 'time-series', label: 'Decomposition and forecast', chart: 'time-series-chart', html: ['time-series-analysis'], optional: true },
+    { key: 'correlation', label: 'Correlation insights', html: ['correlation-heatmap', 'correlation-insights'], exportTable: 'correlation' },
+    { key: 'risk-model', label: 'Severe outcome risk model', html: ['risk-model-summary'], chart: 'risk-calibration-chart', exportTable: 'risk-model', optional: true },
+    { key: 'authorities', label: 'Local authorities', svg: 'authority-map', exportTable: 'local-authorities', optional: true },
+    { key: 'conditions', label: 'Road and environment conditions', chart: 'condition-chart', html: ['condition-analysis'], optional: true },
+    { key: 'casualties', label: 'Casualties by road user', chart: 'casualty-chart', html: ['casualty-analysis'], optional: true }
+];
+
+const reportSettings = {
+    title: 'Road Safety Briefing',
+    author: '',
+    organisation: '',
+    sections: reportSections.filter(section => !section.optional).map(section => section.key)
+};
+
+// Print and screen styles of the report; nothing is loaded from elsewhere
+const reportStyles = `
+    * { box-sizing: border-box; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; color: #333; margin: 0 auto; max-width: 210mm; padding: 15mm; line-height: 1.45; }
+    h1 { color: #667eea; font-size: 2em; margin: 0 0 10px; }
+    h2 { color: #764ba2; border-bottom: 2px solid #667eea; padding-bottom: 4px; font-size: 1.3em; }
+    .cover { min-height: 240mm; display: flex; flex-direction: column; justify-content: center; }
+    .cover .period { font-size: 1.3em; color: #764ba2; }
+    .cover .meta, .source-note { color: #666; font-size: 0.9em; }
+    .cover ol { color: #666; }
+    .report-section { margin-bottom: 25px; break-inside: avoid; page-break-inside: avoid; }
+    .report-section img, .report-section svg { width: 100%; height: auto; }
+    .stats-grid { display: grid; grid-template-columns: repeat(2, 1fr); gap: 10px; }
+    .stat-card { padding: 10px 14px; border-left: 4px solid #667eea; background: #f8f9ff; }
+    .stat-card h3 { color: #667eea; font-size: 0.8em; margin: 0 0 4px; text-transform: uppercase; letter-spacing: 1px; }
+    .stat-card .value { font-size: 1.5em; font-weight: bold; }
+    .stat-card .label, .details-note { font-size: 0.85em; color: #666; }
+    .insight { background: #f0f4ff; border-left: 3px solid #667eea; padding: 8px 12px; margin-top: 10px; }
+    .info-text { font-style: italic; color: #666; }
+    table { border-collapse: collapse; width: 100%; font-size: 0.85em; }
+    th, td { border: 1px solid #dde; padding: 4px 6px; text-align: right; }
+    th:first-child, td:first-child { text-align: left; }
+    .heatmap-table { overflow-x: auto; margin-bottom: 10px; }
+    .heatmap-table table { font-size: 0.75em; }
+    .heatmap-table th, .heatmap-table td { text-align: center; border-color: #fff; }
+    .heatmap-table thead th { background: #f0f4ff; color: #667eea; }
+    .report-toolbar { position: fixed; top: 10px; right: 10px; }
+    .report-toolbar button { padding: 6px 14px; border: 1px solid #764ba2; background: white; color: #764ba2; border-radius: 15px; cursor: pointer; }
+    @page { size: A4; margin: 15mm; @bottom-right { content: counter(page) " / " counter(pages); font-size: 9pt; color: #666; } }
+    @media print {
+        body { padding: 0; max-width: none; }
+        .cover { page-break-after: always; break-after: page; min-height: 250mm; }
+        .report-toolbar { display: none; }
+    }
+`;
+
+// The filtered accidents' first and last dates as YYYY-MM-DD
+function getReportDataRange() {
+    const rows = datasetReady.cleaned ? filteredData : filteredFolderData;
+    const [first, last] = d3.extent(rows, d => d.Date instanceof Date && !isNaN(d.Date) ? d.Date : undefined);
+    return first ? [formatDateKey(first), formatDateKey(last)] : ['', ''];
+}
+
+function buildHotSpotReport() {
+    const spots = currentHotSpots.slice(0, 10);
+    if (spots.length === 0) return null;
+
+    return `<p class="details-note">${escapeHtml(describeHotSpotSettings())}</p>
+        <table>
+            <thead><tr><th>Location</th><th>Accidents</th><th>Avg severity</th><th>Coordinates</th><th>Significance</th></tr></thead>
+            <tbody>${spots.map(spot => `<tr>
+                <td>${escapeHtml(spot.localAuthorityName)}</td>
+                <td>${spot.count}</td>
+                <td>${spot.avgSeverity === null ? 'N/A' : spot.avgSeverity.toFixed(2)}</td>
+                <td>${spot.lat.toFixed(4)}, ${spot.lon.toFixed(4)}</td>
+                <td>${escapeHtml(describeHotSpotSignificance(spot))}</td>
+            </tr>`).join('')}</tbody>
+        </table>`;
+}
+
+// A section's content as HTML, or null when it has nothing rendered yet
+function buildReportSection(section) {
+    const parts = [];
+    if (section.chart && charts[section.chart]) {
+        parts.push(`<img src="${charts[section.chart].toBase64Image()}" alt="${escapeHtml(section.label)} chart">`);
+    }
+    if (section.svg) {
+        const container = document.getElementById(section.svg);
+        const svg = container && getSvgExport(container, []);
+        if (svg) parts.push(svg.markup);
+    }
+    if (section.build) {
+        const html = section.build();
+        if (html) parts.push(html);
+    }
+    (section.html || []).forEach(id => {
+        const element = document.getElementById(id);
+        if (element && !element.hidden && element.innerHTML.trim() !== '') {
+            const copy = element.cloneNode(true);
+            copy.querySelectorAll('.insight-link').forEach(link => link.remove()); // They point into the dashboard
+            parts.push(copy.className ? `<div class="${copy.className}">${copy.innerHTML}</div>` : copy.innerHTML);
+        }
+    });
+    return parts.length > 0 ? parts.join('\n') : null;
+}
+
+// The whole report as an HTML document
+function buildReport(settings = reportSettings) {
+    const context = getExportContext(settings.title);
+    const [first, last] = getReportDataRange();
+    const formatDay = key => key ? d3.timeFormat('%d %B %Y')(parseDateKey(key)) : '…';
+    const sections = reportSections
+        .filter(section => settings.sections.includes(section.key))
+        .map(section => ({ section, html: buildReportSection(section) }))
+        .filter(entry => entry.html !== null);
+
+    // Tables behind the included sections, for readers who want the numbers
+    const data = {
+        ...context,
+        tables: Object.fromEntries(sections
+            .filter(entry => entry.section.exportTable && exportTables[entry.section.exportTable])
+            .map(entry => [entry.section.key, exportTables[entry.section.exportTable].map(toExportRow)]))
+    };
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(settings.title)}</title>
+<style>${reportStyles}</style>
+</head>
+<body>
+<div class="report-toolbar"><button type="button" onclick="window.print()">Print</button></div>
+<section class="cover">
+    <h1>${escapeHtml(settings.title)}</h1>
+    <p class="period">${formatDay(first)} – ${formatDay(last)}</p>
+    ${settings.author || settings.organisation ? `<p>${[settings.author, settings.organisation].filter(Boolean).map(escapeHtml).join('<br>')}</p>` : ''}
+    <p class="meta">Generated ${d3.timeFormat('%d %B %Y, %H:%M')(new Date())} from the UK Car Accidents Analysis Dashboard</p>
+    <p class="meta">Filters: ${escapeHtml(context.filters.join('; ') || 'none')}<br>
+        Selections: ${escapeHtml(context.selections.join('; ') || 'none')}<br>
+        Data: ${escapeHtml(context.sources.join('; '))}</p>
+    <ol>${sections.map(entry => `<li>${escapeHtml(entry.section.label)}</li>`).join('')}</ol>
+</section>
+${sections.map(entry => `<section class="report-section">
+    <h2>${escapeHtml(entry.section.label)}</h2>
+    ${entry.html}
+</section>`).join('\n')}
+<p class="source-note">View used for this report: ${escapeHtml(context.view)}</p>
+<script type="application/json" id="report-data">${JSON.stringify(data).replace(/</g, '\\u003c')}</script>
+</body>
+</html>`;
+}
+
+function getReportFileName(title) {
+    const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `${slug || 'report'}.html`;
+}
+
+// Open the report for printing; saved instead if the browser blocks the new window
+function openReport(html) {
+    const view = window.open('', '_blank');
+    if (!view) {
+        saveFile(new Blob([html], { type: 'text/html' }), getReportFileName(reportSettings.title));
+        return;
+    }
+    view.document.open();
+    view.document.write(html);
+    view.document.close();
+}
+
+// Title, period, author and section choices, then open or download the report
+function showReportDialog() {
+    const backdrop = document.createElement('div');
+    backdrop.className = 'modal-backdrop';
+    document.body.appendChild(backdrop);
+
+    const [first, last] = getReportDataRange();
+    const settings = reportSettings;
+    backdrop.innerHTML = `
+        <div class="modal report-dialog" role="dialog" aria-modal="true">
+            <h3>Generate report</h3>
+            <p class="details-note">The report shows the dashboard as currently filtered, and its period is the filtered data's
+                first and last dates; change the filters (such as the year) to report on another period.</p>
+            <div class="filter-grid">
+                <label class="filter-control"><span>Title</span><input type="text" data-setting="title" value="${escapeHtml(settings.title)}"></label>
+                <label class="filter-control"><span>Author</span><input type="text" data-setting="author" value="${escapeHtml(settings.author)}"></label>
+                <label class="filter-control"><span>Organisation</span><input type="text" data-setting="organisation" value="${escapeHtml(settings.organisation)}"></label>
+                <label class="filter-control"><span>From</span><input type="date" data-period="from" value="${first}"></label>
+                <label class="filter-control"><span>To</span><input type="date" data-period="to" value="${last}"></label>
+            </div>
+            <div class="section-error" role="alert" hidden></div>
+            <div class="variable-picker">
+                ${reportSections.map(section => `<label><input type="checkbox" value="${section.key}"${settings.sections.includes(section.key) ? ' checked' : ''}>
+                    ${section.label}</label>`).join('')}
+            </div>
+            <div class="modal-actions">
+                <button type="button" class="report-cancel">Cancel</button>
+                <button type="button" class="report-download">Download HTML</button>
+                <button type="button" class="mapping-apply report-open">Open for printing</button>
+            </div>
+        </div>
+    `;
+
+    // The period must be the one the figures cover; false (with the reason shown) when it isn't
+    const checkPeriod = () => {
+        const from = backdrop.querySelector('[data-period="from"]').value || first;
+        const to = backdrop.querySelector('[data-period="to"]').value || last;
+        let problem = null;
+        if (from > to) {
+            problem = 'The From date must be on or before the To date.';
+        } else if (from !== first || to !== last) {
+            problem = `The filtered data runs from ${first} to ${last}, so the report can't cover ${from} to ${to}. ` +
+                'Change the filters to report on another period.';
+        }
+
+        const error = backdrop.querySelector('.section-error');
+        error.hidden = problem === null;
+        error.textContent = problem || '';
+        return problem === null;
+    };
+
+    const apply = () => {
+        if (!checkPeriod()) return false;
+        backdrop.querySelectorAll('[data-setting]').forEach(input => {
+            settings[input.dataset.setting] = input.value.trim();
+        });
+        settings.title = settings.title || 'Road Safety Briefing';
+        settings.sections = Array.from(backdrop.querySelectorAll('.variable-picker input:checked')).map(input => input.value);
+        backdrop.remove();
+        return true;
+    };
+    backdrop.querySelector('.report-cancel').addEventListener('click', () => backdrop.remove());
+    backdrop.querySelector('.report-download').addEventListener('click', () => {
+        if (!apply()) return;
+        saveFile(new Blob([buildReport()], { type: 'text/html' }), getReportFileName(settings.title));
+    });
+    backdrop.querySelector('.report-open').addEventListener('click', () => {
+        if (!apply()) return;
+        openReport(buildReport());
+    });
+}
+
+function setupReportControls() {
+    const button = document.getElementById('generate-report');
+    if (button) button.addEventListener('click', showReportDialog);
+}
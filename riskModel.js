@@ -0,0 +1,190 @@
+// Models of the probability of a severe outcome for the risk model section
+// Logistic regression fitted by iteratively reweighted least squares, a small classification
+// tree, and the held-out measures used to judge them: ROC AUC and calibration by decile
+
+function sigmoid(x) {
+    return 1 / (1 + Math.exp(-x));
+}
+
+function dotProduct(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+    return sum;
+}
+
+// Solve A x = b by Gaussian elimination with partial pivoting; null when A is singular
+function solveLinearSystem(matrix, vector) {
+    const n = vector.length;
+    const a = matrix.map((row, i) => [...row, vector[i]]);
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+        }
+        if (Math.abs(a[pivot][col]) < 1e-12) return null;
+        [a[col], a[pivot]] = [a[pivot], a[col]];
+        for (let row = col + 1; row < n; row++) {
+            const factor = a[row][col] / a[col][col];
+            for (let k = col; k <= n; k++) a[row][k] -= factor * a[col][k];
+        }
+    }
+
+    const x = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = a[row][n];
+        for (let k = row + 1; k < n; k++) sum -= a[row][k] * x[k];
+        x[row] = sum / a[row][row];
+    }
+    return x;
+}
+
+function invertMatrix(matrix) {
+    const columns = matrix.map((row, i) => solveLinearSystem(matrix, row.map((v, j) => i === j ? 1 : 0)));
+    if (columns.some(column => column === null)) return null;
+    return matrix.map((row, i) => columns.map(column => column[i]));
+}
+
+// Logistic regression of 0/1 outcomes y on the rows of X (the first column all ones).
+// A weak ridge penalty on the slopes keeps them finite when a category has no or only severe
+// outcomes; the covariance is the inverse of the penalised information at the fitted values.
+// Returns { coefficients, covariance, iterations, converged }, or null when X is degenerate.
+function fitLogisticRegression(X, y, { ridge = 1, maxIterations = 25, tolerance = 1e-8 } = {}) {
+    const k = X[0].length;
+    const mean = d3.mean(y);
+    const coefficients = new Array(k).fill(0);
+    coefficients[0] = Math.log((mean + 1e-6) / (1 - mean + 1e-6));
+
+    const information = () => {
+        const info = Array.from({ length: k }, () => new Array(k).fill(0));
+        const gradient = new Array(k).fill(0);
+        X.forEach((x, i) => {
+            const p = sigmoid(dotProduct(x, coefficients));
+            const w = p * (1 - p);
+            for (let a = 0; a < k; a++) {
+                gradient[a] += x[a] * (y[i] - p);
+                const wa = w * x[a];
+                for (let b = 0; b <= a; b++) info[a][b] += wa * x[b];
+            }
+        });
+        for (let a = 0; a < k; a++) {
+            for (let b = 0; b < a; b++) info[b][a] = info[a][b];
+            if (a > 0) {
+                info[a][a] += ridge;
+                gradient[a] -= ridge * coefficients[a];
+            }
+        }
+        return { info, gradient };
+    };
+
+    let iterations = 0;
+    let converged = false;
+    while (iterations < maxIterations && !converged) {
+        const { info, gradient } = information();
+        const step = solveLinearSystem(info, gradient);
+        if (step === null) return null;
+        step.forEach((delta, i) => {
+            coefficients[i] += delta;
+        });
+        converged = d3.max(step, Math.abs) < tolerance;
+        iterations++;
+    }
+
+    const covariance = invertMatrix(information().info);
+    return covariance && { coefficients, covariance, iterations, converged };
+}
+
+// Area under the ROC curve (the Mann-Whitney statistic), with the Hanley-McNeil 95% interval
+function rocAuc(scores, outcomes) {
+    const positives = outcomes.filter(Boolean).length;
+    const negatives = outcomes.length - positives;
+    if (positives === 0 || negatives === 0) return { auc: NaN, low: NaN, high: NaN };
+
+    const ranks = rankValues(scores);
+    const rankSum = d3.sum(ranks.filter((rank, i) => outcomes[i]));
+    const auc = (rankSum - positives * (positives + 1) / 2) / (positives * negatives);
+    const q1 = auc / (2 - auc);
+    const q2 = 2 * auc * auc / (1 + auc);
+    const se = Math.sqrt((auc * (1 - auc) + (positives - 1) * (q1 - auc * auc) + (negatives - 1) * (q2 - auc * auc)) /
+        (positives * negatives));
+    return { auc, low: Math.max(0, auc - 1.959964 * se), high: Math.min(1, auc + 1.959964 * se) };
+}
+
+// Predictions sorted into equal-sized bins: mean predicted probability against the observed rate
+function calibrationBins(predictions, outcomes, bins = 10) {
+    const order = predictions.map((p, i) => i).sort((a, b) => predictions[a] - predictions[b]);
+    return d3.range(bins).map(bin => {
+        const members = order.slice(Math.floor(bin * order.length / bins), Math.floor((bin + 1) * order.length / bins));
+        return {
+            n: members.length,
+            predicted: d3.mean(members, i => predictions[i]),
+            positives: members.filter(i => outcomes[i]).length
+        };
+    }).filter(bin => bin.n > 0);
+}
+
+function giniImpurity(n, positives) {
+    const p = positives / n;
+    return 2 * p * (1 - p);
+}
+
+// Whether a value goes down the left branch of a split: numeric values up to the threshold,
+// categories in the left set (so categories not seen in training go right)
+function goesLeft(split, value) {
+    return split.threshold !== undefined ? value <= split.threshold : split.categories.includes(value);
+}
+
+// Classification tree on the Gini impurity. columns are { values, type } with one value per row
+// ('numeric' splits on a threshold; categories are ordered by their rate, which finds the best
+// two-way grouping for a 0/1 outcome). Nodes are { n, positives, rate, split, left, right }.
+function fitDecisionTree(columns, y, { maxDepth = 3, minLeaf = 50 } = {}) {
+    const grow = (indices, depth) => {
+        const positives = indices.filter(i => y[i]).length;
+        const node = { n: indices.length, positives, rate: positives / indices.length };
+        if (depth >= maxDepth || indices.length < 2 * minLeaf || positives === 0 || positives === indices.length) return node;
+
+        const impurity = giniImpurity(indices.length, positives);
+        let best = null;
+        columns.forEach((column, c) => {
+            const groups = Array.from(d3.rollup(indices, v => ({ n: v.length, positives: v.filter(i => y[i]).length }), i => column.values[i]));
+            groups.sort(column.type === 'numeric' ? (a, b) => a[0] - b[0] : (a, b) => a[1].positives / a[1].n - b[1].positives / b[1].n);
+
+            let leftN = 0;
+            let leftPositives = 0;
+            for (let g = 0; g < groups.length - 1; g++) {
+                leftN += groups[g][1].n;
+                leftPositives += groups[g][1].positives;
+                const rightN = indices.length - leftN;
+                if (leftN < minLeaf || rightN < minLeaf) continue;
+
+                const gain = impurity - (leftN * giniImpurity(leftN, leftPositives) +
+                    rightN * giniImpurity(rightN, positives - leftPositives)) / indices.length;
+                if (best === null || gain > best.gain) {
+                    best = {
+                        gain,
+                        split: column.type === 'numeric' ?
+                            { column: c, threshold: groups[g][0] } :
+                            { column: c, categories: groups.slice(0, g + 1).map(group => group[0]) }
+                    };
+                }
+            }
+        });
+        if (best === null || best.gain <= 1e-9) return node;
+
+        node.split = best.split;
+        const column = columns[best.split.column];
+        node.left = grow(indices.filter(i => goesLeft(best.split, column.values[i])), depth + 1);
+        node.right = grow(indices.filter(i => !goesLeft(best.split, column.values[i])), depth + 1);
+        return node;
+    };
+
+    return grow(d3.range(y.length), 0);
+}
+
+// Leaf of the tree reached by values (one per column)
+function findTreeLeaf(tree, values) {
+    let node = tree;
+    while (node.split) {
+        node = goesLeft(node.split, values[node.split.column]) ? node.left : node.right;
+    }
+    return node;
+}
@@ -0,0 +1,91 @@
+// Section registry: each analysis declares its section once, and the dashboard builds the page
+// from the declarations, renders the sections whose data has loaded and contains their errors,
+// so a failing section shows an inline message while the rest of the dashboard keeps working.
+
+const dashboardSections = []; // Registered sections in page order
+
+// Declare a section:
+//   id        key of the section; its element gets the id `${id}-section`
+//   title     heading of the section
+//   order     position on the page (lower first), after the static data source and filter panels
+//   datasets  keys of datasetReady it needs: 'cleaned' (ukData), 'folder' (ukFolderData),
+//             'vehicles' or 'casualties'; a section with none renders on every pass
+//   cached    whether it renders from the cached rollups before its datasets load (unfiltered view only)
+//   comparable  whether it draws one series per period in comparison mode (otherwise it gets a notice)
+//   body      markup under the heading
+//   setup()   optional, runs once after the page is built (controls that don't depend on the data)
+//   compute() optional, its result is passed to render(); sections without one compute in render()
+function registerSection(section) {
+    dashboardSections.push({ className: 'chart-section', datasets: [], cached: false, comparable: false, body: '', ...section });
+    dashboardSections.sort((a, b) => a.order - b.order);
+}
+
+function getSectionElement(section) {
+    return document.getElementById(`${section.id}-section`);
+}
+
+// Show an error inside a section, or clear it (error = null)
+function showSectionError(section, error) {
+    const element = getSectionElement(section);
+    const message = element && element.querySelector('.section-error');
+    if (!message) return;
+
+    message.hidden = error === null;
+    message.textContent = error === null ? '' : `This section could not be drawn: ${error.message || error}`;
+}
+
+// Show a note about the section under its heading, or hide it (text = null)
+function showSectionNotice(section, text) {
+    const element = getSectionElement(section);
+    const notice = element && element.querySelector('.section-notice');
+    if (!notice) return;
+
+    notice.hidden = text === null;
+    notice.textContent = text === null ? '' : text;
+}
+
+// Run part of a section, catching what it throws
+function runSectionStep(section, step) {
+    try {
+        step();
+        return true;
+    } catch (error) {
+        console.error(`Error in section ${section.id}:`, error);
+        showSectionError(section, error);
+        return false;
+    }
+}
+
+// Add the registered sections not yet on the page in their order, then run their setup
+function buildSections(container = document.querySelector('.dashboard')) {
+    const added = dashboardSections.filter((section, i) => {
+        if (getSectionElement(section)) return false;
+
+        const element = document.createElement('section');
+        element.id = `${section.id}-section`;
+        element.className = section.className;
+        element.innerHTML = `<h2>${section.title}</h2>
+            <div class="section-error" role="alert" hidden></div>
+            <p class="info-text section-notice" hidden></p>
+            ${section.body}`;
+        const next = dashboardSections.slice(i + 1).map(getSectionElement).find(Boolean);
+        container.insertBefore(element, next || null);
+        return true;
+    });
+
+    added.filter(section => section.setup).forEach(section => runSectionStep(section, section.setup));
+}
+
+function isSectionReady(section, fromCache) {
+    return section.datasets.every(dataset => datasetReady[dataset]) || (section.cached && fromCache);
+}
+
+function renderSection(section) {
+    const rendered = runSectionStep(section, () => section.render(section.compute ? section.compute() : undefined));
+    if (rendered) showSectionError(section, null);
+}
+
+// Render, in page order, every section whose data is ready
+function renderSections(fromCache = false) {
+    dashboardSections.filter(section => isSectionReady(section, fromCache)).forEach(renderSection);
+}
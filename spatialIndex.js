@@ -0,0 +1,99 @@
+// Spatial index for coordinate matching between the datasets
+// A uniform grid over projected metres with neighbour-cell lookup, built once per dataset
+
+// Transverse Mercator on the British National Grid's central meridian, scaled to metres
+const metricProjection = d3.geoTransverseMercator()
+    .rotate([2, -49])
+    .scale(6371008.8)
+    .translate([0, 0]);
+
+// Project a record's longitude/latitude to planar metres ([x, y], y growing southwards)
+function projectToMetres(d) {
+    return metricProjection([d.Longitude, d.Latitude]);
+}
+
+// Great-circle distance in metres between two lat/lon points
+function haversineDistance(lat1, lon1, lat2, lon2) {
+    const toRad = Math.PI / 180;
+    const dLat = (lat2 - lat1) * toRad;
+    const dLon = (lon2 - lon1) * toRad;
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.sin(dLon / 2) ** 2;
+    return 2 * 6371008.8 * Math.asin(Math.sqrt(a));
+}
+
+// Numeric cell key; offsets keep negative cell coordinates positive
+function spatialCellKey(cx, cy) {
+    return (cx + 1048576) * 2097152 + (cy + 1048576);
+}
+
+// Index planar points ([x, y] in metres) into square cells of cellSize metres.
+// Items are whatever the caller wants back from queries; getPoint returns null to skip one.
+function createSpatialIndex(items, getPoint, cellSize) {
+    const cells = new Map();
+    const xs = new Float64Array(items.length);
+    const ys = new Float64Array(items.length);
+    let size = 0;
+
+    items.forEach((item, i) => {
+        const point = getPoint(item, i);
+        if (!point || !isFinite(point[0]) || !isFinite(point[1])) return;
+
+        xs[i] = point[0];
+        ys[i] = point[1];
+        const key = spatialCellKey(Math.floor(point[0] / cellSize), Math.floor(point[1] / cellSize));
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(i);
+        size++;
+    });
+
+    // Call back for every indexed item within radius of (x, y)
+    function forEachWithin(x, y, radius, callback) {
+        const reach = Math.ceil(radius / cellSize);
+        const cx = Math.floor(x / cellSize);
+        const cy = Math.floor(y / cellSize);
+        const radiusSq = radius * radius;
+
+        for (let dx = -reach; dx <= reach; dx++) {
+            for (let dy = -reach; dy <= reach; dy++) {
+                const cell = cells.get(spatialCellKey(cx + dx, cy + dy));
+                if (!cell) continue;
+                for (const i of cell) {
+                    const ddx = xs[i] - x;
+                    const ddy = ys[i] - y;
+                    const distSq = ddx * ddx + ddy * ddy;
+                    if (distSq <= radiusSq) callback(items[i], Math.sqrt(distSq), i);
+                }
+            }
+        }
+    }
+
+    // Nearest item within maxDistance that satisfies the predicate, as { item, distance }, or null
+    function nearest(x, y, maxDistance, predicate = () => true) {
+        let best = null;
+        forEachWithin(x, y, maxDistance, (item, distance) => {
+            if ((!best || distance < best.distance) && predicate(item)) {
+                best = { item, distance };
+            }
+        });
+        return best;
+    }
+
+    return { size, cellSize, cellCount: cells.size, forEachWithin, nearest };
+}
+
+// Index records by their Latitude/Longitude; queries take lat/lon and distances in metres
+function createGeoIndex(records, cellSize = 200) {
+    const index = createSpatialIndex(records, d => {
+        if (isNaN(d.Latitude) || isNaN(d.Longitude) || (d.Latitude === 0 && d.Longitude === 0)) return null;
+        return projectToMetres(d);
+    }, cellSize);
+
+    return {
+        ...index,
+        nearest: (lat, lon, maxDistance, predicate) => {
+            const [x, y] = metricProjection([lon, lat]);
+            return index.nearest(x, y, maxDistance, predicate);
+        }
+    };
+}
@@ -0,0 +1,426 @@
+// Statistical helpers shared by the dashboard sections
+// Distributions, significance tests, multiple-comparison corrections, confidence intervals,
+// correlation coefficients and before/after effect estimates
+
+// Natural log of the gamma function (Lanczos approximation)
+function logGamma(x) {
+    const coefficients = [
+        676.5203681218851, -1259.1392167224028, 771.32342877765313,
+        -176.61503916999185, 12.507343278686905, -0.13857109526572012,
+        9.9843695780195716e-6, 1.5056327351493116e-7
+    ];
+
+    if (x < 0.5) {
+        // Reflection formula for small arguments
+        return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - logGamma(1 - x);
+    }
+
+    x -= 1;
+    let sum = 0.99999999999980993;
+    for (let i = 0; i < coefficients.length; i++) {
+        sum += coefficients[i] / (x + i + 1);
+    }
+    const t = x + coefficients.length - 0.5;
+    return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+// Standard normal cumulative distribution function
+function normalCdf(z) {
+    // Abramowitz & Stegun 7.1.26 approximation of erf, accurate to ~1e-7
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+    return z >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+}
+
+// Two-sided p-value for a z-score
+function twoSidedPValue(z) {
+    return 2 * (1 - normalCdf(Math.abs(z)));
+}
+
+// P(X >= k) for X ~ Poisson(lambda). Terms are summed relative to the largest one, at
+// max(k, floor(lambda)), so neither large counts nor a tail far beyond lambda under- or overflow.
+function poissonUpperTail(k, lambda) {
+    if (k <= 0) return 1;
+    if (lambda <= 0) return 0;
+
+    const logLambda = Math.log(lambda);
+    const peak = Math.max(k, Math.floor(lambda));
+    const logPeak = peak * logLambda - lambda - logGamma(peak + 1);
+
+    // Log of each term from i = k, by the ratio lambda / i of consecutive terms
+    let logTerm = k * logLambda - lambda - logGamma(k + 1);
+    let relative = 0;
+    for (let i = k; ; i++) {
+        const term = Math.exp(logTerm - logPeak);
+        relative += term;
+        if (i >= peak && (term === 0 || term < relative * 1e-12)) break;
+        logTerm += logLambda - Math.log(i + 1);
+    }
+    return Math.min(1, Math.exp(logPeak + Math.log(relative)));
+}
+
+// Benjamini-Hochberg false discovery rate adjustment; returns adjusted p-values in input order
+function benjaminiHochberg(pValues) {
+    const n = pValues.length;
+    const order = pValues.map((p, i) => i).sort((a, b) => pValues[a] - pValues[b]);
+    const adjusted = new Array(n);
+
+    let running = 1;
+    for (let rank = n; rank >= 1; rank--) {
+        const index = order[rank - 1];
+        running = Math.min(running, pValues[index] * n / rank);
+        adjusted[index] = running;
+    }
+    return adjusted;
+}
+
+// Format a p-value for display
+function formatPValue(p) {
+    if (p < 0.001) return 'p < 0.001';
+    return `p = ${p.toFixed(3)}`;
+}
+
+// 95% Wilson score interval for a proportion; unlike the normal approximation it stays within
+// [0, 1] and keeps its coverage for small groups and rare outcomes such as fatal accidents
+function wilsonInterval(successes, n, z = 1.959964) {
+    if (n === 0) return { estimate: NaN, low: NaN, high: NaN };
+
+    const p = successes / n;
+    const z2 = z * z;
+    const denominator = 1 + z2 / n;
+    const centre = (p + z2 / (2 * n)) / denominator;
+    const margin = z * Math.sqrt(p * (1 - p) / n + z2 / (4 * n * n)) / denominator;
+    return { estimate: p, low: Math.max(0, centre - margin), high: Math.min(1, centre + margin) };
+}
+
+// Seeded uniform random numbers in [0, 1) (mulberry32), so resampling is repeatable
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// 95% percentile bootstrap interval for a mean. The resampling is seeded from the data, so a
+// group gets the same interval on every render; samples above maxSize use the normal
+// approximation, which the bootstrap converges to, to keep re-rendering fast.
+function bootstrapMeanInterval(values, resamples = 1000, maxSize = 1000) {
+    const n = values.length;
+    if (n === 0) return { estimate: NaN, low: NaN, high: NaN };
+
+    let sum = 0;
+    for (const value of values) sum += value;
+    const mean = sum / n;
+
+    if (n > maxSize) {
+        let squares = 0;
+        for (const value of values) squares += (value - mean) * (value - mean);
+        const margin = 1.959964 * Math.sqrt(squares / (n - 1) / n);
+        return { estimate: mean, low: mean - margin, high: mean + margin };
+    }
+
+    const random = seededRandom(n * 7919 + Math.round(sum * 31));
+    const means = new Float64Array(resamples);
+    for (let r = 0; r < resamples; r++) {
+        let total = 0;
+        for (let i = 0; i < n; i++) total += values[Math.floor(random() * n)];
+        means[r] = total / n;
+    }
+    means.sort();
+    return {
+        estimate: mean,
+        low: means[Math.floor(resamples * 0.025)],
+        high: means[Math.ceil(resamples * 0.975) - 1]
+    };
+}
+
+// Regularized lower incomplete gamma function P(a, x) (series, or continued fraction for large x)
+function regularizedGammaP(a, x) {
+    if (x <= 0) return 0;
+    const logFront = a * Math.log(x) - x - logGamma(a);
+
+    if (x < a + 1) {
+        let term = 1 / a;
+        let sum = term;
+        for (let n = 1; n < 1000; n++) {
+            term *= x / (a + n);
+            sum += term;
+            if (Math.abs(term) < Math.abs(sum) * 1e-14) break;
+        }
+        return Math.min(1, sum * Math.exp(logFront));
+    }
+
+    // Lentz's method for the continued fraction of Q(a, x)
+    const tiny = 1e-300;
+    let b = x + 1 - a;
+    let c = 1 / tiny;
+    let d = 1 / b;
+    let h = d;
+    for (let i = 1; i < 1000; i++) {
+        const an = -i * (i - a);
+        b += 2;
+        d = an * d + b;
+        if (Math.abs(d) < tiny) d = tiny;
+        c = b + an / c;
+        if (Math.abs(c) < tiny) c = tiny;
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < 1e-14) break;
+    }
+    return Math.max(0, 1 - Math.exp(logFront) * h);
+}
+
+// P(X >= chiSquare) for X ~ chi-square with df degrees of freedom
+function chiSquareUpperTail(chiSquare, df) {
+    return 1 - regularizedGammaP(df / 2, chiSquare / 2);
+}
+
+// Regularized incomplete beta function I_x(a, b) (continued fraction, Lentz's method)
+function regularizedIncompleteBeta(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+    // The continued fraction converges quickly below the mean; use the symmetry relation above it
+    if (x > (a + 1) / (a + b + 2)) return 1 - regularizedIncompleteBeta(1 - x, b, a);
+
+    const tiny = 1e-300;
+    const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)) / a;
+    let c = 1;
+    let d = 1 - (a + b) * x / (a + 1);
+    if (Math.abs(d) < tiny) d = tiny;
+    d = 1 / d;
+    let h = d;
+    for (let m = 1; m < 1000; m++) {
+        // Even and odd steps of the fraction
+        const even = m * (b - m) * x / ((a + 2 * m - 1) * (a + 2 * m));
+        d = 1 + even * d;
+        if (Math.abs(d) < tiny) d = tiny;
+        c = 1 + even / c;
+        if (Math.abs(c) < tiny) c = tiny;
+        d = 1 / d;
+        h *= d * c;
+
+        const odd = -(a + m) * (a + b + m) * x / ((a + 2 * m) * (a + 2 * m + 1));
+        d = 1 + odd * d;
+        if (Math.abs(d) < tiny) d = tiny;
+        c = 1 + odd / c;
+        if (Math.abs(c) < tiny) c = tiny;
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < 1e-14) break;
+    }
+    return front * h;
+}
+
+// Two-sided p-value for Student's t with df degrees of freedom
+function tTwoSidedPValue(t, df) {
+    return regularizedIncompleteBeta(df / (df + t * t), df / 2, 0.5);
+}
+
+// Average ranks (1-based) of the values; tied values share the mean of their positions
+function rankValues(values) {
+    const order = values.map((v, i) => i).sort((a, b) => values[a] - values[b]);
+    const ranks = new Array(values.length);
+    for (let start = 0; start < order.length; ) {
+        let end = start;
+        while (end + 1 < order.length && values[order[end + 1]] === values[order[start]]) end++;
+        const rank = (start + end) / 2 + 1;
+        for (let k = start; k <= end; k++) ranks[order[k]] = rank;
+        start = end + 1;
+    }
+    return ranks;
+}
+
+// Pearson correlation of two equal-length arrays; NaN when either has no variance
+function pearsonCorrelation(x, y) {
+    const n = x.length;
+    if (n < 2) return NaN;
+
+    let meanX = 0;
+    let meanY = 0;
+    for (let i = 0; i < n; i++) {
+        meanX += x[i];
+        meanY += y[i];
+    }
+    meanX /= n;
+    meanY /= n;
+
+    let numerator = 0;
+    let sumSqX = 0;
+    let sumSqY = 0;
+    for (let i = 0; i < n; i++) {
+        const diffX = x[i] - meanX;
+        const diffY = y[i] - meanY;
+        numerator += diffX * diffY;
+        sumSqX += diffX * diffX;
+        sumSqY += diffY * diffY;
+    }
+    const denominator = Math.sqrt(sumSqX * sumSqY);
+    return denominator === 0 ? NaN : numerator / denominator;
+}
+
+// Two-sided p-value of a Pearson, point-biserial or Spearman coefficient (t test, n - 2 df)
+function correlationPValue(r, n) {
+    if (isNaN(r) || n < 3) return NaN;
+    if (Math.abs(r) >= 1) return 0;
+    return tTwoSidedPValue(r * Math.sqrt((n - 2) / (1 - r * r)), n - 2);
+}
+
+// Spearman rank correlation: Pearson correlation of the average ranks
+function spearmanCorrelation(x, y) {
+    return pearsonCorrelation(rankValues(x), rankValues(y));
+}
+
+// Kendall's tau-b with a normal-approximation p-value. Compares every pair of rows (O(n²)),
+// so callers should sample large inputs.
+function kendallTau(x, y) {
+    const n = x.length;
+    let score = 0;
+    let tiedX = 0;
+    let tiedY = 0;
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+            const dx = Math.sign(x[i] - x[j]);
+            const dy = Math.sign(y[i] - y[j]);
+            if (dx === 0) tiedX++;
+            if (dy === 0) tiedY++;
+            score += dx * dy;
+        }
+    }
+
+    const pairs = n * (n - 1) / 2;
+    const denominator = Math.sqrt((pairs - tiedX) * (pairs - tiedY));
+    if (n < 3 || denominator === 0) return { coefficient: NaN, pValue: NaN };
+
+    const variance = n * (n - 1) * (2 * n + 5) / 18;
+    return { coefficient: score / denominator, pValue: twoSidedPValue(score / Math.sqrt(variance)) };
+}
+
+// Cramér's V of two categorical arrays, with the chi-square test of independence
+function cramersV(x, y) {
+    const n = x.length;
+    const rows = Array.from(new Set(x));
+    const columns = Array.from(new Set(y));
+    if (n === 0 || rows.length < 2 || columns.length < 2) return { coefficient: NaN, pValue: NaN };
+
+    const counts = new Map();
+    for (let i = 0; i < n; i++) {
+        const key = `${x[i]}|${y[i]}`;
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    const rowTotals = new Map(rows.map(row => [row, 0]));
+    const columnTotals = new Map(columns.map(column => [column, 0]));
+    for (let i = 0; i < n; i++) {
+        rowTotals.set(x[i], rowTotals.get(x[i]) + 1);
+        columnTotals.set(y[i], columnTotals.get(y[i]) + 1);
+    }
+
+    let chiSquare = 0;
+    rows.forEach(row => {
+        columns.forEach(column => {
+            const expected = rowTotals.get(row) * columnTotals.get(column) / n;
+            const observed = counts.get(`${row}|${column}`) || 0;
+            chiSquare += (observed - expected) * (observed - expected) / expected;
+        });
+    });
+
+    const df = (rows.length - 1) * (columns.length - 1);
+    return {
+        coefficient: Math.sqrt(chiSquare / (n * Math.min(rows.length - 1, columns.length - 1))),
+        pValue: chiSquareUpperTail(chiSquare, df)
+    };
+}
+
+// Test of equal event rates for two Poisson counts observed over different exposures (e.g. days),
+// conditioning on the total: countA ~ Binomial(countA + countB, exposureA / (exposureA + exposureB))
+function poissonRateTest(countA, exposureA, countB, exposureB) {
+    const n = countA + countB;
+    if (n === 0 || exposureA <= 0 || exposureB <= 0) return { statistic: NaN, pValue: NaN };
+
+    const p = exposureA / (exposureA + exposureB);
+    const statistic = (countA - n * p) / Math.sqrt(n * p * (1 - p));
+    return { statistic, pValue: twoSidedPValue(statistic) };
+}
+
+// Pooled two-proportion z-test
+function twoProportionTest(successesA, nA, successesB, nB) {
+    if (nA === 0 || nB === 0) return { statistic: NaN, pValue: NaN };
+
+    const pooled = (successesA + successesB) / (nA + nB);
+    const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / nA + 1 / nB));
+    if (standardError === 0) return { statistic: 0, pValue: 1 };
+
+    const statistic = (successesB / nB - successesA / nA) / standardError;
+    return { statistic, pValue: twoSidedPValue(statistic) };
+}
+
+// Mean and sample variance in one pass (Welford's algorithm)
+function meanAndVariance(values) {
+    let mean = 0;
+    let squares = 0;
+    for (let i = 0; i < values.length; i++) {
+        const delta = values[i] - mean;
+        mean += delta / (i + 1);
+        squares += delta * (values[i] - mean);
+    }
+    return { mean, variance: values.length > 1 ? squares / (values.length - 1) : NaN };
+}
+
+// Welch's t-test for a difference in means (unequal variances)
+function welchTTest(valuesA, valuesB) {
+    const nA = valuesA.length;
+    const nB = valuesB.length;
+    if (nA < 2 || nB < 2) return { statistic: NaN, pValue: NaN };
+
+    const a = meanAndVariance(valuesA);
+    const b = meanAndVariance(valuesB);
+    const varianceA = a.variance / nA;
+    const varianceB = b.variance / nB;
+    const standardError = Math.sqrt(varianceA + varianceB);
+    if (standardError === 0) return { statistic: 0, pValue: a.mean === b.mean ? 1 : 0 };
+
+    const statistic = (b.mean - a.mean) / standardError;
+    const df = Math.pow(varianceA + varianceB, 2) /
+        (varianceA * varianceA / (nA - 1) + varianceB * varianceB / (nB - 1));
+    return { statistic, pValue: tTwoSidedPValue(statistic, df) };
+}
+
+// Before/after index of effectiveness θ against a comparison group (Hauer, 1997): the site's
+// after/before ratio over the comparison group's, with a 95% interval from the log-ratio's
+// variance. θ < 1 means fewer accidents than the comparison group's trend predicts.
+function comparisonGroupEffect(after, before, comparisonAfter, comparisonBefore) {
+    if (after === 0 || before === 0 || comparisonAfter === 0 || comparisonBefore === 0) return null;
+
+    const theta = (after / before) / (comparisonAfter / comparisonBefore);
+    const spread = 1.959964 * Math.sqrt(1 / after + 1 / before + 1 / comparisonAfter + 1 / comparisonBefore);
+    return { theta, low: theta * Math.exp(-spread), high: theta * Math.exp(spread) };
+}
+
+// Empirical Bayes before/after estimate (Hauer, 1997), correcting for regression to the mean.
+// The site's before count is shrunk towards the mean of a reference population of similar
+// sites by w = mean / variance (method-of-moments negative binomial weight), scaled by the
+// comparison group's after/before ratio to the count expected without the treatment, and
+// compared with the after count: { weight, expectedBefore, expected, theta, low, high }.
+function empiricalBayesEffect(after, before, referenceCounts, comparisonRatio) {
+    const { mean, variance } = meanAndVariance(referenceCounts);
+    if (!(mean > 0) || !(comparisonRatio > 0)) return null;
+
+    const weight = variance > mean ? mean / variance : 1;
+    const expectedBefore = weight * mean + (1 - weight) * before;
+    const expected = expectedBefore * comparisonRatio;
+    const expectedVariance = (1 - weight) * expectedBefore * comparisonRatio * comparisonRatio;
+
+    const relativeVariance = expectedVariance / (expected * expected);
+    const theta = (after / expected) / (1 + relativeVariance);
+    const thetaVariance = after > 0 ?
+        theta * theta * (1 / after + relativeVariance) / Math.pow(1 + relativeVariance, 2) :
+        1 / (expected * expected); // No after accidents: Poisson variance of one accident
+    const spread = 1.959964 * Math.sqrt(thetaVariance);
+    return { weight, expectedBefore, expected, theta, low: Math.max(0, theta - spread), high: theta + spread };
+}
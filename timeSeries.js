@@ -0,0 +1,226 @@
+// Time-series analysis of accident counts for the decomposition and forecast section
+// Regular count series, STL-style seasonal decomposition, residual anomalies and additive
+// Holt-Winters forecasts with prediction intervals
+
+// Series resolutions: length of the seasonal cycle and the steps covering a 12-month forecast
+const timeSeriesResolutions = {
+    daily: { label: 'Daily', period: 7, horizon: 365 },
+    weekly: { label: 'Weekly', period: 52, horizon: 52 },
+    monthly: { label: 'Monthly', period: 12, horizon: 12 }
+};
+
+// Start of the period containing a date (weeks start on Monday)
+function getPeriodStart(date, resolution) {
+    if (resolution === 'monthly') return new Date(date.getFullYear(), date.getMonth(), 1);
+    const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    if (resolution === 'weekly') day.setDate(day.getDate() - (day.getDay() + 6) % 7);
+    return day;
+}
+
+// Start of the period the given number of steps after start
+function offsetPeriod(start, resolution, steps) {
+    if (resolution === 'monthly') return new Date(start.getFullYear(), start.getMonth() + steps, 1);
+    return new Date(start.getFullYear(), start.getMonth(), start.getDate() + steps * (resolution === 'weekly' ? 7 : 1));
+}
+
+// Rows per period from the first to the last dated row, with empty periods as 0: [{ start, value }]
+function buildCountSeries(rows, getDate, resolution) {
+    const counts = new Map();
+    let first = null;
+    let last = null;
+    rows.forEach(d => {
+        const date = getDate(d);
+        if (!(date instanceof Date) || isNaN(date)) return;
+
+        const start = getPeriodStart(date, resolution);
+        counts.set(start.getTime(), (counts.get(start.getTime()) || 0) + 1);
+        if (!first || start < first) first = start;
+        if (!last || start > last) last = start;
+    });
+
+    const series = [];
+    for (let start = first; start && start <= last; start = offsetPeriod(start, resolution, 1)) {
+        series.push({ start, value: counts.get(start.getTime()) || 0 });
+    }
+    return series;
+}
+
+// Local linear regression over the span nearest points (tricube weights), evaluated at every
+// index. Optional per-point weights downweight outliers.
+function loessSmooth(values, span, weights = null) {
+    const n = values.length;
+    const width = Math.min(span, n);
+    const smoothed = new Array(n);
+
+    for (let i = 0; i < n; i++) {
+        const lo = Math.max(0, Math.min(i - Math.floor(width / 2), n - width));
+        const hi = lo + width - 1;
+        const bandwidth = Math.max(i - lo, hi - i) + 1;
+
+        let sumW = 0;
+        let sumX = 0;
+        let sumY = 0;
+        let sumXX = 0;
+        let sumXY = 0;
+        for (let j = lo; j <= hi; j++) {
+            const u = Math.abs(j - i) / bandwidth;
+            const w = Math.pow(1 - u * u * u, 3) * (weights ? weights[j] : 1);
+            sumW += w;
+            sumX += w * j;
+            sumY += w * values[j];
+            sumXX += w * j * j;
+            sumXY += w * j * values[j];
+        }
+
+        if (sumW === 0) {
+            smoothed[i] = values[i];
+            continue;
+        }
+        const denominator = sumW * sumXX - sumX * sumX;
+        const slope = Math.abs(denominator) > 1e-9 ? (sumW * sumXY - sumX * sumY) / denominator : 0;
+        smoothed[i] = (sumY - slope * sumX) / sumW + slope * i;
+    }
+    return smoothed;
+}
+
+// Centred moving average; windows shrink at the ends so the output keeps the input's length
+function movingAverage(values, width) {
+    const before = Math.floor((width - 1) / 2);
+    return values.map((v, i) => {
+        const lo = Math.max(0, i - before);
+        const hi = Math.min(values.length - 1, i - before + width - 1);
+        let sum = 0;
+        for (let j = lo; j <= hi; j++) sum += values[j];
+        return sum / (hi - lo + 1);
+    });
+}
+
+function oddAtLeast(value, minimum) {
+    const rounded = Math.max(minimum, Math.ceil(value));
+    return rounded % 2 === 0 ? rounded + 1 : rounded;
+}
+
+// STL-style decomposition (Cleveland et al., 1990) into { trend, seasonal, residual }. The
+// seasonal part is a loess over each cycle-subseries (all Januaries, all Mondays...) with its
+// low-frequency part removed; the trend is a loess over the deseasonalised series. Robustness
+// passes downweight outlying periods so they don't bend the trend. Unlike full STL, the
+// subseries are not extrapolated at the ends.
+function stlDecompose(values, period, { seasonalSpan = 7, innerIterations = 2, robustIterations = 1 } = {}) {
+    const n = values.length;
+    const trendSpan = oddAtLeast(1.5 * period / (1 - 1.5 / seasonalSpan), 3);
+    const lowPassSpan = oddAtLeast(period, 3);
+    let trend = new Array(n).fill(0);
+    let seasonal = new Array(n).fill(0);
+    let weights = null;
+
+    for (let outer = 0; outer <= robustIterations; outer++) {
+        for (let inner = 0; inner < innerIterations; inner++) {
+            const detrended = values.map((v, i) => v - trend[i]);
+            const cycle = new Array(n);
+            for (let phase = 0; phase < period && phase < n; phase++) {
+                const indices = d3.range(phase, n, period);
+                const smoothed = loessSmooth(indices.map(i => detrended[i]), seasonalSpan, weights && indices.map(i => weights[i]));
+                indices.forEach((i, k) => {
+                    cycle[i] = smoothed[k];
+                });
+            }
+
+            const lowPass = loessSmooth(movingAverage(movingAverage(movingAverage(cycle, period), period), 3), lowPassSpan);
+            seasonal = cycle.map((c, i) => c - lowPass[i]);
+            trend = loessSmooth(values.map((v, i) => v - seasonal[i]), trendSpan, weights);
+        }
+
+        if (outer < robustIterations) {
+            // Bisquare weights on the residuals
+            const residual = values.map((v, i) => v - trend[i] - seasonal[i]);
+            const h = 6 * d3.median(residual, r => Math.abs(r));
+            weights = residual.map(r => {
+                const u = h > 0 ? Math.abs(r) / h : 0;
+                return u < 1 ? (1 - u * u) * (1 - u * u) : 0;
+            });
+        }
+    }
+
+    return { trend, seasonal, residual: values.map((v, i) => v - trend[i] - seasonal[i]) };
+}
+
+// Strength (0 to 1) of a trend or seasonal component: the share of its variation, together
+// with the residual's, that the residual doesn't account for (Wang, Smith & Hyndman, 2006)
+function componentStrength(component, residual) {
+    const combined = d3.variance(component.map((c, i) => c + residual[i]));
+    return combined > 0 ? Math.max(0, 1 - d3.variance(residual) / combined) : 0;
+}
+
+// Periods whose residual is more than threshold robust standard deviations (1.4826 × MAD)
+// from the median residual: [{ index, score }]
+function findResidualAnomalies(residual, threshold = 3) {
+    const median = d3.median(residual);
+    const scale = 1.4826 * d3.median(residual, r => Math.abs(r - median));
+    if (!(scale > 0)) return [];
+
+    return residual
+        .map((r, index) => ({ index, score: (r - median) / scale }))
+        .filter(anomaly => Math.abs(anomaly.score) > threshold);
+}
+
+// One pass of additive damped-trend Holt-Winters (error-correction form). The level and
+// seasonal indices start from the first seasonal cycle and the trend from flat; returns the
+// final state and the one-step-ahead errors.
+function holtWintersPass(values, period, alpha, beta, gamma, phi) {
+    let level = d3.mean(values.slice(0, period));
+    let slope = 0;
+    const seasonals = values.slice(0, period).map(v => v - level);
+    const errors = [];
+
+    for (let t = period; t < values.length; t++) {
+        const error = values[t] - (level + phi * slope + seasonals[t % period]);
+        errors.push(error);
+        level += phi * slope + alpha * error;
+        slope = phi * slope + alpha * beta * error;
+        seasonals[t % period] += gamma * error;
+    }
+    return { level, slope, seasonals, errors };
+}
+
+// Additive damped-trend Holt-Winters forecast of the next horizon steps with 95% prediction
+// intervals: { alpha, beta, gamma, phi, sigma, forecast: [{ value, low, high }] }. Parameters
+// are chosen by grid search on the one-step squared error; damping (phi < 1) keeps long
+// horizons, such as a year of daily counts, from extrapolating a short-lived slope. The
+// interval variance is sigma² (1 + sum of c_j²) with c_j = alpha (1 + beta (phi + ... + phi^j))
+// + gamma when j completes a cycle (ETS(A,Ad,A), Hyndman et al. 2008). Returns null without
+// two full seasonal cycles.
+function holtWintersForecast(values, period, horizon) {
+    if (values.length < 2 * period + 1) return null;
+
+    let best = null;
+    [0.05, 0.1, 0.2, 0.3, 0.5, 0.7, 0.9].forEach(alpha => {
+        [0, 0.01, 0.05, 0.1, 0.2].forEach(beta => {
+            [0.05, 0.1, 0.2, 0.3, 0.5, 0.7].forEach(gamma => {
+                [0.8, 0.9, 0.98].forEach(phi => {
+                    const pass = holtWintersPass(values, period, alpha, beta, gamma, phi);
+                    const sse = d3.sum(pass.errors, e => e * e);
+                    if (!best || sse < best.sse) best = { alpha, beta, gamma, phi, sse, ...pass };
+                });
+            });
+        });
+    });
+
+    const { alpha, beta, gamma, phi, level, slope, seasonals } = best;
+    const variance = best.sse / best.errors.length;
+    let damping = 0; // phi + phi² + ... + phi^h
+    let spreadSum = 0; // Sum of c_j² for j < h
+    const forecast = d3.range(1, horizon + 1).map(h => {
+        const previousDamping = damping;
+        damping += Math.pow(phi, h);
+        if (h > 1) {
+            const c = alpha * (1 + beta * previousDamping) + ((h - 1) % period === 0 ? gamma : 0);
+            spreadSum += c * c;
+        }
+
+        const value = level + damping * slope + seasonals[(values.length + h - 1) % period];
+        const spread = 1.959964 * Math.sqrt(variance * (1 + spreadSum));
+        return { value: Math.max(0, value), low: Math.max(0, value - spread), high: Math.max(0, value + spread) };
+    });
+
+    return { alpha, beta, gamma, phi, sigma: Math.sqrt(variance), forecast };
+}
@@ -0,0 +1,33 @@
+// Simplified outline of Great Britain, Northern Ireland and the larger islands (coarse,
+// for orientation only), drawn under the hot-spot map when there is no detailed boundary file
+const ukOutline = {
+    type: 'Feature',
+    properties: { name: 'United Kingdom' },
+    geometry: {
+        type: 'MultiPolygon',
+        coordinates: [
+            // Great Britain
+            [[[1.35, 51.13], [0.97, 50.91], [0.57, 50.85], [0.25, 50.73], [-0.14, 50.82], [-0.79, 50.72], [-1.35, 50.83], [-1.75, 50.72], [-1.95, 50.6], [-2.45, 50.51], [-2.94, 50.72], [-3.4, 50.61], [-3.64, 50.22], [-4.14, 50.36], [-4.64, 50.33], [-5.2, 49.96], [-5.71, 50.07], [-5.48, 50.21], [-5.08, 50.42], [-4.94, 50.55], [-4.53, 51.02], [-4.12, 51.21], [-3.47, 51.21], [-2.98, 51.35], [-2.7, 51.5], [-2.67, 51.64], [-2.99, 51.55], [-3.17, 51.45], [-3.7, 51.48], [-3.94, 51.6], [-4.31, 51.56], [-4.7, 51.67], [-5.17, 51.68], [-5.31, 51.9], [-4.98, 52.01], [-4.66, 52.11], [-4.08, 52.41], [-4.05, 52.54], [-4.06, 52.72], [-4.41, 52.88], [-4.77, 52.77], [-4.6, 52.95], [-4.3, 53.14], [-4.68, 53.31], [-4.35, 53.42], [-4.04, 53.3], [-3.83, 53.33], [-3.49, 53.32], [-3.32, 53.36], [-3.1, 53.38], [-3.04, 53.45], [-3.02, 53.65], [-3.06, 53.82], [-3.01, 53.93], [-2.88, 54.07], [-3.23, 54.08], [-3.64, 54.49], [-3.57, 54.65], [-3.4, 54.87], [-3.25, 54.98], [-3.6, 54.88], [-4.05, 54.78], [-4.39, 54.68], [-4.85, 54.8], [-4.86, 54.63], [-5.12, 54.84], [-5.0, 55.1], [-4.86, 55.24], [-4.63, 55.46], [-4.68, 55.55], [-4.87, 55.8], [-4.75, 55.95], [-5.4, 55.86], [-5.8, 55.3], [-5.7, 55.6], [-5.65, 55.95], [-5.47, 56.41], [-5.75, 56.55], [-6.0, 56.68], [-6.23, 56.73], [-5.83, 57.0], [-5.71, 57.28], [-5.82, 57.43], [-5.82, 57.73], [-5.16, 57.9], [-5.41, 58.09], [-5.24, 58.15], [-5.0, 58.63], [-4.75, 58.57], [-4.42, 58.48], [-3.52, 58.6], [-3.37, 58.67], [-3.03, 58.64], [-3.09, 58.44], [-3.65, 58.11], [-4.03, 57.88], [-3.77, 57.86], [-4.03, 57.68], [-4.22, 57.49], [-3.87, 57.59], [-3.28, 57.72], [-2.96, 57.68], [-2.0, 57.69], [-1.78, 57.5], [-2.08, 57.15], [-2.2, 56.96], [-2.46, 56.71], [-2.58, 56.56], [-2.97, 56.46], [-2.58, 56.28], [-2.82, 56.19], [-3.16, 56.11], [-3.5, 56.03], [-3.19, 55.98], [-2.72, 56.06], [-2.52, 56.0], [-2.13, 55.92], [-2.0, 55.77], [-1.71, 55.61], [-1.58, 55.33], [-1.42, 55.02], [-1.38, 54.91], [-1.18, 54.69], [-1.06, 54.62], [-0.61, 54.49], [-0.4, 54.28], [-0.08, 54.12], [-0.19, 54.08], [-0.11, 53.58], [-0.33, 53.74], [-0.2, 53.62], [0.26, 53.34], [0.34, 53.14], [0.0, 52.95], [0.4, 52.8], [0.49, 52.94], [1.3, 52.93], [1.53, 52.82], [1.73, 52.6], [1.75, 52.48], [1.68, 52.33], [1.58, 52.09], [1.35, 51.95], [1.27, 51.86], [1.15, 51.79], [0.95, 51.77], [0.7, 51.53], [0.4, 51.47], [0.85, 51.43], [1.02, 51.36], [1.44, 51.38], [1.42, 51.33], [1.4, 51.22], [1.35, 51.13]]],
+            // Northern Ireland
+            [[[-5.93, 54.6], [-5.67, 54.66], [-5.43, 54.5], [-5.52, 54.37], [-5.66, 54.22], [-5.89, 54.2], [-6.27, 54.1], [-6.6, 54.05], [-7.0, 54.12], [-7.2, 54.25], [-7.6, 54.15], [-8.15, 54.45], [-8.1, 54.48], [-7.75, 54.6], [-7.45, 54.83], [-7.3, 55.05], [-6.95, 55.18], [-6.65, 55.2], [-6.15, 55.23], [-6.06, 55.19], [-5.8, 54.86], [-5.7, 54.8], [-5.8, 54.71], [-5.93, 54.6]]],
+            // Isle of Wight
+            [[[-1.58, 50.67], [-1.3, 50.77], [-1.07, 50.68], [-1.3, 50.58], [-1.58, 50.67]]],
+            // Arran
+            [[[-5.1, 55.7], [-5.35, 55.72], [-5.35, 55.45], [-5.1, 55.45], [-5.1, 55.7]]],
+            // Islay
+            [[[-6.05, 55.65], [-6.05, 55.9], [-6.35, 55.85], [-6.45, 55.7], [-6.3, 55.6], [-6.05, 55.65]]],
+            // Mull
+            [[[-5.72, 56.45], [-6.1, 56.65], [-6.35, 56.3], [-5.95, 56.32], [-5.72, 56.45]]],
+            // Skye
+            [[[-6.2, 57.7], [-5.98, 57.5], [-5.78, 57.27], [-6.0, 57.08], [-6.3, 57.2], [-6.75, 57.45], [-6.5, 57.6], [-6.2, 57.7]]],
+            // Uists
+            [[[-7.2, 57.65], [-7.25, 57.3], [-7.4, 57.1], [-7.5, 57.1], [-7.45, 57.6], [-7.2, 57.65]]],
+            // Lewis and Harris
+            [[[-6.2, 58.5], [-6.25, 58.2], [-6.6, 57.9], [-7.1, 57.75], [-7.05, 58.0], [-7.1, 58.2], [-6.75, 58.3], [-6.2, 58.5]]],
+            // Orkney
+            [[[-3.35, 59.1], [-2.75, 59.1], [-2.7, 58.9], [-3.1, 58.8], [-3.35, 58.9], [-3.35, 59.1]]],
+            // Shetland
+            [[[-1.3, 60.8], [-0.8, 60.7], [-1.05, 60.35], [-1.3, 59.85], [-1.4, 60.2], [-1.6, 60.5], [-1.3, 60.8]]]
+        ]
+    }
+};
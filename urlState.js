@@ -0,0 +1,239 @@
+// Shareable view state: filters, selections and section settings kept in the query string
+// Each parameter reads and writes one piece of the dashboard state in graph.js; parameters still
+// at their initial value are left out to keep links short. The state is restored before the
+// first render, and every change adds a history entry so back/forward step through views.
+
+let urlStateDefaults = null; // Parameter name -> value before the URL was applied
+let lastUrlState = null; // Query string and its shareable part (without map viewports) last written
+
+// One query parameter. read() gives the setting as a string ('' when unset) and write(value)
+// applies a value from the URL; sync() updates controls that are built once from the setting.
+// Viewport parameters replace the current history entry instead of adding one.
+function urlParam(name, read, write, sync = null, viewport = false) {
+    return { name, read, write, sync, viewport };
+}
+
+// Sync for controls whose value is the setting itself
+function syncControls(selector, read) {
+    return () => document.querySelectorAll(selector).forEach(control => {
+        control.value = read();
+    });
+}
+
+function parseNumberParam(value, fallback) {
+    const number = parseFloat(value);
+    return isFinite(number) ? number : fallback;
+}
+
+// A parameter choosing one key of an options object; unknown keys keep the current value
+function optionParam(name, options, read, write, selector) {
+    return urlParam(name, read, value => {
+        if (options[value]) write(value);
+    }, selector ? syncControls(selector, read) : null);
+}
+
+function formatTransformParam(transform) {
+    return `${+transform.k.toFixed(3)},${+transform.x.toFixed(1)},${+transform.y.toFixed(1)}`;
+}
+
+function parseTransformParam(value) {
+    const [k, x, y] = value.split(',').map(Number);
+    if (!(k > 0) || !isFinite(x) || !isFinite(y)) return d3.zoomIdentity;
+    return d3.zoomIdentity.translate(x, y).scale(k);
+}
+
+function getUrlStateParams() {
+    const heatmapMeasures = Object.fromEntries(Object.entries(conditionMeasures).filter(([key]) => key !== 'share'));
+    const conditionControls = {
+        dimension: ['condition-dimension', conditionDimensions],
+        measure: ['condition-measure', conditionMeasures],
+        heatmapRows: ['heatmap-rows', conditionDimensions],
+        heatmapColumns: ['heatmap-columns', conditionDimensions],
+        heatmapMeasure: ['heatmap-measure', heatmapMeasures]
+    };
+    const settings = interventionSettings;
+
+    return [
+        ...Object.keys(filters).map(key => urlParam(key, () => filters[key], value => {
+            filters[key] = value;
+        }, syncControls(`#filter-controls [data-filter="${key}"]`, () => filters[key]))),
+
+        ...Object.keys(selections).map(dimension => urlParam(`selected.${dimension}`, () => selections[dimension].join(','), value => {
+            const numeric = dimension === 'hour' || dimension === 'month';
+            selections[dimension] = value === '' ? [] : value.split(',')
+                .map(v => numeric ? parseInt(v) : v)
+                .filter(v => !numeric || !isNaN(v));
+        })),
+
+        ...Object.keys(hotSpotSettings).map(key => urlParam(`hotspot.${key}`, () => String(hotSpotSettings[key]), value => {
+            if (key === 'algorithm') {
+                if (hotSpotAlgorithms[value]) hotSpotSettings.algorithm = value;
+                return;
+            }
+            const number = parseNumberParam(value, hotSpotSettings[key]);
+            const min = hotSpotParameters[key].min;
+            if (min === undefined || number >= min) hotSpotSettings[key] = number;
+        }, () => {
+            syncControls(`#hotspot-controls [data-param="${key}"]`, () => hotSpotSettings[key])();
+            if (document.querySelector('#hotspot-controls [data-param]')) updateHotSpotControlVisibility();
+        })),
+        urlParam('map.hotspot', () => formatTransformParam(hotSpotMapTransform), value => {
+            hotSpotMapTransform = parseTransformParam(value);
+        }, null, true),
+
+        optionParam('authority.metric', authorityMetrics, () => authorityMetric, value => {
+            authorityMetric = value;
+        }, '#authority-metric'),
+        urlParam('authority.sort', () => `${authoritySort.key}:${authoritySort.descending ? 'desc' : 'asc'}`, value => {
+            const [key, order] = value.split(':');
+            if (key) authoritySort = { key, descending: order !== 'asc' };
+        }),
+        urlParam('map.authority', () => formatTransformParam(authorityMapTransform), value => {
+            authorityMapTransform = parseTransformParam(value);
+        }, null, true),
+
+        optionParam('metric', groupMetrics, () => groupMetric, value => {
+            groupMetric = value;
+        }, '.metric-select'),
+
+        // Periods as years or from~to date ranges; only stored while comparing
+        urlParam('compare', () => comparison.enabled ? comparison.periods
+            .map(period => period.type === 'year' ? period.year : `${period.from || ''}~${period.to || ''}`)
+            .join(',') : '', value => {
+            const periods = value.split(',').filter(part => part !== '').slice(0, maxComparisonPeriods).map(part => {
+                if (!part.includes('~')) return { type: 'year', year: parseInt(part) };
+                const [from, to] = part.split('~');
+                return { type: 'range', from, to };
+            }).filter(period => period.type === 'range' || !isNaN(period.year));
+            comparison.enabled = periods.length >= 2;
+            if (comparison.enabled) comparison.periods = periods;
+        }),
+
+        urlParam('intervention.hotspot', () => settings.area === 'hotspot' && settings.hotSpotKey ? settings.hotSpotKey : '', value => {
+            settings.area = 'hotspot';
+            settings.hotSpotKey = value || null;
+            settings.hotSpotLabel = value ? describeSelection('hotspot', value) : null;
+        }),
+        urlParam('intervention.point', () => settings.area === 'point' ? [settings.lat, settings.lon, settings.radiusMetres].join(',') : '', value => {
+            const [lat, lon, radius] = value.split(',').map(Number);
+            if (!isFinite(lat) || !isFinite(lon) || !(radius > 0)) return;
+            Object.assign(settings, { area: 'point', lat, lon, radiusMetres: radius });
+        }),
+        urlParam('intervention.date', () => settings.date || '', value => {
+            settings.date = parseDateKey(value) ? value : null;
+        }),
+        urlParam('intervention.years', () => String(settings.years), value => {
+            settings.years = Math.min(5, Math.max(1, Math.round(parseNumberParam(value, settings.years))));
+        }),
+
+        optionParam('correlation.method', correlationMethods, () => correlationSettings.method, value => {
+            correlationSettings.method = value;
+        }, '#correlation-method'),
+        urlParam('correlation.variables', () => correlationSettings.variables.join(','), value => {
+            correlationSettings.variables = value.split(',').filter(variable => correlationVariables[variable]);
+        }, () => document.querySelectorAll('#correlation-variables input').forEach(input => {
+            input.checked = correlationSettings.variables.includes(input.value);
+        })),
+        urlParam('correlation.pair', () => correlationSettings.pair ? correlationSettings.pair.join(',') : '', value => {
+            const pair = value.split(',');
+            correlationSettings.pair = pair.length === 2 && pair.every(variable => correlationVariables[variable]) ? pair : null;
+        }),
+
+        optionParam('risk.outcome', riskOutcomes, () => riskModelSettings.outcome, value => {
+            riskModelSettings.outcome = value;
+        }, '#risk-outcome'),
+        urlParam('risk.tree', () => riskModelSettings.tree ? '1' : '', value => {
+            riskModelSettings.tree = value === '1';
+        }, () => {
+            const toggle = document.getElementById('risk-tree-toggle');
+            if (toggle) toggle.checked = riskModelSettings.tree;
+        }),
+
+        optionParam('timeseries.resolution', timeSeriesResolutions, () => timeSeriesSettings.resolution, value => {
+            timeSeriesSettings.resolution = value;
+        }, '#time-series-resolution'),
+
+        urlParam('calendar.year', () => calendarSettings.year === null ? '' : String(calendarSettings.year), value => {
+            const year = parseInt(value);
+            calendarSettings.year = isNaN(year) ? null : year;
+        }),
+        urlParam('calendar.day', () => calendarSettings.day || '', value => {
+            calendarSettings.day = parseDateKey(value) ? value : null;
+        }),
+        optionParam('calendar.matrix', weekdayHourMeasures, () => calendarSettings.matrixMeasure, value => {
+            calendarSettings.matrixMeasure = value;
+        }, '#weekday-hour-measure'),
+
+        ...Object.entries(conditionControls).map(([setting, [id, options]]) => optionParam(`conditions.${setting}`, options,
+            () => conditionSettings[setting], value => {
+                conditionSettings[setting] = value;
+            }, `#${id}`)),
+
+        optionParam('casualties.breakdown', casualtyBreakdowns, () => casualtyBreakdown, value => {
+            casualtyBreakdown = value;
+        }, '#casualty-breakdown')
+    ];
+}
+
+function encodeUrlParam(value) {
+    return encodeURIComponent(value).replace(/%2C/g, ',').replace(/%3A/g, ':').replace(/%7E/gi, '~');
+}
+
+// Query string of the parameters that differ from their defaults ('' when none do)
+function serializeUrlState(includeViewport = true) {
+    const parts = getUrlStateParams()
+        .filter(param => includeViewport || !param.viewport)
+        .filter(param => param.read() !== urlStateDefaults.get(param.name))
+        .map(param => `${param.name}=${encodeUrlParam(param.read())}`);
+    return parts.length > 0 ? `?${parts.join('&')}` : '';
+}
+
+// Set every parameter from a query string; missing ones go back to their defaults
+function applyUrlState(search) {
+    const values = new URLSearchParams(search);
+    getUrlStateParams().forEach(param => {
+        param.write(values.has(param.name) ? values.get(param.name) : urlStateDefaults.get(param.name));
+    });
+}
+
+function rememberUrlState() {
+    lastUrlState = { search: location.search, shared: serializeUrlState(false) };
+}
+
+// Record the defaults and apply the page's query string. Called before the first render,
+// so the controls are built from the restored state.
+function restoreUrlState() {
+    urlStateDefaults = new Map(getUrlStateParams().map(param => [param.name, param.read()]));
+    applyUrlState(location.search);
+    rememberUrlState();
+
+    // Form controls apply their change in their own listeners, which run before these
+    document.addEventListener('change', () => updateUrlState());
+    document.addEventListener('click', () => updateUrlState());
+
+    window.addEventListener('popstate', () => {
+        applyUrlState(location.search);
+        getUrlStateParams().forEach(param => {
+            if (param.sync) param.sync();
+        });
+        rememberUrlState();
+        renderDashboard();
+    });
+}
+
+// Write the current state to the URL: a new history entry when the shareable state changed,
+// otherwise (e.g. after panning a map) the current entry is replaced
+function updateUrlState(replace = false) {
+    if (urlStateDefaults === null) return;
+
+    const search = serializeUrlState();
+    if (search === lastUrlState.search) return;
+
+    const url = `${location.pathname}${search}${location.hash}`;
+    if (replace || serializeUrlState(false) === lastUrlState.shared) {
+        history.replaceState(null, '', url);
+    } else {
+        history.pushState(null, '', url);
+    }
+    rememberUrlState();
+}